@@ -0,0 +1,301 @@
+/**
+ * Outbound AI audit log
+ *
+ * Appends one JSON line per request that leaves the machine (chat, summary,
+ * editor completion and embedding calls, including retries and fallbacks) to
+ * .x0v3rt/audit/outbound.jsonl in the workspace, before it is sent. Each
+ * entry records the provider, endpoint host, model, the SHA-256 and size of
+ * the payload and the attached files. The full payload is captured too unless
+ * aiAudit.capturePayloads is off. Once the call settles an outcome line
+ * (type "outcome", referencing the entry's id) adds the status, error and
+ * returned tool calls, so a request that never completes still shows up.
+ * Lines are chained: prevHash is the hash of the previous line, so edits or
+ * deletions show up when the log is read.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const AUDIT_DIRNAME = path.join('.x0v3rt', 'audit');
+const AUDIT_FILENAME = 'outbound.jsonl';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Appends run one at a time so the hash chain stays in order
+let writeQueue = Promise.resolve();
+// auditPath -> hash of its last line
+const lastHashes = new Map();
+
+function getAuditPath() {
+    const fileManager = require('../file-manager');
+    const notesDir = fileManager.getNotesDir();
+    return notesDir ? path.join(notesDir, AUDIT_DIRNAME, AUDIT_FILENAME) : null;
+}
+
+async function getAuditPreferences() {
+    try {
+        const settingsManager = require('../settings-manager');
+        const prefs = await settingsManager.getSystemPreferences();
+        return {
+            ...settingsManager.DEFAULT_SYSTEM_PREFERENCES.aiAudit,
+            ...(prefs?.aiAudit || {})
+        };
+    } catch (_error) {
+        return { capturePayloads: true };
+    }
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function getHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (_error) {
+        return null;
+    }
+}
+
+async function readLastHash(auditPath) {
+    if (lastHashes.has(auditPath)) return lastHashes.get(auditPath);
+
+    let hash = null;
+    try {
+        const lines = (await fs.readFile(auditPath, 'utf-8')).split('\n').filter(line => line.trim());
+        hash = lines.length ? sha256(lines[lines.length - 1]) : null;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    lastHashes.set(auditPath, hash);
+    return hash;
+}
+
+/**
+ * Images are logged by path, size and hash instead of their base64 data
+ */
+function describeImages(images) {
+    return (images || []).map(image => ({
+        path: image.path || null,
+        mimeType: image.mimeType || null,
+        bytes: Math.floor(String(image.data || '').length * 3 / 4),
+        sha256: sha256(String(image.data || ''))
+    }));
+}
+
+/**
+ * Append a line to the hash chain
+ * @returns {Promise<object|null>} The record, or null when it could not be written
+ */
+async function appendRecord(auditPath, record) {
+    const write = async () => {
+        await fs.mkdir(path.dirname(auditPath), { recursive: true });
+        const line = JSON.stringify({ ...record, prevHash: await readLastHash(auditPath) });
+        await fs.appendFile(auditPath, `${line}\n`, 'utf-8');
+        lastHashes.set(auditPath, sha256(line));
+        return record;
+    };
+
+    writeQueue = writeQueue.then(write, write);
+    try {
+        return await writeQueue;
+    } catch (error) {
+        console.error('Audit log write error:', error);
+        lastHashes.delete(auditPath);
+        return null;
+    }
+}
+
+/**
+ * Append a request to the audit log, before it is sent
+ *
+ * @param {object} entry
+ * @param {string} entry.kind - 'chat', 'summary', 'completion' or 'embedding'
+ * @param {string} entry.provider
+ * @param {string} [entry.endpoint] - Host the request went to
+ * @param {string} [entry.model]
+ * @param {object} entry.payload - What was sent (conversation, tools, inputs)
+ * @param {string[]} [entry.files] - Workspace files whose content was sent
+ * @param {object[]} [entry.images] - { path, mimeType, data }
+ * @param {string[]} [entry.toolResults] - Names of tool results sent back
+ * @param {number} [entry.redacted] - Secrets replaced before sending
+ * @returns {Promise<string|null>} Entry id for recordOutcome
+ */
+async function recordRequest(entry = {}) {
+    const auditPath = getAuditPath();
+    if (!auditPath) return null;
+
+    const prefs = await getAuditPreferences();
+    const serialized = JSON.stringify(entry.payload ?? null);
+    const images = describeImages(entry.images);
+
+    const record = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        requestId: entry.requestId || null,
+        sessionId: entry.sessionId || null,
+        kind: entry.kind || 'chat',
+        provider: entry.provider || null,
+        endpoint: entry.endpoint || null,
+        model: entry.model || null,
+        payloadSha256: sha256(serialized),
+        payloadBytes: Buffer.byteLength(serialized, 'utf-8'),
+        files: entry.files || [],
+        images,
+        toolResults: entry.toolResults || [],
+        redacted: entry.redacted || 0,
+        payload: prefs.capturePayloads !== false ? entry.payload ?? null : null
+    };
+
+    const written = await appendRecord(auditPath, record);
+    return written ? written.id : null;
+}
+
+/**
+ * Record how a logged request ended
+ *
+ * @param {string|null} id - From recordRequest
+ * @param {object} [outcome]
+ * @param {Error} [outcome.error] - Set when the request failed
+ * @param {object[]} [outcome.toolCalls] - { name, args } returned by the model
+ */
+async function recordOutcome(id, outcome = {}) {
+    const auditPath = getAuditPath();
+    if (!auditPath || !id) return null;
+
+    return await appendRecord(auditPath, {
+        type: 'outcome',
+        entryId: id,
+        timestamp: new Date().toISOString(),
+        status: outcome.error ? 'error' : 'ok',
+        error: outcome.error?.message || null,
+        toolCalls: outcome.toolCalls || []
+    });
+}
+
+async function readLines(auditPath) {
+    try {
+        return (await fs.readFile(auditPath, 'utf-8')).split('\n').filter(line => line.trim());
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return [];
+    }
+}
+
+/**
+ * A page of requests (newest first, without payloads) with their outcomes,
+ * and whether the hash chain is intact. Requests with no outcome line are
+ * "sent": still in flight, or the app exited before they settled.
+ * @param {object} [options]
+ * @param {string} [options.since] - ISO timestamp
+ * @param {number} [options.offset] - Requests to skip
+ * @param {number} [options.limit] - Page size (default 100, at most 500)
+ * @returns {Promise<{ entries: object[], intact: boolean, brokenAt: number|null,
+ *   total: number, matched: number, lines: number, offset: number }>}
+ */
+async function readAuditLog(options = {}) {
+    const offset = Math.max(0, Number(options.offset) || 0);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(options.limit) || DEFAULT_PAGE_SIZE));
+    const auditPath = getAuditPath();
+    if (!auditPath) return { entries: [], intact: true, brokenAt: null, total: 0, matched: 0, lines: 0, offset };
+
+    const lines = await readLines(auditPath);
+    let brokenAt = null;
+    let previous = null;
+    const requests = [];
+    const byId = new Map();
+    lines.forEach((line, index) => {
+        let entry = null;
+        try {
+            entry = JSON.parse(line);
+        } catch (_error) {
+            entry = null;
+        }
+        if (brokenAt === null && (!entry || entry.prevHash !== previous)) {
+            brokenAt = index + 1;
+        }
+        previous = sha256(line);
+        if (!entry) return;
+
+        if (entry.type === 'outcome') {
+            const request = byId.get(entry.entryId);
+            if (request) {
+                Object.assign(request, {
+                    status: entry.status,
+                    error: entry.error,
+                    toolCalls: entry.toolCalls || [],
+                    completedAt: entry.timestamp
+                });
+            }
+            return;
+        }
+
+        const { payload, ...summary } = entry;
+        // Entries written before outcome lines carry their own status
+        const request = {
+            status: 'sent',
+            toolCalls: [],
+            ...summary,
+            hasPayload: payload !== null && payload !== undefined,
+            line: index + 1
+        };
+        requests.push(request);
+        if (entry.id) byId.set(entry.id, request);
+    });
+
+    const matched = requests
+        .filter(request => !options.since || request.timestamp >= options.since)
+        .reverse();
+
+    return {
+        entries: matched.slice(offset, offset + limit),
+        intact: brokenAt === null,
+        brokenAt,
+        total: requests.length,
+        matched: matched.length,
+        lines: lines.length,
+        offset
+    };
+}
+
+/**
+ * The full record on one line of the log, payload included
+ */
+async function readAuditEntry(lineNumber) {
+    const auditPath = getAuditPath();
+    if (!auditPath) return null;
+
+    const line = (await readLines(auditPath))[Number(lineNumber) - 1];
+    if (!line) return null;
+    try {
+        return JSON.parse(line);
+    } catch (_error) {
+        return null;
+    }
+}
+
+/**
+ * Copy the log as-is (JSONL) to a destination file
+ */
+async function exportAuditLog(destination) {
+    const auditPath = getAuditPath();
+    if (!auditPath) throw new Error('No workspace open');
+
+    try {
+        await fs.copyFile(auditPath, destination);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        await fs.writeFile(destination, '', 'utf-8');
+    }
+    return destination;
+}
+
+module.exports = {
+    getHost,
+    recordRequest,
+    recordOutcome,
+    readAuditLog,
+    readAuditEntry,
+    exportAuditLog
+};
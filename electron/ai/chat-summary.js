@@ -0,0 +1,150 @@
+/**
+ * Rolling chat summaries
+ *
+ * Messages older than the recent window are condensed by the chat's model
+ * instead of being cut to their last characters. Summaries are cached in the
+ * session file (session.summaries), each recording the last message it
+ * covers (throughId). A summary applies to every branch that contains that
+ * message; older messages after it are sent verbatim until they outgrow
+ * summaryMaxChars, then the summary is rolled forward.
+ */
+
+const fileManager = require('../file-manager');
+
+const MAX_CACHED_SUMMARIES = 8;
+// Transcript characters sent per summarization call
+const MAX_INPUT_CHARS = 24000;
+const SUMMARY_MAX_OUTPUT_TOKENS = 1024;
+
+const SUMMARY_PROMPT = `You maintain a running summary of a security engagement chat for later reference.
+Merge the previous summary (if any) with the new messages into one updated summary.
+Keep what matters for continuing the work: targets and scope, findings and their evidence,
+credentials or tokens discovered, commands and tools that worked or failed, decisions made,
+and open questions. Drop small talk. Use short bullet points, at most about 300 words.
+Reply with the summary only.`;
+
+function formatTranscript(messages) {
+    return messages
+        .map((msg) => {
+            const role = msg.role === 'ai' ? 'Assistant' : 'User';
+            return `${role}: ${String(msg.content || '').trim()}`;
+        })
+        .join('\n\n');
+}
+
+function isConversational(msg) {
+    return (msg.role === 'user' || msg.role === 'ai') && String(msg.content || '').trim();
+}
+
+/**
+ * Latest cached summary on the given messages, with how many it covers
+ */
+function findCachedSummary(session, messages) {
+    const positions = new Map(messages.map((msg, index) => [msg.id, index]));
+    let best = null;
+    (session.summaries || []).forEach((summary) => {
+        const position = positions.get(summary.throughId);
+        if (position === undefined) return;
+        if (!best || position > best.position) {
+            best = { summary, position };
+        }
+    });
+    return best ? { ...best.summary, coveredCount: best.position + 1 } : null;
+}
+
+/**
+ * Condense the previous summary plus messages, in batches that fit MAX_INPUT_CHARS
+ */
+async function summarize(previousText, messages, context, sendMessage) {
+    let text = previousText || '';
+    let response = null;
+    let batch = [];
+    let batchChars = 0;
+
+    const flush = async () => {
+        if (!batch.length) return;
+        const prompt = [
+            text ? `Previous summary:\n${text}` : 'Previous summary: (none)',
+            `New messages:\n${formatTranscript(batch)}`
+        ].join('\n\n');
+        response = await sendMessage(prompt, context);
+        text = String(response?.text || '').trim() || text;
+        batch = [];
+        batchChars = 0;
+    };
+
+    for (const msg of messages) {
+        const length = String(msg.content || '').length;
+        if (batch.length && batchChars + length > MAX_INPUT_CHARS) {
+            await flush();
+        }
+        batch.push(msg);
+        batchChars += length;
+    }
+    await flush();
+
+    return { text, response };
+}
+
+/**
+ * Summary of the session's messages before the recent window, rolled
+ * forward when the uncovered older messages exceed maxChars
+ *
+ * @param {string} sessionId
+ * @param {object} options
+ * @param {number} options.recentCount - Messages sent verbatim
+ * @param {number} options.maxChars - Uncovered older text allowed before refreshing
+ * @param {object} [options.model] - Chat model ({ modelId, ... })
+ * @param {boolean} [options.cachedOnly] - Never call the model (previews)
+ * @param {AbortSignal} [options.signal] - Cancels summarization
+ * @param {Function} sendMessage - async (message, context) => response
+ * @param {Function} [onResponse] - (context, response) => void, for usage tracking
+ * @returns {Promise<{ text, coveredCount, throughId, model, createdAt } | null>}
+ */
+async function getChatSummary(sessionId, options, sendMessage, onResponse = () => { }) {
+    const session = await fileManager.getChatHistory(sessionId);
+    const thread = fileManager.getChatThread(session);
+    const recentCount = Math.max(0, Number(options.recentCount) || 0);
+    const older = thread.slice(0, Math.max(0, thread.length - recentCount));
+    if (!older.length) return null;
+
+    const cached = findCachedSummary(session, older);
+    const uncovered = older.slice(cached?.coveredCount || 0).filter(isConversational);
+    const uncoveredChars = uncovered.reduce((sum, msg) => sum + String(msg.content).length, 0);
+    if (!uncovered.length || uncoveredChars <= options.maxChars || options.cachedOnly) {
+        return cached;
+    }
+
+    const context = {
+        systemPrompt: SUMMARY_PROMPT,
+        model: options.model || undefined,
+        sessionId,
+        purpose: 'summary',
+        generation: { maxOutputTokens: SUMMARY_MAX_OUTPUT_TOKENS },
+        signal: options.signal || undefined
+    };
+    const { text, response } = await summarize(cached?.text, uncovered, context, sendMessage);
+    await onResponse(context, response);
+    if (!text) return cached;
+
+    const summary = {
+        throughId: older[older.length - 1].id,
+        text,
+        model: response?.model || options.model?.modelId || null,
+        provider: response?.provider || null,
+        createdAt: new Date().toISOString()
+    };
+
+    // Keep summaries of other branches too, newest last
+    const summaries = (session.summaries || [])
+        .filter(item => item.throughId !== summary.throughId)
+        .concat(summary)
+        .slice(-MAX_CACHED_SUMMARIES);
+    await fileManager.updateChatSession(sessionId, { summaries });
+
+    return { ...summary, coveredCount: older.length };
+}
+
+module.exports = {
+    getChatSummary
+};
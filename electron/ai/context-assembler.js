@@ -0,0 +1,251 @@
+/**
+ * Budgeted context assembly
+ *
+ * Estimates the tokens of every part of a request and, when the total does
+ * not fit the model's context window (minus the output reserve), trims the
+ * least important parts first:
+ *   results of earlier agent steps → older chat history → chat summary →
+ *   retrieved notes → current note → recent history → latest tool results
+ * The system prompt, tools, files attached with /attach and the message
+ * itself are never trimmed. The agent loop re-runs this before every step,
+ * as tool turns accumulate.
+ */
+
+const { buildSystemPrompt } = require('./prompts');
+const {
+    MESSAGE_OVERHEAD,
+    IMAGE_TOKENS,
+    getModelFamily,
+    getDefaultContextWindow,
+    estimateTokens
+} = require('./tokens');
+
+const DEFAULT_OUTPUT_RESERVE = 8192;
+// History turns kept until everything else has been trimmed
+const MIN_RECENT_MESSAGES = 4;
+
+function formatChunk(chunk) {
+    const heading = chunk.heading ? ` — ${chunk.heading}` : '';
+    return `[${chunk.index}] ${chunk.path}${heading}\n${chunk.text}`;
+}
+
+function formatTools(tools) {
+    return (tools || [])
+        .map(tool => JSON.stringify({ name: tool.name, description: tool.description, parameters: tool.parameters }))
+        .join('\n');
+}
+
+/**
+ * Keep the start and end of a text within maxTokens
+ */
+function trimMiddle(text, maxTokens, family) {
+    const value = String(text || '');
+    const tokens = estimateTokens(value, family);
+    if (tokens <= maxTokens) return value;
+    if (maxTokens <= 0) return '';
+
+    const charsPerToken = value.length / tokens;
+    const keep = Math.floor(maxTokens * charsPerToken * 0.95);
+    const head = value.slice(0, Math.ceil(keep / 2));
+    const tail = value.slice(value.length - Math.floor(keep / 2));
+    return `${head}\n…(${value.length - keep} characters omitted to fit the context window)…\n${tail}`;
+}
+
+function messageTokens(message, family) {
+    return estimateTokens(message.content, family) + MESSAGE_OVERHEAD;
+}
+
+/**
+ * A tool turn is an assistant message with the calls plus a tool message
+ */
+function toolTurnTokens(turn, family) {
+    return estimateTokens(turn.text || '', family)
+        + estimateTokens(JSON.stringify(turn.functionCalls || []), family)
+        + estimateTokens(JSON.stringify(turn.results || []), family)
+        + MESSAGE_OVERHEAD * 2;
+}
+
+/**
+ * Replace a turn's results with a note; the model already acted on them
+ */
+function omitToolResults(turn) {
+    return {
+        ...turn,
+        results: (turn.results || []).map(result => ({
+            ...result,
+            response: {
+                success: result.response?.success !== false,
+                omitted: 'Result dropped to fit the context window'
+            }
+        }))
+    };
+}
+
+/**
+ * Cut each result of a turn to its share of maxTokens
+ */
+function trimToolResults(turn, maxTokens, family) {
+    const results = turn.results || [];
+    const share = Math.max(0, Math.floor(maxTokens / Math.max(1, results.length)) - MESSAGE_OVERHEAD);
+    return {
+        ...turn,
+        results: results.map((result) => {
+            const text = JSON.stringify(result.response ?? null);
+            if (estimateTokens(text, family) <= share) return result;
+            return {
+                ...result,
+                response: {
+                    success: result.response?.success !== false,
+                    truncated: true,
+                    output: trimMiddle(text, share, family)
+                }
+            };
+        })
+    };
+}
+
+/**
+ * Fit a prepared request context into the model's context window
+ *
+ * @param {string} message
+ * @param {object} context - After prompt profile and retrieval
+ * @param {object} [options]
+ * @param {string} [options.providerId]
+ * @returns {object} Context with trimmed parts and a budget report
+ *   ({ family, contextWindow, outputReserve, budget, total, overBudget, sections })
+ */
+function assembleContext(message, context = {}, options = {}) {
+    const family = getModelFamily(context.model?.modelId, options.providerId);
+    const generation = context.generation || {};
+    const contextWindow = Number(generation.contextWindow) > 0
+        ? Number(generation.contextWindow)
+        : getDefaultContextWindow(family);
+    const outputReserve = Math.min(
+        Number(generation.maxOutputTokens) > 0 ? Number(generation.maxOutputTokens) : DEFAULT_OUTPUT_RESERVE,
+        Math.floor(contextWindow / 4)
+    );
+    const budget = Math.max(0, contextWindow - outputReserve);
+    const count = text => estimateTokens(text, family);
+
+    let currentNote = context.currentNote || '';
+    let retrieved = Array.isArray(context.retrieved) ? [...context.retrieved] : [];
+    let summary = context.chat?.summary || '';
+    let history = Array.isArray(context.chat?.recentMessages) ? [...context.chat.recentMessages] : [];
+    const toolTurns = Array.isArray(context.toolTurns) ? [...context.toolTurns] : [];
+    const countToolTurns = () => toolTurns.reduce((sum, turn) => sum + toolTurnTokens(turn, family), 0);
+
+    const fixed = {
+        system: count(buildSystemPrompt(context)),
+        tools: count(formatTools(context.tools)),
+        message: count(message) + MESSAGE_OVERHEAD,
+        images: (context.images?.length || 0) * IMAGE_TOKENS,
+        files: count((context.attachedFiles || []).map(file => `${file.path}\n${file.content}`).join('\n\n'))
+    };
+    const original = {
+        note: count(currentNote),
+        retrieved: count(retrieved.map(formatChunk).join('\n\n')),
+        summary: count(summary),
+        history: history.reduce((sum, msg) => sum + messageTokens(msg, family), 0),
+        toolTurns: countToolTurns()
+    };
+    const sizes = { ...original };
+    const fixedTotal = Object.values(fixed).reduce((sum, value) => sum + value, 0);
+    const total = () => fixedTotal + sizes.note + sizes.retrieved + sizes.summary + sizes.history + sizes.toolTurns;
+    const over = () => Math.max(0, total() - budget);
+
+    // Oldest first; the latest step's results are what the model needs next
+    let omittedTurns = 0;
+    for (let i = 0; i < toolTurns.length - 1 && over() > 0; i += 1) {
+        toolTurns[i] = omitToolResults(toolTurns[i]);
+        sizes.toolTurns = countToolTurns();
+        omittedTurns += 1;
+    }
+
+    const dropHistory = (keep) => {
+        while (over() > 0 && history.length > keep) {
+            sizes.history -= messageTokens(history.shift(), family);
+        }
+    };
+
+    dropHistory(MIN_RECENT_MESSAGES);
+
+    if (over() > 0 && summary) {
+        summary = trimMiddle(summary, sizes.summary - over(), family);
+        sizes.summary = count(summary);
+    }
+
+    while (over() > 0 && retrieved.length) {
+        retrieved.pop();
+        sizes.retrieved = count(retrieved.map(formatChunk).join('\n\n'));
+    }
+
+    if (over() > 0 && currentNote) {
+        currentNote = trimMiddle(currentNote, sizes.note - over(), family);
+        sizes.note = count(currentNote);
+    }
+
+    dropHistory(0);
+
+    if (over() > 0 && toolTurns.length) {
+        const last = toolTurns.length - 1;
+        const resultTokens = estimateTokens(JSON.stringify(toolTurns[last].results || []), family);
+        toolTurns[last] = trimToolResults(toolTurns[last], resultTokens - over(), family);
+        sizes.toolTurns = countToolTurns();
+    }
+
+    const droppedMessages = (context.chat?.recentMessages?.length || 0) - history.length;
+    const toolCount = context.tools?.length || 0;
+    const fileCount = context.attachedFiles?.length || 0;
+    const section = (id, label, tokens, originalTokens = tokens, detail = '') => ({
+        id,
+        label,
+        tokens,
+        originalTokens,
+        trimmed: tokens < originalTokens,
+        detail
+    });
+
+    const report = {
+        family,
+        contextWindow,
+        outputReserve,
+        budget,
+        total: total(),
+        overBudget: total() > budget,
+        sections: [
+            section('system', 'System prompt', fixed.system),
+            section('tools', 'Tools', fixed.tools, fixed.tools, `${toolCount} tool${toolCount !== 1 ? 's' : ''}`),
+            section('files', 'Attached files', fixed.files, fixed.files, `${fileCount} file${fileCount !== 1 ? 's' : ''}`),
+            section('note', 'Current note', sizes.note, original.note, context.activeFile?.filename || ''),
+            section('retrieved', 'Retrieved notes', sizes.retrieved, original.retrieved,
+                `${retrieved.length} of ${context.retrieved?.length || 0} excerpts`),
+            section('summary', 'Chat summary', sizes.summary, original.summary),
+            section('history', 'Chat history', sizes.history, original.history,
+                `${history.length} of ${context.chat?.recentMessages?.length || 0} messages`),
+            section('images', 'Images', fixed.images, fixed.images, `${context.images?.length || 0} attached`),
+            section('message', 'Message', fixed.message)
+        ]
+    };
+    if (toolTurns.length) {
+        report.sections.push(section('toolTurns', 'Tool results', sizes.toolTurns, original.toolTurns,
+            `${toolTurns.length} step${toolTurns.length !== 1 ? 's' : ''}, ${omittedTurns} dropped`));
+    }
+
+    const assembled = { ...context, currentNote, retrieved, budget: report };
+    if (Array.isArray(context.toolTurns)) {
+        assembled.toolTurns = toolTurns;
+    }
+    if (context.chat) {
+        assembled.chat = {
+            ...context.chat,
+            summary,
+            recentMessages: history,
+            olderMessageCount: (context.chat.olderMessageCount || 0) + droppedMessages
+        };
+    }
+    return assembled;
+}
+
+module.exports = {
+    assembleContext
+};
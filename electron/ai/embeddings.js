@@ -0,0 +1,131 @@
+/**
+ * Embeddings client for semantic search
+ *
+ * Calls the embeddings endpoint of the configured Ollama or OpenAI-compatible
+ * server. Connection details default to that provider's AI settings
+ * (aiProvider.providers[provider]); search.semantic can override them.
+ * Note text is redacted like chat requests (aiPrivacy.redactProviders) and
+ * every batch is added to the outbound audit log.
+ */
+
+const { isRedactionEnabled, createRedactor } = require('./redaction');
+const auditLog = require('./audit-log');
+
+const DEFAULT_MODELS = {
+    ollama: 'nomic-embed-text',
+    'openai-compatible': 'text-embedding-3-small'
+};
+const BATCH_SIZE = 16;
+// Per request; a stalled server must not hold up indexing or search
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * fetch that fails after timeoutMs
+ */
+async function fetchWithTimeout(url, options, timeoutMs) {
+    try {
+        return await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`Embeddings request timed out after ${Math.round(timeoutMs / 1000)}s`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Build an embedder from system preferences
+ * @returns {{ model: string, embed: Function } | null} null when semantic search is off.
+ *   embed(texts, { timeoutMs }) resolves with one vector per text.
+ */
+function createEmbedder(prefs = {}) {
+    const semantic = prefs?.search?.semantic || {};
+    if (!semantic.enabled) return null;
+
+    const providerId = semantic.provider === 'openai-compatible' ? 'openai-compatible' : 'ollama';
+    const providerConfig = prefs?.aiProvider?.providers?.[providerId] || {};
+    const model = semantic.model || DEFAULT_MODELS[providerId];
+    const redactor = isRedactionEnabled(prefs?.aiPrivacy, providerId) ? createRedactor(prefs.aiPrivacy) : null;
+    const redact = texts => (redactor ? texts.map(text => redactor.redact(text)) : texts);
+
+    if (providerId === 'ollama') {
+        const baseUrl = (semantic.baseUrl || providerConfig.baseUrl || process.env.OLLAMA_HOST || 'http://localhost:11434')
+            .replace(/\/$/, '');
+
+        return {
+            model: `ollama:${model}`,
+            embed: (texts, options = {}) => embedBatched(redact(texts), { providerId, baseUrl, model }, async (batch) => {
+                const response = await fetchWithTimeout(`${baseUrl}/api/embed`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ model, input: batch })
+                }, options.timeoutMs || DEFAULT_TIMEOUT_MS);
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(`Ollama embeddings error: ${response.status} - ${errorText}`);
+                }
+                const data = await response.json();
+                return data.embeddings || [];
+            })
+        };
+    }
+
+    const baseUrl = (semantic.baseUrl || providerConfig.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL || '')
+        .replace(/\/$/, '');
+    if (!baseUrl) return null;
+    const apiKey = semantic.apiKey || providerConfig.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY || '';
+
+    return {
+        model: `openai-compatible:${model}`,
+        embed: (texts, options = {}) => embedBatched(redact(texts), { providerId, baseUrl, model }, async (batch) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+            const response = await fetchWithTimeout(`${baseUrl}/embeddings`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ model, input: batch })
+            }, options.timeoutMs || DEFAULT_TIMEOUT_MS);
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`OpenAI-compatible embeddings error: ${response.status} - ${errorText}`);
+            }
+            const data = await response.json();
+            return (data.data || [])
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+        })
+    };
+}
+
+async function embedBatched(texts, target, embedBatch) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+        const batch = texts.slice(i, i + BATCH_SIZE);
+        const auditId = await auditLog.recordRequest({
+            kind: 'embedding',
+            provider: target.providerId,
+            endpoint: auditLog.getHost(target.baseUrl),
+            model: target.model,
+            payload: { input: batch }
+        });
+        let result;
+        try {
+            result = await embedBatch(batch);
+        } catch (error) {
+            await auditLog.recordOutcome(auditId, { error });
+            throw error;
+        }
+        await auditLog.recordOutcome(auditId);
+        if (result.length !== batch.length) {
+            throw new Error(`Embeddings endpoint returned ${result.length} vectors for ${batch.length} inputs`);
+        }
+        vectors.push(...result);
+    }
+    return vectors;
+}
+
+module.exports = {
+    createEmbedder
+};
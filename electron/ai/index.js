@@ -2,14 +2,38 @@
  * Provider-agnostic AI manager
  */
 
-const { ipcMain } = require('electron');
+const { ipcMain, dialog, BrowserWindow } = require('electron');
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const { throwIfAborted } = require('./stream-utils');
+const { getErrorStatus, isRetryableError, getBackoffDelay, sleep } = require('./retry');
+const usageLedger = require('./usage-ledger');
+const promptProfiles = require('./prompt-profiles');
+const { retrieveChunks } = require('./retrieval');
+const chatSummary = require('./chat-summary');
+const inlineCompletion = require('./inline-completion');
+const { assembleContext } = require('./context-assembler');
+const { buildConversation } = require('./prompts');
+const redaction = require('./redaction');
+const auditLog = require('./audit-log');
+
+const DEFAULT_MAX_AGENT_STEPS = 5;
+const DEFAULT_FALLBACK = {
+    chain: [],
+    maxRetries: 2,
+    retryBaseDelayMs: 1000
+};
 
 let activeProvider = null;
 let activeProviderId = null;
 
+// callId -> { resolve, reject } for tool calls awaiting the renderer
+const pendingToolCalls = new Map();
+
+// requestId -> AbortController for in-flight ai:stream-message requests
+const activeRequests = new Map();
+
 function loadProvider(providerId) {
     try {
         // Allow drop-in providers in ./providers
@@ -58,22 +82,661 @@ function initializeAI(config = {}) {
     return Boolean(activeProvider);
 }
 
-async function sendMessage(message, context = {}) {
-    if (!activeProvider) {
+async function getFallbackSettings() {
+    try {
+        const settingsManager = require('../settings-manager');
+        const prefs = await settingsManager.getSystemPreferences();
+        return {
+            ...DEFAULT_FALLBACK,
+            ...prefs?.aiProvider?.fallback,
+            providerConfigs: prefs?.aiProvider?.providers || {}
+        };
+    } catch (_error) {
+        return { ...DEFAULT_FALLBACK, providerConfigs: {} };
+    }
+}
+
+/**
+ * Ordered request targets: the active provider (with the model picked in
+ * chat), then each { provider, model } entry from aiProvider.fallback.chain
+ * unless context.fallback is false
+ */
+function buildProviderChain(context, settings) {
+    const chain = [];
+
+    if (activeProvider) {
+        chain.push({ providerId: activeProviderId, provider: activeProvider, model: context.model || null });
+    }
+    if (context.fallback === false) {
+        return chain;
+    }
+
+    (settings.chain || []).forEach((entry) => {
+        if (!entry?.provider) return;
+        chain.push({
+            providerId: entry.provider,
+            provider: entry.provider === activeProviderId ? activeProvider : null,
+            model: entry.model ? { modelId: entry.model } : null,
+            config: settings.providerConfigs[entry.provider] || {}
+        });
+    });
+
+    return chain;
+}
+
+function resolveChainProvider(target) {
+    if (target.provider) return target.provider;
+
+    const provider = loadProvider(target.providerId);
+    if (!provider || !provider.init(target.config)) {
+        throw new Error(`Fallback provider ${target.providerId} is not available`);
+    }
+    return provider;
+}
+
+/**
+ * Run a provider call down the fallback chain. Retries 429/5xx with
+ * exponential backoff before moving on to the next target. A target that
+ * already streamed text is never retried, to avoid duplicated output.
+ * Secrets are redacted per target, since only some providers get raw data.
+ *
+ * @param {string} message
+ * @param {object} context
+ * @param {Function} invoke - (provider, message, context, state) => Promise<response>;
+ *   set state.emitted once output has reached the caller. state.redactor is
+ *   set when the target's input was redacted.
+ */
+async function runWithFallback(message, context, invoke) {
+    const settings = await getFallbackSettings();
+    const chain = buildProviderChain(context, settings);
+    const maxRetries = Math.max(0, Number(settings.maxRetries) || 0);
+    const baseDelayMs = Math.max(0, Number(settings.retryBaseDelayMs) || DEFAULT_FALLBACK.retryBaseDelayMs);
+
+    if (!chain.length) {
         throw new Error('AI provider not initialized.');
     }
 
+    let lastError = null;
+
+    for (let index = 0; index < chain.length; index += 1) {
+        const target = chain[index];
+        let provider = null;
+
+        try {
+            provider = resolveChainProvider(target);
+        } catch (error) {
+            console.warn('[AI:fallback]', error.message);
+            lastError = error;
+            continue;
+        }
+
+        const redactor = await redaction.getRedactor(target.providerId);
+        let targetMessage = message;
+        let targetContext = { ...context, model: target.model || undefined };
+        if (redactor) {
+            targetMessage = redactor.redact(message);
+            targetContext = redaction.redactContext(redactor, targetContext);
+        }
+
+        for (let attempt = 0; ; attempt += 1) {
+            const state = { emitted: false, redactor };
+            // Logged before it leaves the machine, the outcome once it settles
+            const auditId = await auditRequest(target, provider, targetMessage, targetContext, redactor?.count);
+            try {
+                const response = await invoke(provider, targetMessage, targetContext, state);
+                await auditLog.recordOutcome(auditId, {
+                    toolCalls: (response?.functionCalls || []).map(({ name, args }) => ({ name, args }))
+                });
+                return {
+                    ...(redactor ? redaction.restoreResponse(redactor, response) : response),
+                    provider: target.providerId,
+                    model: target.model?.modelId || null,
+                    fallback: index > 0
+                };
+            } catch (error) {
+                await auditLog.recordOutcome(auditId, { error });
+                if (context.signal?.aborted || state.emitted) {
+                    throw error;
+                }
+                lastError = error;
+
+                if (isRetryableError(error) && attempt < maxRetries) {
+                    const delay = getBackoffDelay(attempt, baseDelayMs);
+                    console.warn(`[AI:fallback] ${target.providerId} failed (${getErrorStatus(error) || 'retryable'}), retrying in ${delay}ms`);
+                    await sleep(delay, context.signal);
+                    continue;
+                }
+
+                console.warn(`[AI:fallback] ${target.providerId} failed: ${error.message}`);
+                break;
+            }
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Workspace files whose content is part of a request
+ */
+function getAttachedFiles(context) {
+    const files = new Set();
+    if (context.activeFile?.filename && context.currentNote) {
+        files.add(context.activeFile.filename);
+    }
+    (context.attachedFiles || []).forEach(file => files.add(file.path));
+    (context.retrieved || []).forEach(chunk => files.add(chunk.path));
+    return [...files];
+}
+
+/**
+ * Add one provider call (as sent, after redaction) to the outbound audit log
+ * @returns {Promise<string|null>} Audit entry id for recordOutcome
+ */
+async function auditRequest(target, provider, message, context, redacted = 0) {
+    const conversation = buildConversation(message, context);
+    const endpoint = typeof provider.getEndpoint === 'function'
+        ? provider.getEndpoint(context.model?.modelId) || {}
+        : {};
+
+    return await auditLog.recordRequest({
+        requestId: context.requestId,
+        sessionId: context.sessionId,
+        kind: context.purpose || 'chat',
+        provider: target.providerId,
+        endpoint: auditLog.getHost(endpoint.url),
+        model: endpoint.model || context.model?.modelId,
+        payload: {
+            system: conversation.system,
+            // Images are logged separately, by hash
+            messages: conversation.messages.map(msg => (msg.images
+                ? { ...msg, images: msg.images.map(image => ({ path: image.path || null, mimeType: image.mimeType })) }
+                : msg)),
+            tools: (context.tools || []).map(tool => tool.name),
+            generation: context.generation || null
+        },
+        files: getAttachedFiles(context),
+        images: context.images,
+        toolResults: (context.toolTurns || []).flatMap(turn => (turn.results || []).map(result => result.name)),
+        redacted
+    });
+}
+
+async function sendMessage(message, context = {}) {
     try {
-        return await activeProvider.sendMessage(message, context);
+        return await runWithFallback(message, context,
+            (provider, targetMessage, targetContext) => provider.sendMessage(targetMessage, targetContext));
     } catch (error) {
         console.error('AI provider error:', error);
         throw new Error(`AI request failed: ${error.message}`);
     }
 }
 
+/**
+ * Stream a message through the active provider (and fallbacks).
+ * Providers without streamMessage fall back to sendMessage and emit the
+ * full text as a single chunk.
+ */
+async function streamMessage(message, context = {}, onChunk = () => { }) {
+    try {
+        return await runWithFallback(message, context, async (provider, targetMessage, targetContext, state) => {
+            // Placeholders are mapped back before chunks reach the caller
+            const restorer = state.redactor?.createStreamRestorer();
+            const emit = (delta) => {
+                const text = restorer ? restorer.push(delta) : delta;
+                if (!text) return;
+                state.emitted = true;
+                onChunk(text);
+            };
+            const flush = () => {
+                const rest = restorer?.flush();
+                if (rest) {
+                    state.emitted = true;
+                    onChunk(rest);
+                }
+            };
+
+            if (typeof provider.streamMessage === 'function') {
+                const response = await provider.streamMessage(targetMessage, targetContext, emit);
+                flush();
+                return response;
+            }
+
+            const response = await provider.sendMessage(targetMessage, targetContext);
+            if (response?.type === 'text' && response.text) {
+                emit(response.text);
+                flush();
+            }
+            return response;
+        });
+    } catch (error) {
+        if (context.signal?.aborted) {
+            throw error;
+        }
+        console.error('AI provider error:', error);
+        throw new Error(`AI request failed: ${error.message}`);
+    }
+}
+
+function sumUsage(total, usage) {
+    const add = (a, b) => (typeof b === 'number' ? (a || 0) + b : a);
+    return {
+        totalTokens: add(total.totalTokens, usage?.totalTokens),
+        promptTokens: add(total.promptTokens, usage?.promptTokens),
+        responseTokens: add(total.responseTokens, usage?.responseTokens)
+    };
+}
+
+async function getMaxAgentSteps() {
+    try {
+        const settingsManager = require('../settings-manager');
+        const prefs = await settingsManager.getSystemPreferences();
+        const value = Number(prefs?.aiChat?.maxAgentSteps);
+        return Number.isFinite(value) && value > 0 ? Math.floor(value) : DEFAULT_MAX_AGENT_STEPS;
+    } catch (_error) {
+        return DEFAULT_MAX_AGENT_STEPS;
+    }
+}
+
+/**
+ * Run a bounded agent loop: every function call returned by the model is
+ * executed through executeTool and fed back as a tool turn until the model
+ * answers with text or maxSteps is reached.
+ *
+ * @param {string} message
+ * @param {object} context
+ * @param {object} options
+ * @param {Function} options.executeTool - async (call, step) => result
+ * @param {Function} [options.onChunk] - (delta, step) => void
+ * @param {number} [options.maxSteps]
+ * @param {AbortSignal} [options.signal] - Cancels the loop; resolves with stopReason 'cancelled'
+ */
+async function runAgentLoop(message, context = {}, options = {}) {
+    const { executeTool, onChunk = () => { }, signal } = options;
+    const maxSteps = options.maxSteps || DEFAULT_MAX_AGENT_STEPS;
+    const startTime = Date.now();
+    const toolTurns = [];
+    const steps = [];
+    let usage = { totalTokens: null, promptTokens: null, responseTokens: null };
+    // Text streamed by the step in progress, returned if the request is cancelled
+    let partialText = '';
+
+    try {
+        for (let step = 1; step <= maxSteps; step += 1) {
+            throwIfAborted(signal);
+            partialText = '';
+
+            // Tool results grow the request each step; fit it to the window again
+            const stepContext = toolTurns.length
+                ? assembleContext(message, { ...context, toolTurns }, { providerId: activeProviderId })
+                : context;
+            const response = await streamMessage(
+                message,
+                { ...stepContext, toolTurns: stepContext.toolTurns || toolTurns, signal },
+                (delta) => {
+                    partialText += delta;
+                    onChunk(delta, step);
+                }
+            );
+            usage = sumUsage(usage, response?.usage);
+
+            if (response?.type !== 'function_call' || !response.functionCalls?.length) {
+                return {
+                    ...response,
+                    usage,
+                    steps,
+                    elapsedMs: Date.now() - startTime
+                };
+            }
+
+            // The renderer settles text streamed before a tool call on its own
+            partialText = '';
+
+            const results = [];
+            for (const call of response.functionCalls) {
+                throwIfAborted(signal);
+                let result = null;
+                try {
+                    result = await executeTool(call, step);
+                } catch (error) {
+                    result = { success: false, error: error.message };
+                }
+                results.push({ id: call.id, name: call.name, response: result });
+            }
+
+            toolTurns.push({ text: response.text || '', functionCalls: response.functionCalls, results });
+            steps.push({
+                step,
+                calls: response.functionCalls.map((call, index) => ({
+                    name: call.name,
+                    args: call.args,
+                    success: results[index]?.response?.success !== false
+                })),
+                usage: response.usage,
+                elapsedMs: response.elapsedMs
+            });
+        }
+
+        throwIfAborted(signal);
+    } catch (error) {
+        if (!signal?.aborted) {
+            throw error;
+        }
+
+        return {
+            type: 'text',
+            text: partialText,
+            stopReason: 'cancelled',
+            usage,
+            steps,
+            elapsedMs: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    return {
+        type: 'text',
+        text: '',
+        stopReason: 'max_steps',
+        usage,
+        steps,
+        elapsedMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Ask the renderer that owns the request to execute a tool call.
+ * Resolves once the renderer answers on ai:tool-result.
+ */
+function requestToolExecution(sender, requestId, call, step) {
+    const callId = `${requestId}:${step}:${call.id || call.name}`;
+
+    return new Promise((resolve, reject) => {
+        if (sender.isDestroyed()) {
+            reject(new Error('Chat window closed'));
+            return;
+        }
+        pendingToolCalls.set(callId, { resolve, reject });
+        sender.send('ai:tool-request', {
+            requestId,
+            callId,
+            step,
+            name: call.name,
+            args: call.args || {}
+        });
+    });
+}
+
+/**
+ * Abort an in-flight request and release any tool calls it is waiting on
+ */
+function cancelRequest(requestId) {
+    const controller = activeRequests.get(requestId);
+    if (!controller) {
+        return { success: false };
+    }
+
+    controller.abort();
+    // Commands it started through run_command
+    require('../terminal').cancelCommandRuns(requestId);
+
+    for (const [callId, pending] of pendingToolCalls) {
+        if (callId.startsWith(`${requestId}:`)) {
+            pendingToolCalls.delete(callId);
+            pending.reject(new Error('Request cancelled'));
+        }
+    }
+
+    return { success: true };
+}
+
+/**
+ * Render the chat's prompt profile into context.systemPrompt
+ */
+async function applyPromptProfile(context = {}) {
+    if (!context?.promptProfile) return context;
+
+    try {
+        const systemPrompt = await promptProfiles.renderProfile(context.promptProfile, context.currentNote);
+        return systemPrompt ? { ...context, systemPrompt } : context;
+    } catch (error) {
+        console.error('Prompt profile error:', error);
+        return context;
+    }
+}
+
+/**
+ * Attach workspace notes relevant to the message as context.retrieved
+ * (aiChat.retrieveNotes). The open note is already sent in full.
+ */
+async function applyRetrieval(message, context = {}) {
+    try {
+        const settingsManager = require('../settings-manager');
+        const fileManager = require('../file-manager');
+        const prefs = await settingsManager.getSystemPreferences();
+        const aiChat = prefs?.aiChat || {};
+        if (aiChat.retrieveNotes !== true) return context;
+
+        const retrieved = retrieveChunks(fileManager.getSearchIndexer(), message, {
+            maxChunks: Number(aiChat.retrievalMaxChunks) || undefined,
+            tokenBudget: Number(aiChat.retrievalTokenBudget) || undefined,
+            excludePath: context.activeFile?.filename
+        });
+        return retrieved.length ? { ...context, retrieved } : context;
+    } catch (error) {
+        console.error('Note retrieval error:', error);
+        return context;
+    }
+}
+
+/**
+ * Prompt profile, retrieval and budgeting run once per request, not per agent step.
+ * Rejects between stages once the signal is aborted.
+ */
+async function prepareContext(message, rawContext = {}, signal = null) {
+    const profiled = await applyPromptProfile(rawContext);
+    throwIfAborted(signal);
+    const context = await applyRetrieval(message, profiled);
+    throwIfAborted(signal);
+    return assembleContext(message, context, { providerId: activeProviderId });
+}
+
+/**
+ * What a request would send, without sending it
+ */
+async function previewContext(message, rawContext = {}) {
+    const context = await prepareContext(message, rawContext);
+    const redactor = await redaction.getRedactor(activeProviderId);
+    const conversation = redactor
+        ? buildConversation(redactor.redact(message), redaction.redactContext(redactor, context))
+        : buildConversation(message, context);
+    return {
+        budget: context.budget,
+        sources: getSources(context),
+        redacted: redactor ? redactor.count : null,
+        system: conversation.system,
+        messages: conversation.messages.map(msg => ({
+            role: msg.role,
+            content: msg.content,
+            images: msg.images?.length || 0
+        }))
+    };
+}
+
+/**
+ * Cited notes for the renderer to link under the answer
+ */
+function getSources(context) {
+    return (context.retrieved || []).map(({ index, path: filePath, heading }) => ({
+        index,
+        path: filePath,
+        heading
+    }));
+}
+
+/**
+ * Add a finished request to the workspace usage ledger
+ */
+async function recordRequestUsage(requestId, context = {}, response = {}) {
+    await usageLedger.recordUsage({
+        requestId,
+        sessionId: context?.sessionId,
+        provider: response?.provider || activeProviderId,
+        model: response?.model || context?.model?.modelId,
+        usage: response?.usage,
+        elapsedMs: response?.elapsedMs,
+        steps: response?.steps,
+        stopReason: response?.stopReason
+    });
+}
+
 function registerHandlers() {
-    ipcMain.handle('ai:send-message', async (_event, message, context) => {
-        return await sendMessage(message, context);
+    ipcMain.handle('ai:send-message', async (_event, message, rawContext) => {
+        const context = await prepareContext(message, rawContext);
+        const response = await sendMessage(message, context);
+        await recordRequestUsage(null, context, response);
+        return { ...response, sources: getSources(context) };
+    });
+
+    ipcMain.handle('ai:stream-message', async (event, requestId, message, rawContext) => {
+        // Registered first so ai:cancel also reaches a request still preparing its context
+        const controller = new AbortController();
+        activeRequests.set(requestId, controller);
+
+        const sender = event.sender;
+        let text = '';
+        let currentStep = 0;
+
+        try {
+            let context;
+            let maxSteps;
+            try {
+                context = { ...(await prepareContext(message, rawContext, controller.signal)), requestId };
+                maxSteps = await getMaxAgentSteps();
+                throwIfAborted(controller.signal);
+            } catch (error) {
+                if (!controller.signal.aborted) throw error;
+                return {
+                    type: 'text',
+                    text: '',
+                    stopReason: 'cancelled',
+                    usage: { totalTokens: null, promptTokens: null, responseTokens: null },
+                    steps: [],
+                    elapsedMs: 0,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const response = await runAgentLoop(message, context, {
+                maxSteps,
+                signal: controller.signal,
+                executeTool: (call, step) => requestToolExecution(sender, requestId, call, step),
+                onChunk: (delta, step) => {
+                    if (!delta || sender.isDestroyed()) return;
+                    // Each agent step streams into its own bubble
+                    if (step !== currentStep) {
+                        currentStep = step;
+                        text = '';
+                    }
+                    text += delta;
+                    sender.send('ai:message-chunk', { requestId, step, delta, text });
+                }
+            });
+            await recordRequestUsage(requestId, context, response);
+            return { ...response, sources: getSources(context) };
+        } finally {
+            activeRequests.delete(requestId);
+        }
+    });
+
+    ipcMain.handle('ai:preview-context', async (_event, message, rawContext) => {
+        return await previewContext(message, rawContext);
+    });
+
+    ipcMain.handle('ai:chat-summary', async (_event, sessionId, options = {}) => {
+        // Runs under the chat request's id, so ai:cancel stops it too
+        const requestId = options?.requestId || null;
+        const controller = new AbortController();
+        if (requestId) activeRequests.set(requestId, controller);
+
+        try {
+            return await chatSummary.getChatSummary(
+                sessionId,
+                { ...options, signal: controller.signal },
+                sendMessage,
+                (context, response) => recordRequestUsage(requestId, context, response)
+            );
+        } finally {
+            if (requestId && activeRequests.get(requestId) === controller) {
+                activeRequests.delete(requestId);
+            }
+        }
+    });
+
+    ipcMain.handle('ai:complete-inline', async (_event, requestId, request) => {
+        const controller = new AbortController();
+        activeRequests.set(requestId, controller);
+
+        try {
+            return await inlineCompletion.getInlineCompletion(request || {}, {
+                providerId: activeProviderId,
+                provider: activeProvider,
+                requestId,
+                signal: controller.signal,
+                sendMessage: (message, context) => runWithFallback(message, context,
+                    (provider, targetMessage, targetContext) => provider.sendMessage(targetMessage, targetContext)),
+                onResponse: (context, response) => recordRequestUsage(requestId, context, response)
+            });
+        } catch (error) {
+            // Superseded by newer typing
+            if (controller.signal.aborted) return { text: '', cancelled: true };
+            console.error('Inline completion error:', error);
+            return { text: '', error: error.message };
+        } finally {
+            activeRequests.delete(requestId);
+        }
+    });
+
+    ipcMain.handle('ai:cancel', async (_event, requestId) => {
+        return cancelRequest(requestId);
+    });
+
+    ipcMain.handle('ai:tool-result', async (_event, callId, result) => {
+        const pending = pendingToolCalls.get(callId);
+        if (!pending) return { success: false };
+        pendingToolCalls.delete(callId);
+        pending.resolve(result);
+        return { success: true };
+    });
+
+    ipcMain.handle('ai:audit-log', async (_event, options) => {
+        return await auditLog.readAuditLog(options || {});
+    });
+
+    ipcMain.handle('ai:audit-entry', async (_event, line) => {
+        return await auditLog.readAuditEntry(line);
+    });
+
+    ipcMain.handle('ai:audit-export', async (event) => {
+        const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+            title: 'Export AI Audit Log',
+            defaultPath: `ai-audit-${new Date().toISOString().slice(0, 10)}.jsonl`,
+            filters: [{ name: 'JSON Lines', extensions: ['jsonl'] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return { canceled: true };
+        }
+        return { canceled: false, filePath: await auditLog.exportAuditLog(result.filePath) };
+    });
+
+    ipcMain.handle('ai:list-redaction-detectors', async () => {
+        return redaction.listDetectors();
+    });
+
+    ipcMain.handle('ai:test-redaction', async (_event, text, privacy) => {
+        const redactor = redaction.createRedactor(privacy || {});
+        return { text: redactor.redact(String(text || '')), count: redactor.count };
     });
 
     ipcMain.handle('ai:list-providers', async () => {
@@ -89,13 +752,34 @@ function registerHandlers() {
     });
 
     ipcMain.handle('ai:list-models', async () => {
-        return listModels();
+        return await listModels();
+    });
+
+    ipcMain.handle('ai:list-prompt-profiles', async () => {
+        return await promptProfiles.listProfiles();
+    });
+
+    ipcMain.handle('ai:edit-prompt-profile', async (_event, profileId) => {
+        return await promptProfiles.ensureWorkspaceProfile(profileId);
+    });
+
+    ipcMain.handle('ai:create-prompt-profile', async (_event, name) => {
+        return await promptProfiles.createProfile(name);
+    });
+
+    ipcMain.handle('ai:usage-summary', async (_event, options) => {
+        return await usageLedger.summarizeUsage(options);
+    });
+
+    ipcMain.handle('ai:usage-check-budget', async (_event, sessionId) => {
+        return await usageLedger.checkBudget(sessionId);
     });
 }
 
 module.exports = {
     initializeAI,
     registerHandlers,
+    runAgentLoop,
     listProviders,
     getProviderInfo,
     switchProvider,
@@ -142,13 +826,17 @@ function listProviders() {
 }
 
 /**
- * List all available models from registry
+ * List all available models from registry, plus any models the active
+ * provider discovers at runtime (e.g. installed Ollama models)
  */
-function listModels() {
+async function listModels() {
     try {
         const registryPath = path.join(__dirname, 'model-registry.json');
         const registryModels = loadRegistryModels(registryPath);
         const definitionModels = loadModelDefinitions();
+        const providerModels = typeof activeProvider?.listModels === 'function'
+            ? await activeProvider.listModels()
+            : [];
 
         const merged = new Map();
         registryModels.forEach(model => {
@@ -161,6 +849,11 @@ function listModels() {
             merged.set(model.id, model);
         });
 
+        providerModels.forEach(model => {
+            if (!model?.id || merged.has(model.id)) return;
+            merged.set(model.id, model);
+        });
+
         return Array.from(merged.values());
     } catch (error) {
         console.error('Error listing models:', error);
@@ -236,6 +929,7 @@ function mapModelDefinition(config) {
         provider,
         location: config.location,
         type,
+        supports_vision: config.supports_vision === true,
         defaults: {
             temperature: config.temperature,
             topP: config.top_p,
@@ -0,0 +1,151 @@
+/**
+ * Inline completion for the note editor
+ *
+ * Asks for a short continuation of the text at the cursor, given the text
+ * around it, the note's front matter and the headings of the section being
+ * written. Opt-in through aiCompletion; cloud providers also need
+ * aiCompletion.cloudProviders, since every pause in typing sends part of the
+ * note. Only the active provider is used, never the fallback chain.
+ */
+
+const settingsManager = require('../settings-manager');
+
+const COMPLETION_PROMPT = `You complete markdown notes written during security testing (findings, reports, recon notes).
+Continue the text exactly at the cursor with what the author most likely writes next.
+Reply with the continuation only: no preamble, no quotes, no code fences unless the cursor is inside one,
+and do not repeat text that is already there. Keep it short: at most a sentence or a few list items.
+If nothing useful fits, reply with nothing.`;
+
+const MAX_PREFIX_CHARS = 4000;
+const MAX_SUFFIX_CHARS = 1000;
+const MAX_FRONT_MATTER_CHARS = 1500;
+const MAX_COMPLETION_CHARS = 400;
+const MAX_COMPLETION_LINES = 4;
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
+
+async function getCompletionPreferences() {
+    try {
+        const prefs = await settingsManager.getSystemPreferences();
+        return {
+            ...settingsManager.DEFAULT_SYSTEM_PREFERENCES.aiCompletion,
+            ...(prefs?.aiCompletion || {})
+        };
+    } catch (_error) {
+        return { ...settingsManager.DEFAULT_SYSTEM_PREFERENCES.aiCompletion };
+    }
+}
+
+/**
+ * Whether a provider runs on this machine (its endpoint is a loopback host)
+ */
+function isLocalProvider(providerId, provider) {
+    if (provider?.local === true) return true;
+    const url = typeof provider?.getEndpoint === 'function' ? provider.getEndpoint()?.url : null;
+    // Ollama defaults to localhost when no base URL is set
+    if (!url) return providerId === 'ollama';
+
+    try {
+        const host = new URL(url).hostname;
+        return LOCAL_HOSTS.includes(host) || host.startsWith('127.');
+    } catch (_error) {
+        return false;
+    }
+}
+
+function buildCompletionMessage(request) {
+    const prefix = String(request.prefix || '').slice(-MAX_PREFIX_CHARS);
+    const suffix = String(request.suffix || '').slice(0, MAX_SUFFIX_CHARS);
+    const parts = [];
+
+    if (request.filename) {
+        parts.push(`File: ${request.filename}`);
+    }
+    if (request.frontMatter) {
+        parts.push(`Front matter:\n${String(request.frontMatter).slice(0, MAX_FRONT_MATTER_CHARS)}`);
+    }
+    if (Array.isArray(request.headings) && request.headings.length) {
+        parts.push(`Current section: ${request.headings.join(' > ')}`);
+    }
+    parts.push(`<before_cursor>\n${prefix}</before_cursor>`);
+    if (suffix.trim()) {
+        parts.push(`<after_cursor>${suffix}\n</after_cursor>`);
+    }
+    parts.push('Continue the text at the cursor.');
+
+    return parts.join('\n\n');
+}
+
+/**
+ * Ghost text from a reply: unwrapped, without text the note already ends
+ * with, and capped to a few lines
+ */
+function cleanCompletion(text, prefix = '') {
+    let result = String(text || '').replace(/\r\n/g, '\n');
+
+    const fenced = result.match(/^\s*```[\w-]*\n([\s\S]*?)\n?```\s*$/);
+    if (fenced) result = fenced[1];
+    result = result.replace(/<\/?(?:before_cursor|after_cursor)>/g, '');
+
+    // Models sometimes repeat the end of the prefix first
+    const tail = String(prefix).slice(-200);
+    for (let length = Math.min(tail.length, result.length); length >= 8; length -= 1) {
+        if (tail.endsWith(result.slice(0, length))) {
+            result = result.slice(length);
+            break;
+        }
+    }
+
+    result = result.split('\n').slice(0, MAX_COMPLETION_LINES).join('\n').slice(0, MAX_COMPLETION_CHARS);
+    return result.trimEnd();
+}
+
+/**
+ * @param {object} request
+ * @param {string} request.prefix - Text before the cursor
+ * @param {string} [request.suffix] - Text after the cursor
+ * @param {string} [request.frontMatter]
+ * @param {string[]} [request.headings] - Heading trail to the cursor, outermost first
+ * @param {string} [request.filename]
+ * @param {object} [request.model] - Chat model ({ modelId, ... })
+ * @param {object} options
+ * @param {string} options.providerId - Active provider
+ * @param {object} options.provider
+ * @param {Function} options.sendMessage - async (message, context) => response
+ * @param {Function} [options.onResponse] - (context, response) => void, for usage tracking
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.requestId]
+ * @returns {Promise<{ text: string, skipped?: string }>}
+ */
+async function getInlineCompletion(request = {}, options = {}) {
+    const prefs = await getCompletionPreferences();
+    if (!prefs.enabled) return { text: '', skipped: 'disabled' };
+    if (!options.provider) return { text: '', skipped: 'no-provider' };
+    if (!prefs.cloudProviders && !isLocalProvider(options.providerId, options.provider)) {
+        return { text: '', skipped: 'cloud' };
+    }
+    if (!String(request.prefix || '').trim()) return { text: '' };
+
+    const context = {
+        systemPrompt: COMPLETION_PROMPT,
+        model: request.model || undefined,
+        requestId: options.requestId,
+        purpose: 'completion',
+        // A local model must not fall back to a cloud one
+        fallback: false,
+        signal: options.signal,
+        generation: {
+            maxOutputTokens: Math.max(8, Number(prefs.maxOutputTokens) || 64),
+            temperature: 0.2
+        }
+    };
+    const response = await options.sendMessage(buildCompletionMessage(request), context);
+    await options.onResponse?.(context, response);
+
+    return { text: cleanCompletion(response?.text, request.prefix) };
+}
+
+module.exports = {
+    isLocalProvider,
+    cleanCompletion,
+    getInlineCompletion
+};
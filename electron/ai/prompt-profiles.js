@@ -0,0 +1,237 @@
+/**
+ * System prompt profiles
+ *
+ * A profile is a markdown file whose body is the system prompt and whose
+ * front matter holds name, description and default variable values:
+ *
+ *   ---
+ *   name: Web recon
+ *   description: Map the attack surface of a web target
+ *   variables:
+ *     target_name: the target
+ *   ---
+ *   You are helping with recon on {{target_name}}...
+ *
+ * Built-in profiles ship in ./prompt-profiles; files in the workspace
+ * prompts/ folder add to them or override them by id (file name).
+ * {{variables}} are filled from the active note's front matter.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { DEFAULT_SYSTEM_PROMPT } = require('./prompts');
+
+const BUILTIN_DIR = path.join(__dirname, 'prompt-profiles');
+const WORKSPACE_DIRNAME = 'prompts';
+const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_PROFILE = {
+    id: DEFAULT_PROFILE_ID,
+    name: 'Bug bounty',
+    description: 'General security research and bug bounty assistant',
+    variables: {},
+    template: DEFAULT_SYSTEM_PROMPT
+};
+
+function parseFrontMatter(raw) {
+    const text = raw.startsWith('\uFEFF') ? raw.slice(1) : raw;
+    const match = text.match(/^---\s*\n([\s\S]*?)\n---\s*\n?/);
+    if (!match) {
+        return { data: {}, body: text };
+    }
+
+    let data = {};
+    try {
+        data = yaml.load(match[1]) || {};
+    } catch (_error) {
+        data = {};
+    }
+
+    return { data, body: text.slice(match[0].length) };
+}
+
+function parseProfile(raw, id, source) {
+    const { data, body } = parseFrontMatter(raw);
+    return {
+        id,
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : id,
+        description: typeof data.description === 'string' ? data.description : '',
+        variables: data.variables && typeof data.variables === 'object' ? data.variables : {},
+        template: body.trim(),
+        source
+    };
+}
+
+function getWorkspaceDir() {
+    const fileManager = require('../file-manager');
+    const notesDir = fileManager.getNotesDir();
+    return notesDir ? path.join(notesDir, WORKSPACE_DIRNAME) : null;
+}
+
+async function readProfileDir(dir, source) {
+    let entries = [];
+    try {
+        entries = await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const profiles = [];
+    for (const entry of entries) {
+        if (!entry.endsWith('.md')) continue;
+        const id = path.basename(entry, '.md');
+        try {
+            const raw = await fs.readFile(path.join(dir, entry), 'utf-8');
+            profiles.push(parseProfile(raw, id, source));
+        } catch (error) {
+            console.error(`Prompt profile read error (${entry}):`, error);
+        }
+    }
+    return profiles;
+}
+
+/**
+ * All profiles, workspace files overriding built-ins with the same id
+ */
+async function loadProfiles() {
+    const profiles = new Map();
+    profiles.set(DEFAULT_PROFILE_ID, { ...DEFAULT_PROFILE, source: 'builtin' });
+
+    (await readProfileDir(BUILTIN_DIR, 'builtin')).forEach(profile => profiles.set(profile.id, profile));
+
+    const workspaceDir = getWorkspaceDir();
+    if (workspaceDir) {
+        (await readProfileDir(workspaceDir, 'workspace')).forEach(profile => profiles.set(profile.id, profile));
+    }
+
+    return profiles;
+}
+
+/**
+ * Profile summaries for the chat picker
+ */
+async function listProfiles() {
+    const profiles = await loadProfiles();
+    return Array.from(profiles.values())
+        .map(({ id, name, description, source }) => ({
+            id,
+            name,
+            description,
+            source,
+            path: source === 'workspace' ? `${WORKSPACE_DIRNAME}/${id}.md` : null
+        }))
+        .sort((a, b) => {
+            if (a.id === DEFAULT_PROFILE_ID) return -1;
+            if (b.id === DEFAULT_PROFILE_ID) return 1;
+            return a.name.localeCompare(b.name);
+        });
+}
+
+function formatVariable(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+/**
+ * Render a profile's system prompt for the current note
+ * @param {string} profileId
+ * @param {string} [noteContent] - Active note, used for front matter variables
+ * @returns {Promise<string|null>} null when the profile does not exist
+ */
+async function renderProfile(profileId, noteContent = '') {
+    const profiles = await loadProfiles();
+    const profile = profiles.get(profileId || DEFAULT_PROFILE_ID);
+    if (!profile) return null;
+
+    const noteData = noteContent ? parseFrontMatter(String(noteContent)).data : {};
+    const variables = { ...profile.variables, ...noteData };
+
+    return profile.template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+        const value = formatVariable(variables[name]);
+        return value || 'unknown';
+    });
+}
+
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+}
+
+function serializeProfile(profile) {
+    const data = { name: profile.name, description: profile.description };
+    if (Object.keys(profile.variables || {}).length) {
+        data.variables = profile.variables;
+    }
+    const frontMatter = yaml.dump(data, { lineWidth: 120, noRefs: true });
+    return `---\n${frontMatter}---\n${profile.template}\n`;
+}
+
+/**
+ * Make a profile editable: built-ins are copied into the workspace prompts/
+ * folder the first time. Returns the workspace-relative path.
+ */
+async function ensureWorkspaceProfile(profileId) {
+    const workspaceDir = getWorkspaceDir();
+    if (!workspaceDir) {
+        throw new Error('No folder open');
+    }
+
+    const profiles = await loadProfiles();
+    const profile = profiles.get(profileId);
+    if (!profile) {
+        throw new Error(`Prompt profile not found: ${profileId}`);
+    }
+
+    const relativePath = `${WORKSPACE_DIRNAME}/${profile.id}.md`;
+    if (profile.source === 'workspace') {
+        return { id: profile.id, path: relativePath };
+    }
+
+    await fs.mkdir(workspaceDir, { recursive: true });
+    await fs.writeFile(path.join(workspaceDir, `${profile.id}.md`), serializeProfile(profile), 'utf-8');
+    return { id: profile.id, path: relativePath };
+}
+
+/**
+ * Create a new workspace profile from a name
+ */
+async function createProfile(name) {
+    const workspaceDir = getWorkspaceDir();
+    if (!workspaceDir) {
+        throw new Error('No folder open');
+    }
+
+    const baseId = slugify(name) || 'profile';
+    const profiles = await loadProfiles();
+    let id = baseId;
+    let counter = 2;
+    while (profiles.has(id)) {
+        id = `${baseId}-${counter}`;
+        counter += 1;
+    }
+
+    const profile = {
+        name: String(name).trim() || id,
+        description: '',
+        variables: { target_name: 'the target' },
+        template: 'You are a security research assistant working on {{target_name}}.\n\nDescribe the role, focus and tone for this profile here.'
+    };
+
+    await fs.mkdir(workspaceDir, { recursive: true });
+    await fs.writeFile(path.join(workspaceDir, `${id}.md`), serializeProfile(profile), 'utf-8');
+    return { id, path: `${WORKSPACE_DIRNAME}/${id}.md` };
+}
+
+module.exports = {
+    DEFAULT_PROFILE_ID,
+    listProfiles,
+    renderProfile,
+    ensureWorkspaceProfile,
+    createProfile
+};
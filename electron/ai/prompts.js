@@ -1,9 +1,16 @@
 /**
  * Shared prompt builders for AI providers
+ *
+ * Providers receive a provider-neutral conversation from buildConversation:
+ *   { system: string, messages: Message[] }
+ * where Message is one of
+ *   { role: 'user', content, images?: [{ mimeType, data }] }
+ *   { role: 'assistant', content, toolCalls?: [{ id, name, args }] }
+ *   { role: 'tool', results: [{ id, name, response }] }
+ * and each provider maps it to its native role/parts structure.
  */
 
-function buildSystemPrompt() {
-    return `You are an expert security researcher and bug bounty hunter assistant.
+const DEFAULT_SYSTEM_PROMPT = `You are an expert security researcher and bug bounty hunter assistant.
 You help analyze web applications, identify vulnerabilities, and document findings.
 
 Your capabilities:
@@ -14,28 +21,48 @@ Your capabilities:
 - Review and improve security documentation
 
 Be concise, technical, and security-focused. Provide actionable advice.`;
+
+/**
+ * System prompt for a request: the chat's rendered prompt profile
+ * (see prompt-profiles.js) or the default assistant prompt
+ */
+function buildSystemPrompt(context = {}) {
+    return context.systemPrompt || DEFAULT_SYSTEM_PROMPT;
 }
 
+/**
+ * Build the delimited context block (current note, retrieved notes, older chat summary).
+ * Recent chat turns are sent as real messages, not as part of this block.
+ */
 function buildContextPrompt(context = {}) {
     let prompt = '';
 
     if (context.currentNote) {
-        prompt += `\n--- Current Note Content ---\n${context.currentNote}\n`;
+        const filename = context.activeFile?.filename;
+        const label = filename ? `Current Note Content (${filename})` : 'Current Note Content';
+        prompt += `\n--- ${label} ---\n${context.currentNote}\n--- End Current Note ---\n`;
+    }
+
+    if (Array.isArray(context.attachedFiles)) {
+        context.attachedFiles.forEach((file) => {
+            prompt += `\n--- Attached File (${file.path}) ---\n${file.content}\n--- End Attached File ---\n`;
+        });
+    }
+
+    if (Array.isArray(context.retrieved) && context.retrieved.length) {
+        const chunks = context.retrieved.map((chunk) => {
+            const heading = chunk.heading ? ` — ${chunk.heading}` : '';
+            return `[${chunk.index}] ${chunk.path}${heading}\n${chunk.text}`;
+        });
+        prompt += `\n--- Retrieved Notes (workspace search) ---\n${chunks.join('\n\n')}\n--- End Retrieved Notes ---\n`;
+        prompt += `When you use a retrieved note, cite it as [n] with its file path. Ignore notes that are not relevant.\n`;
     }
 
     if (context.chat) {
-        const { summary, recentMessages, olderMessageCount } = context.chat;
+        const { summary, olderMessageCount } = context.chat;
 
         if (summary) {
-            prompt += `\n--- Chat Summary (earlier messages) ---\n${summary}\n`;
-        }
-
-        if (Array.isArray(recentMessages) && recentMessages.length) {
-            prompt += `\n--- Recent Chat ---\n`;
-            for (const message of recentMessages) {
-                const role = message.role === 'ai' ? 'Assistant' : message.role === 'user' ? 'User' : 'System';
-                prompt += `${role}: ${message.content}\n`;
-            }
+            prompt += `\n--- Chat Summary (earlier messages) ---\n${summary}\n--- End Chat Summary ---\n`;
         }
 
         if (olderMessageCount > 0) {
@@ -46,7 +73,98 @@ function buildContextPrompt(context = {}) {
     return prompt;
 }
 
+/**
+ * Map stored chat session messages to neutral user/assistant turns.
+ * System entries (tool status lines, errors) are UI-only and skipped.
+ */
+function mapHistoryMessages(history) {
+    if (!Array.isArray(history)) return [];
+
+    return history
+        .filter((msg) => (msg.role === 'user' || msg.role === 'ai') && String(msg.content || '').trim())
+        .map((msg) => ({
+            role: msg.role === 'ai' ? 'assistant' : 'user',
+            content: String(msg.content)
+        }));
+}
+
+/**
+ * Merge consecutive text turns with the same role and drop leading
+ * assistant turns, since most providers require strict user/assistant
+ * alternation starting with the user.
+ */
+function normalizeTurns(messages) {
+    const result = [];
+
+    messages.forEach((msg) => {
+        const previous = result[result.length - 1];
+        if (!previous && msg.role !== 'user') return;
+
+        if (previous
+            && previous.role === msg.role
+            && msg.role !== 'tool'
+            && !previous.toolCalls
+            && !msg.toolCalls) {
+            previous.content = `${previous.content}\n\n${msg.content}`;
+            return;
+        }
+
+        result.push({ ...msg });
+    });
+
+    return result;
+}
+
+/**
+ * Build the provider-neutral conversation for a request
+ * @param {string} message - The new user message
+ * @param {object} context - Context from the renderer (note, chat, images, toolTurns)
+ * @returns {{ system: string, messages: object[] }}
+ */
+function buildConversation(message, context = {}) {
+    const contextPrompt = buildContextPrompt(context);
+    const system = contextPrompt
+        ? `${buildSystemPrompt(context)}\n${contextPrompt}`
+        : buildSystemPrompt(context);
+
+    const history = mapHistoryMessages(context.chat?.recentMessages);
+
+    // The renderer persists the new message before building context, so the
+    // session tail usually already holds it
+    const last = history[history.length - 1];
+    if (last && last.role === 'user' && last.content === message) {
+        history.pop();
+    }
+
+    const messages = normalizeTurns([
+        ...history,
+        { role: 'user', content: message }
+    ]);
+
+    // Images (base64 data) only accompany the new message
+    if (Array.isArray(context.images) && context.images.length) {
+        messages[messages.length - 1].images = context.images;
+    }
+
+    const toolTurns = Array.isArray(context.toolTurns) ? context.toolTurns : [];
+    toolTurns.forEach((turn) => {
+        messages.push({
+            role: 'assistant',
+            content: turn.text || '',
+            toolCalls: turn.functionCalls
+        });
+        messages.push({
+            role: 'tool',
+            results: turn.results
+        });
+    });
+
+    return { system, messages };
+}
+
 module.exports = {
+    DEFAULT_SYSTEM_PROMPT,
     buildSystemPrompt,
-    buildContextPrompt
+    buildContextPrompt,
+    buildConversation
 };
@@ -0,0 +1,373 @@
+/**
+ * Anthropic Messages API Provider
+ *
+ * Supports system prompts, tool use (from ExtensionRegistry tool schemas),
+ * image blocks and streaming over server-sent events.
+ */
+
+const { buildConversation } = require('../prompts');
+const { readSseEvents } = require('../stream-utils');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+let config = null;
+
+function init(providerConfig = {}) {
+    try {
+        const apiKey = providerConfig.apiKey ||
+            process.env.ANTHROPIC_API_KEY;
+
+        if (!apiKey) {
+            console.warn('Anthropic API key not set. Set ANTHROPIC_API_KEY or configure it in preferences.');
+            return false;
+        }
+
+        const baseUrl = providerConfig.baseUrl ||
+            process.env.ANTHROPIC_BASE_URL ||
+            'https://api.anthropic.com';
+
+        config = {
+            apiKey,
+            baseUrl: baseUrl.replace(/\/$/, ''), // Remove trailing slash
+            model: providerConfig.model || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+            // Blank in preferences means the API default
+            temperature: providerConfig.temperature === '' || providerConfig.temperature == null
+                ? null
+                : Number(providerConfig.temperature),
+            maxTokens: Number(providerConfig.maxTokens) || 8192
+        };
+
+        console.log(`✓ Anthropic provider initialized: ${config.model}`);
+        return true;
+    } catch (error) {
+        console.error('Anthropic provider initialization error:', error);
+        return false;
+    }
+}
+
+/**
+ * Format tools for the Messages API (JSON schema goes in input_schema)
+ */
+function formatToolsForAnthropic(tools) {
+    if (!tools || !Array.isArray(tools) || tools.length === 0) {
+        return null;
+    }
+
+    return tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters || { type: 'object', properties: {} }
+    }));
+}
+
+/**
+ * Map the provider-neutral conversation to Messages API turns.
+ * Tool results are sent back as tool_result blocks in a user turn.
+ */
+function formatConversationForAnthropic(conversation) {
+    return conversation.messages.map(msg => {
+        if (msg.role === 'tool') {
+            return {
+                role: 'user',
+                content: msg.results.map(result => ({
+                    type: 'tool_result',
+                    tool_use_id: result.id,
+                    content: JSON.stringify(result.response ?? null),
+                    is_error: result.response?.success === false
+                }))
+            };
+        }
+
+        if (msg.role === 'assistant') {
+            const content = msg.content ? [{ type: 'text', text: msg.content }] : [];
+            (msg.toolCalls || []).forEach(call => {
+                content.push({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.name,
+                    input: call.args || {}
+                });
+            });
+            return { role: 'assistant', content };
+        }
+
+        if (Array.isArray(msg.images) && msg.images.length) {
+            return {
+                role: 'user',
+                content: [
+                    ...msg.images.map(image => ({
+                        type: 'image',
+                        source: {
+                            type: 'base64',
+                            media_type: image.mimeType,
+                            data: image.data
+                        }
+                    })),
+                    { type: 'text', text: msg.content }
+                ]
+            };
+        }
+
+        return { role: 'user', content: msg.content };
+    });
+}
+
+function buildRequest(message, context = {}) {
+    const conversation = buildConversation(message, context);
+    const generation = context?.generation || {};
+
+    const requestBody = {
+        model: context?.model?.modelId || config.model,
+        system: conversation.system,
+        messages: formatConversationForAnthropic(conversation),
+        max_tokens: typeof generation.maxOutputTokens === 'number' ? generation.maxOutputTokens : config.maxTokens
+    };
+
+    // Newer Claude models reject temperature and top_p together; an explicit
+    // Top P wins, otherwise the temperature (or the provider default) is sent
+    const temperature = typeof generation.temperature === 'number' ? generation.temperature : config.temperature;
+    if (typeof generation.topP === 'number') {
+        requestBody.top_p = generation.topP;
+    } else if (Number.isFinite(temperature)) {
+        // The Messages API accepts 0-1
+        requestBody.temperature = Math.min(1, Math.max(0, temperature));
+    }
+
+    const tools = context.tools ? formatToolsForAnthropic(context.tools) : null;
+    if (tools) {
+        requestBody.tools = tools;
+    }
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'x-api-key': config.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+    };
+
+    return { requestBody, headers };
+}
+
+function mapUsage(usage) {
+    if (!usage) {
+        return { totalTokens: null, promptTokens: null, responseTokens: null };
+    }
+
+    const promptTokens = (usage.input_tokens || 0)
+        + (usage.cache_creation_input_tokens || 0)
+        + (usage.cache_read_input_tokens || 0);
+    const responseTokens = usage.output_tokens ?? null;
+
+    return {
+        totalTokens: promptTokens + (responseTokens || 0),
+        promptTokens,
+        responseTokens
+    };
+}
+
+/**
+ * Map Messages API content blocks to the shared response shape
+ */
+function mapContent(blocks, usage, startTime) {
+    const text = blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    const toolUses = blocks.filter(block => block.type === 'tool_use');
+    const elapsedMs = Date.now() - startTime;
+
+    if (toolUses.length > 0) {
+        return {
+            type: 'function_call',
+            functionCalls: toolUses.map(block => ({
+                id: block.id,
+                name: block.name,
+                args: block.input || {}
+            })),
+            text,
+            usage: mapUsage(usage),
+            elapsedMs,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    return {
+        type: 'text',
+        text,
+        usage: mapUsage(usage),
+        elapsedMs,
+        timestamp: new Date().toISOString()
+    };
+}
+
+async function postMessages(requestBody, headers, signal) {
+    const response = await fetch(`${config.baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(requestBody),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Anthropic API error: ${response.status} - ${errorText}`);
+    }
+
+    return response;
+}
+
+async function sendMessage(message, context = {}) {
+    if (!config) {
+        throw new Error('Anthropic provider not initialized. Check your API key.');
+    }
+
+    const startTime = Date.now();
+    const { requestBody, headers } = buildRequest(message, context);
+
+    const response = await postMessages(requestBody, headers, context.signal);
+    const data = await response.json();
+
+    return mapContent(data.content || [], data.usage, startTime);
+}
+
+/**
+ * Streaming variant of sendMessage.
+ * Text deltas are forwarded as they arrive; tool_use input arrives as
+ * partial JSON and is parsed once its block is complete.
+ */
+async function streamMessage(message, context = {}, onChunk = () => { }) {
+    if (!config) {
+        throw new Error('Anthropic provider not initialized. Check your API key.');
+    }
+
+    const startTime = Date.now();
+    const { requestBody, headers } = buildRequest(message, context);
+    requestBody.stream = true;
+
+    const response = await postMessages(requestBody, headers, context.signal);
+
+    // index -> content block being assembled
+    const blocks = new Map();
+    let usage = null;
+
+    for await (const { event, data } of readSseEvents(response.body)) {
+        let payload = null;
+        try {
+            payload = JSON.parse(data);
+        } catch (_error) {
+            continue;
+        }
+
+        if (event === 'error' || payload.type === 'error') {
+            throw new Error(`Anthropic API error: ${payload.error?.message || data}`);
+        }
+
+        if (payload.type === 'message_start') {
+            usage = { ...payload.message?.usage };
+        } else if (payload.type === 'message_delta') {
+            usage = { ...usage, ...payload.usage };
+        } else if (payload.type === 'content_block_start') {
+            const block = { ...payload.content_block };
+            if (block.type === 'text') block.text = block.text || '';
+            if (block.type === 'tool_use') block.partialJson = '';
+            blocks.set(payload.index, block);
+        } else if (payload.type === 'content_block_delta') {
+            const block = blocks.get(payload.index);
+            if (!block) continue;
+
+            if (payload.delta?.type === 'text_delta') {
+                block.text += payload.delta.text;
+                onChunk(payload.delta.text);
+            } else if (payload.delta?.type === 'input_json_delta') {
+                block.partialJson += payload.delta.partial_json;
+            }
+        } else if (payload.type === 'content_block_stop') {
+            const block = blocks.get(payload.index);
+            if (block?.type === 'tool_use' && block.partialJson) {
+                try {
+                    block.input = JSON.parse(block.partialJson);
+                } catch (_error) {
+                    block.input = {};
+                }
+            }
+        } else if (payload.type === 'message_stop') {
+            break;
+        }
+    }
+
+    const ordered = Array.from(blocks.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([, block]) => block);
+
+    return mapContent(ordered, usage, startTime);
+}
+
+/**
+ * Where requests go, for the outbound audit log
+ */
+function getEndpoint(modelId) {
+    return { url: config?.baseUrl || null, model: modelId || config?.model || null };
+}
+
+/**
+ * Get config schema for UI
+ */
+function getConfigSchema() {
+    return {
+        fields: [
+            {
+                name: 'apiKey',
+                type: 'password',
+                label: 'API Key',
+                placeholder: 'sk-ant-...',
+                required: true,
+                description: 'Anthropic API key from console.anthropic.com'
+            },
+            {
+                name: 'model',
+                type: 'text',
+                label: 'Model',
+                placeholder: 'claude-sonnet-4-5',
+                required: false,
+                description: 'Used when no model is picked in the chat panel'
+            },
+            {
+                name: 'baseUrl',
+                type: 'text',
+                label: 'Base URL',
+                placeholder: 'https://api.anthropic.com',
+                required: false,
+                description: 'Override for proxies or gateways'
+            },
+            {
+                name: 'temperature',
+                type: 'number',
+                label: 'Temperature',
+                placeholder: '1.0',
+                required: false,
+                min: 0,
+                max: 1,
+                step: 0.1,
+                description: 'Sampling temperature (0-1); the chat panel setting overrides it'
+            },
+            {
+                name: 'maxTokens',
+                type: 'number',
+                label: 'Max Tokens',
+                placeholder: '8192',
+                required: false,
+                description: 'Maximum tokens in response'
+            }
+        ]
+    };
+}
+
+module.exports = {
+    id: 'anthropic',
+    name: 'Anthropic',
+    description: 'Anthropic Messages API',
+    init,
+    sendMessage,
+    streamMessage,
+    getConfigSchema,
+    getEndpoint
+};
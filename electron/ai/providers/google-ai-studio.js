@@ -6,7 +6,7 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { buildSystemPrompt, buildContextPrompt } = require('../prompts');
+const { buildConversation } = require('../prompts');
 
 let genAI = null;
 let model = null;
@@ -56,6 +56,49 @@ function init(providerConfig = {}) {
     }
 }
 
+/**
+ * Map the provider-neutral conversation to Gemini contents.
+ * Assistant turns become 'model'; tool results use the 'function' role.
+ */
+function formatConversationForGemini(conversation) {
+    return conversation.messages.map(msg => {
+        if (msg.role === 'tool') {
+            return {
+                role: 'function',
+                parts: msg.results.map(result => ({
+                    functionResponse: {
+                        name: result.name,
+                        response: result.response && typeof result.response === 'object'
+                            ? result.response
+                            : { result: result.response ?? null }
+                    }
+                }))
+            };
+        }
+
+        if (msg.role === 'assistant') {
+            const parts = msg.content ? [{ text: msg.content }] : [];
+            (msg.toolCalls || []).forEach(call => {
+                parts.push({
+                    functionCall: {
+                        name: call.name,
+                        args: call.args || {}
+                    }
+                });
+            });
+            return { role: 'model', parts };
+        }
+
+        const imageParts = (msg.images || []).map(image => ({
+            inlineData: {
+                mimeType: image.mimeType,
+                data: image.data
+            }
+        }));
+        return { role: 'user', parts: [...imageParts, { text: msg.content }] };
+    });
+}
+
 /**
  * Format tools for Gemini API
  * Same format as Vertex AI
@@ -74,28 +117,18 @@ function formatToolsForGemini(tools) {
     }];
 }
 
-async function sendMessage(message, context = {}) {
-    if (!model) {
-        throw new Error('Google AI Studio not initialized. Check your API key.');
-    }
-
-    const startTime = Date.now();
-    const systemPrompt = buildSystemPrompt();
-    const contextPrompt = buildContextPrompt(context);
-
-    // Build initial message
-    const contents = [
-        {
-            role: 'user',
-            parts: [{ text: `${systemPrompt}\\n\\n${contextPrompt}\\n\\n${message}` }]
-        }
-    ];
+function buildRequest(message, context = {}) {
+    const conversation = buildConversation(message, context);
+    const contents = formatConversationForGemini(conversation);
 
     // Format tools if available
     const tools = context.tools ? formatToolsForGemini(context.tools) : null;
 
     // Make API call with optional tools
-    const requestConfig = { contents };
+    const requestConfig = {
+        contents,
+        systemInstruction: conversation.system
+    };
     const generation = context?.generation || {};
     const generationConfig = {};
 
@@ -129,52 +162,93 @@ async function sendMessage(message, context = {}) {
         });
     }
 
-    const result = await requestModel.generateContent(requestConfig);
-    const response = result.response;
+    return { requestConfig, requestModel };
+}
 
+function mapResponse(response, startTime) {
     // Check if response contains function calls
     const firstCandidate = response.candidates?.[0];
     const functionCalls = firstCandidate?.content?.parts?.filter(part => part.functionCall);
+    const usage = response.usageMetadata || response.usage || null;
+    const elapsedMs = Date.now() - startTime;
+    const mappedUsage = {
+        totalTokens: usage?.totalTokenCount ?? null,
+        promptTokens: usage?.promptTokenCount ?? null,
+        responseTokens: usage?.candidatesTokenCount ?? null
+    };
 
     if (functionCalls && functionCalls.length > 0) {
         // AI wants to use tools - return function call info
-        const usage = response.usageMetadata || response.usage || null;
-        const elapsedMs = Date.now() - startTime;
-
         return {
             type: 'function_call',
-            functionCalls: functionCalls.map(part => ({
+            functionCalls: functionCalls.map((part, index) => ({
+                id: `call-${index}`,
                 name: part.functionCall.name,
                 args: part.functionCall.args
             })),
-            usage: {
-                totalTokens: usage?.totalTokenCount ?? null,
-                promptTokens: usage?.promptTokenCount ?? null,
-                responseTokens: usage?.candidatesTokenCount ?? null
-            },
+            usage: mappedUsage,
             elapsedMs,
             timestamp: new Date().toISOString()
         };
     }
 
     // Normal text response
-    const text = firstCandidate?.content?.parts?.[0]?.text || '';
-    const usage = response.usageMetadata || response.usage || null;
-    const elapsedMs = Date.now() - startTime;
+    const text = (firstCandidate?.content?.parts || [])
+        .map(part => part.text || '')
+        .join('');
 
     return {
         type: 'text',
         text,
-        usage: {
-            totalTokens: usage?.totalTokenCount ?? null,
-            promptTokens: usage?.promptTokenCount ?? null,
-            responseTokens: usage?.candidatesTokenCount ?? null
-        },
+        usage: mappedUsage,
         elapsedMs,
         timestamp: new Date().toISOString()
     };
 }
 
+async function sendMessage(message, context = {}) {
+    if (!model) {
+        throw new Error('Google AI Studio not initialized. Check your API key.');
+    }
+
+    const startTime = Date.now();
+    const { requestConfig, requestModel } = buildRequest(message, context);
+
+    const result = await requestModel.generateContent(requestConfig, { signal: context.signal });
+    return mapResponse(result.response, startTime);
+}
+
+/**
+ * Streaming variant of sendMessage.
+ * Calls onChunk(delta) for each text fragment and resolves with the
+ * aggregated response once the stream ends.
+ */
+async function streamMessage(message, context = {}, onChunk = () => { }) {
+    if (!model) {
+        throw new Error('Google AI Studio not initialized. Check your API key.');
+    }
+
+    const startTime = Date.now();
+    const { requestConfig, requestModel } = buildRequest(message, context);
+
+    const result = await requestModel.generateContentStream(requestConfig, { signal: context.signal });
+    for await (const chunk of result.stream) {
+        const parts = chunk.candidates?.[0]?.content?.parts || [];
+        parts.forEach((part) => {
+            if (part.text) onChunk(part.text);
+        });
+    }
+
+    return mapResponse(await result.response, startTime);
+}
+
+/**
+ * Where requests go, for the outbound audit log
+ */
+function getEndpoint(modelId) {
+    return { url: 'https://generativelanguage.googleapis.com', model: modelId || config?.model || null };
+}
+
 /**
  * Get config schema for UI
  */
@@ -237,5 +311,7 @@ module.exports = {
     description: 'Free Gemini API access via Google AI Studio (aistudio.google.com)',
     init,
     sendMessage,
-    getConfigSchema
+    streamMessage,
+    getConfigSchema,
+    getEndpoint
 };
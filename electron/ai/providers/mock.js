@@ -0,0 +1,346 @@
+/**
+ * Mock Provider
+ *
+ * Replays scripted responses from a JSON fixture in the workspace so chat,
+ * streaming and tool-call flows can run offline (demos, automated tests).
+ * Without a fixture it echoes the message back.
+ *
+ * Fixture (default .x0v3rt/mock-provider.json):
+ * {
+ *     "latencyMs": 300,
+ *     "chunkDelayMs": 40,
+ *     "responses": [
+ *         { "match": "scan", "turns": [
+ *             { "functionCalls": [{ "name": "run_command", "args": { "command": "nmap -sV 10.0.0.1" } }] },
+ *             { "text": "Port 22 and 80 are open.", "chunks": ["Port 22 ", "and 80 ", "are open."] }
+ *         ] },
+ *         { "match": "/rate ?limit/i", "error": { "status": 429, "message": "Too many requests" } },
+ *         { "purpose": "summary", "text": "Earlier: recon of example.com." },
+ *         { "text": "Unmatched messages get these in order." }
+ *     ]
+ * }
+ *
+ * An entry applies to chat requests unless it names a purpose ("summary",
+ * "completion"). "match" is a case-insensitive substring, or /regex/flags.
+ * Entries without "match" are replayed in order, round robin. "turns" are
+ * served one per agent step (the last repeats); a plain entry is one turn.
+ * A turn has text, chunks, functionCalls, usage, latencyMs and/or error.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { buildConversation } = require('../prompts');
+const { estimateTokens } = require('../tokens');
+const { sleep } = require('../retry');
+
+const DEFAULT_FIXTURE_PATH = '.x0v3rt/mock-provider.json';
+const DEFAULT_CHUNK_DELAY_MS = 30;
+const MAX_SELECTIONS = 50;
+
+let config = null;
+let roundRobin = 0;
+// requestId -> entry picked at the first agent step
+const selections = new Map();
+
+function init(providerConfig = {}) {
+    const number = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' ? Number(value) : fallback);
+
+    config = {
+        fixturePath: providerConfig.fixturePath || DEFAULT_FIXTURE_PATH,
+        latencyMs: Math.max(0, number(providerConfig.latencyMs, 0)),
+        chunkDelayMs: Math.max(0, number(providerConfig.chunkDelayMs, DEFAULT_CHUNK_DELAY_MS)),
+        errorRate: Math.min(1, Math.max(0, number(providerConfig.errorRate, 0))),
+        errorStatus: number(providerConfig.errorStatus, 503)
+    };
+
+    console.log(`✓ Mock provider initialized: ${config.fixturePath}`);
+    return true;
+}
+
+function resolveFixturePath() {
+    if (path.isAbsolute(config.fixturePath)) return config.fixturePath;
+
+    const fileManager = require('../../file-manager');
+    const notesDir = fileManager.getNotesDir();
+    return notesDir ? path.join(notesDir, config.fixturePath) : null;
+}
+
+/**
+ * Read the fixture on every request so edits apply without reselecting the
+ * provider. A missing file falls back to echoing.
+ */
+async function loadFixture() {
+    const fixturePath = resolveFixturePath();
+    if (!fixturePath) return { responses: [] };
+
+    let raw;
+    try {
+        raw = await fs.readFile(fixturePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { responses: [] };
+        throw error;
+    }
+
+    try {
+        const fixture = JSON.parse(raw);
+        return {
+            ...fixture,
+            responses: Array.isArray(fixture?.responses) ? fixture.responses : []
+        };
+    } catch (error) {
+        throw new Error(`Mock provider fixture ${config.fixturePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+function matchesEntry(entry, message) {
+    const pattern = String(entry.match);
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        try {
+            return new RegExp(regex[1], regex[2]).test(message);
+        } catch (_error) {
+            return false;
+        }
+    }
+    return message.toLowerCase().includes(pattern.toLowerCase());
+}
+
+function selectEntry(fixture, message, context) {
+    const step = context.toolTurns?.length || 0;
+    const key = context.requestId || null;
+    if (step > 0 && key && selections.has(key)) {
+        return selections.get(key);
+    }
+
+    const purpose = context.purpose || 'chat';
+    const candidates = fixture.responses.filter(entry => entry && (entry.purpose || 'chat') === purpose);
+    let entry = candidates.find(item => item.match !== undefined && matchesEntry(item, message));
+
+    if (!entry) {
+        const sequence = candidates.filter(item => item.match === undefined);
+        if (sequence.length) {
+            entry = sequence[roundRobin % sequence.length];
+            roundRobin += 1;
+        }
+    }
+
+    entry = entry || { text: purpose === 'completion' ? '' : `Mock reply to: ${message}` };
+    if (key) {
+        selections.set(key, entry);
+        if (selections.size > MAX_SELECTIONS) {
+            selections.delete(selections.keys().next().value);
+        }
+    }
+    return entry;
+}
+
+function getTurn(entry, context) {
+    if (!Array.isArray(entry.turns) || !entry.turns.length) return entry;
+    const step = context.toolTurns?.length || 0;
+    return entry.turns[Math.min(step, entry.turns.length - 1)] || {};
+}
+
+function createError(status, message) {
+    const error = new Error(`Mock provider error: ${status} - ${message}`);
+    error.status = status;
+    return error;
+}
+
+function getTurnError(turn) {
+    if (turn.error) {
+        const status = Number(turn.error.status) || 500;
+        return createError(status, turn.error.message || (typeof turn.error === 'string' ? turn.error : 'Scripted error'));
+    }
+    if (config.errorRate > 0 && Math.random() < config.errorRate) {
+        return createError(config.errorStatus, 'Injected error');
+    }
+    return null;
+}
+
+function splitChunks(turn) {
+    if (Array.isArray(turn.chunks)) return turn.chunks.map(String);
+    const text = String(turn.text || '');
+    return text ? text.match(/\S+\s*|\s+/g) : [];
+}
+
+function getUsage(turn, message, context, text) {
+    const conversation = buildConversation(message, context);
+    const prompt = [conversation.system, ...conversation.messages.map(msg => msg.content || '')].join('\n');
+    const promptTokens = turn.usage?.promptTokens ?? estimateTokens(prompt);
+    const responseTokens = turn.usage?.responseTokens ?? estimateTokens(text);
+    return { totalTokens: promptTokens + responseTokens, promptTokens, responseTokens };
+}
+
+function mapResult(turn, text, usage, startTime) {
+    const base = {
+        text,
+        usage,
+        elapsedMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+    };
+
+    if (Array.isArray(turn.functionCalls) && turn.functionCalls.length) {
+        return {
+            ...base,
+            type: 'function_call',
+            functionCalls: turn.functionCalls.map((call, index) => ({
+                id: call.id || `mock-call-${index}`,
+                name: call.name,
+                args: call.args || {}
+            }))
+        };
+    }
+
+    return { ...base, type: 'text' };
+}
+
+/**
+ * Pick the scripted turn, wait out its latency and fail if it injects an error
+ */
+async function prepareTurn(message, context) {
+    if (!config) {
+        throw new Error('Mock provider not initialized.');
+    }
+
+    const fixture = await loadFixture();
+    const turn = getTurn(selectEntry(fixture, String(message || ''), context), context);
+    const latencyMs = turn.latencyMs ?? fixture.latencyMs ?? config.latencyMs;
+    if (latencyMs > 0) {
+        await sleep(Number(latencyMs), context.signal);
+    }
+
+    const error = getTurnError(turn);
+    if (error) throw error;
+    return { turn, fixture };
+}
+
+async function sendMessage(message, context = {}) {
+    const startTime = Date.now();
+    const { turn } = await prepareTurn(message, context);
+    const text = splitChunks(turn).join('');
+    return mapResult(turn, text, getUsage(turn, message, context, text), startTime);
+}
+
+/**
+ * Streaming variant of sendMessage: emits the turn's chunks with
+ * chunkDelayMs between them
+ */
+async function streamMessage(message, context = {}, onChunk = () => { }) {
+    const startTime = Date.now();
+    const { turn, fixture } = await prepareTurn(message, context);
+    const chunkDelayMs = Number(turn.chunkDelayMs ?? fixture.chunkDelayMs ?? config.chunkDelayMs) || 0;
+
+    let text = '';
+    for (const [index, chunk] of splitChunks(turn).entries()) {
+        if (index > 0 && chunkDelayMs > 0) {
+            await sleep(chunkDelayMs, context.signal);
+        }
+        text += chunk;
+        onChunk(chunk);
+    }
+
+    return mapResult(turn, text, getUsage(turn, message, context, text), startTime);
+}
+
+/**
+ * Models from the fixture's "models" list, or a single mock model
+ */
+async function listModels() {
+    if (!config) return [];
+
+    let models = [];
+    try {
+        const fixture = await loadFixture();
+        models = Array.isArray(fixture.models) ? fixture.models : [];
+    } catch (error) {
+        console.warn('Failed to list mock models:', error.message);
+    }
+
+    if (!models.length) {
+        models = [{ id: 'mock', label: 'Mock (fixture replay)' }];
+    }
+
+    return models.map(model => ({
+        supports_vision: true,
+        supports_tools: true,
+        ...model,
+        provider: 'mock',
+        type: 'mock'
+    }));
+}
+
+/**
+ * Where requests go, for the outbound audit log
+ */
+function getEndpoint(modelId) {
+    return { url: `mock:${config?.fixturePath || DEFAULT_FIXTURE_PATH}`, model: modelId || 'mock' };
+}
+
+/**
+ * Get config schema for UI
+ */
+function getConfigSchema() {
+    return {
+        fields: [
+            {
+                name: 'fixturePath',
+                type: 'text',
+                label: 'Fixture File',
+                placeholder: DEFAULT_FIXTURE_PATH,
+                required: false,
+                description: 'JSON file of scripted responses, relative to the workspace'
+            },
+            {
+                name: 'latencyMs',
+                type: 'number',
+                label: 'Latency (ms)',
+                placeholder: '0',
+                required: false,
+                min: 0,
+                description: 'Delay before each response, unless the fixture sets one'
+            },
+            {
+                name: 'chunkDelayMs',
+                type: 'number',
+                label: 'Chunk Delay (ms)',
+                placeholder: String(DEFAULT_CHUNK_DELAY_MS),
+                required: false,
+                min: 0,
+                description: 'Delay between streamed chunks'
+            },
+            {
+                name: 'errorRate',
+                type: 'number',
+                label: 'Error Rate',
+                placeholder: '0',
+                required: false,
+                min: 0,
+                max: 1,
+                step: 0.05,
+                description: 'Share of requests (0-1) that fail with the status below'
+            },
+            {
+                name: 'errorStatus',
+                type: 'number',
+                label: 'Injected Error Status',
+                placeholder: '503',
+                required: false,
+                description: 'HTTP status of injected errors (429 and 5xx are retried)'
+            }
+        ]
+    };
+}
+
+module.exports = {
+    id: 'mock',
+    name: 'Mock',
+    description: 'Offline replay of scripted responses from a workspace fixture',
+    // Never leaves the machine
+    local: true,
+    init,
+    sendMessage,
+    streamMessage,
+    listModels,
+    getConfigSchema,
+    getEndpoint
+};
@@ -0,0 +1,402 @@
+/**
+ * Ollama Provider
+ *
+ * Talks to Ollama's native API (/api/chat, /api/tags) so installed models
+ * can be discovered and used without an OpenAI compatibility layer.
+ * Supports native tool calling and image inputs on vision models.
+ */
+
+const { buildConversation } = require('../prompts');
+const { readLines } = require('../stream-utils');
+
+// Model discovery must not hang the model picker on an unreachable host
+const LIST_TIMEOUT_MS = 5000;
+const SHOW_TIMEOUT_MS = 3000;
+
+let config = null;
+// `${baseUrl} ${name}@${digest}` -> capabilities; a model's digest changes when it is re-pulled
+const capabilityCache = new Map();
+
+function init(providerConfig = {}) {
+    try {
+        const baseUrl = providerConfig.baseUrl ||
+            process.env.OLLAMA_HOST ||
+            'http://localhost:11434';
+
+        const modelName = providerConfig.model ||
+            process.env.OLLAMA_MODEL ||
+            'llama3.1';
+
+        config = {
+            baseUrl: baseUrl.replace(/\/$/, ''), // Remove trailing slash
+            model: modelName,
+            temperature: providerConfig.temperature,
+            keepAlive: providerConfig.keepAlive || undefined
+        };
+
+        console.log(`✓ Ollama provider initialized: ${config.baseUrl}`);
+        return true;
+    } catch (error) {
+        console.error('Ollama provider initialization error:', error);
+        return false;
+    }
+}
+
+/**
+ * Format tools for Ollama (same shape as OpenAI function tools)
+ */
+function formatToolsForOllama(tools) {
+    if (!tools || !Array.isArray(tools) || tools.length === 0) {
+        return null;
+    }
+
+    return tools.map(tool => ({
+        type: 'function',
+        function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters
+        }
+    }));
+}
+
+/**
+ * Map the provider-neutral conversation to Ollama chat messages.
+ * Images are sent as raw base64 strings on the message.
+ */
+function formatConversationForOllama(conversation) {
+    const messages = [{ role: 'system', content: conversation.system }];
+
+    conversation.messages.forEach(msg => {
+        if (msg.role === 'tool') {
+            msg.results.forEach(result => {
+                messages.push({
+                    role: 'tool',
+                    tool_name: result.name,
+                    content: JSON.stringify(result.response ?? null)
+                });
+            });
+            return;
+        }
+
+        const entry = { role: msg.role, content: msg.content || '' };
+
+        if (msg.role === 'assistant' && Array.isArray(msg.toolCalls) && msg.toolCalls.length) {
+            entry.tool_calls = msg.toolCalls.map(call => ({
+                function: {
+                    name: call.name,
+                    arguments: call.args || {}
+                }
+            }));
+        }
+
+        if (Array.isArray(msg.images) && msg.images.length) {
+            entry.images = msg.images.map(image => image.data);
+        }
+
+        messages.push(entry);
+    });
+
+    return messages;
+}
+
+function buildRequest(message, context = {}) {
+    const generation = context?.generation || {};
+    const options = {};
+
+    const temperature = typeof generation.temperature === 'number' ? generation.temperature : config.temperature;
+    if (typeof temperature === 'number') {
+        options.temperature = temperature;
+    }
+    if (typeof generation.topP === 'number') {
+        options.top_p = generation.topP;
+    }
+    if (typeof generation.maxOutputTokens === 'number') {
+        options.num_predict = generation.maxOutputTokens;
+    }
+
+    const requestBody = {
+        model: context?.model?.modelId || config.model,
+        messages: formatConversationForOllama(buildConversation(message, context))
+    };
+
+    if (Object.keys(options).length > 0) {
+        requestBody.options = options;
+    }
+    if (config.keepAlive) {
+        requestBody.keep_alive = config.keepAlive;
+    }
+
+    const tools = context.tools ? formatToolsForOllama(context.tools) : null;
+    if (tools) {
+        requestBody.tools = tools;
+    }
+
+    return requestBody;
+}
+
+function mapUsage(data) {
+    const promptTokens = typeof data?.prompt_eval_count === 'number' ? data.prompt_eval_count : null;
+    const responseTokens = typeof data?.eval_count === 'number' ? data.eval_count : null;
+    const totalTokens = promptTokens !== null || responseTokens !== null
+        ? (promptTokens || 0) + (responseTokens || 0)
+        : null;
+
+    return { totalTokens, promptTokens, responseTokens };
+}
+
+function mapToolCalls(toolCalls) {
+    return toolCalls.map((tc, index) => {
+        let args = tc.function?.arguments || {};
+        if (typeof args === 'string') {
+            try {
+                args = JSON.parse(args);
+            } catch (_error) {
+                args = {};
+            }
+        }
+        return {
+            id: tc.id || `call-${index}`,
+            name: tc.function?.name,
+            args
+        };
+    });
+}
+
+function mapResult(text, toolCalls, usage, startTime) {
+    const elapsedMs = Date.now() - startTime;
+
+    if (toolCalls.length > 0) {
+        return {
+            type: 'function_call',
+            functionCalls: mapToolCalls(toolCalls),
+            text,
+            usage,
+            elapsedMs,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    return {
+        type: 'text',
+        text,
+        usage,
+        elapsedMs,
+        timestamp: new Date().toISOString()
+    };
+}
+
+async function postChat(requestBody, signal) {
+    const response = await fetch(`${config.baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody),
+        signal
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+    }
+
+    return response;
+}
+
+async function sendMessage(message, context = {}) {
+    if (!config) {
+        throw new Error('Ollama provider not initialized.');
+    }
+
+    const startTime = Date.now();
+    const requestBody = buildRequest(message, context);
+    requestBody.stream = false;
+
+    const response = await postChat(requestBody, context.signal);
+    const data = await response.json();
+
+    if (data.error) {
+        throw new Error(`Ollama API error: ${data.error}`);
+    }
+
+    return mapResult(
+        data.message?.content || '',
+        data.message?.tool_calls || [],
+        mapUsage(data),
+        startTime
+    );
+}
+
+/**
+ * Streaming variant of sendMessage.
+ * Ollama streams newline-delimited JSON objects; the last one has done: true
+ * and carries the token counts.
+ */
+async function streamMessage(message, context = {}, onChunk = () => { }) {
+    if (!config) {
+        throw new Error('Ollama provider not initialized.');
+    }
+
+    const startTime = Date.now();
+    const requestBody = buildRequest(message, context);
+    requestBody.stream = true;
+
+    const response = await postChat(requestBody, context.signal);
+
+    let text = '';
+    let usage = mapUsage(null);
+    const toolCalls = [];
+
+    for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+
+        let payload = null;
+        try {
+            payload = JSON.parse(line);
+        } catch (_error) {
+            continue;
+        }
+
+        if (payload.error) {
+            throw new Error(`Ollama API error: ${payload.error}`);
+        }
+
+        const content = payload.message?.content;
+        if (content) {
+            text += content;
+            onChunk(content);
+        }
+
+        if (Array.isArray(payload.message?.tool_calls)) {
+            toolCalls.push(...payload.message.tool_calls);
+        }
+
+        if (payload.done) {
+            usage = mapUsage(payload);
+        }
+    }
+
+    return mapResult(text, toolCalls, usage, startTime);
+}
+
+/**
+ * Read capabilities for one installed model.
+ * Older Ollama builds have no capabilities list; fall back to model families.
+ */
+async function getModelCapabilities(model) {
+    const families = model.details?.families || [];
+    const fallback = {
+        vision: families.some(family => family === 'clip' || family === 'mllama'),
+        tools: null
+    };
+
+    const cacheKey = `${config.baseUrl} ${model.name}@${model.digest || ''}`;
+    if (capabilityCache.has(cacheKey)) return capabilityCache.get(cacheKey);
+
+    try {
+        const response = await fetch(`${config.baseUrl}/api/show`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: model.name }),
+            signal: AbortSignal.timeout(SHOW_TIMEOUT_MS)
+        });
+        if (!response.ok) return fallback;
+
+        const data = await response.json();
+        if (!Array.isArray(data.capabilities)) return fallback;
+
+        const capabilities = {
+            vision: data.capabilities.includes('vision'),
+            tools: data.capabilities.includes('tools')
+        };
+        capabilityCache.set(cacheKey, capabilities);
+        return capabilities;
+    } catch (_error) {
+        return fallback;
+    }
+}
+
+/**
+ * List installed models from /api/tags in model registry shape
+ */
+async function listModels() {
+    if (!config) return [];
+
+    try {
+        const response = await fetch(`${config.baseUrl}/api/tags`, { signal: AbortSignal.timeout(LIST_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const models = Array.isArray(data.models) ? data.models : [];
+
+        return await Promise.all(models.map(async (model) => {
+            const capabilities = await getModelCapabilities(model);
+            const size = model.details?.parameter_size;
+            return {
+                id: model.name,
+                label: size ? `${model.name} (${size})` : model.name,
+                provider: 'ollama',
+                type: 'ollama',
+                supports_vision: capabilities.vision,
+                supports_tools: capabilities.tools
+            };
+        }));
+    } catch (error) {
+        console.warn('Failed to list Ollama models:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Where requests go, for the outbound audit log
+ */
+function getEndpoint(modelId) {
+    return { url: config?.baseUrl || null, model: modelId || config?.model || null };
+}
+
+/**
+ * Get config schema for UI
+ */
+function getConfigSchema() {
+    return {
+        fields: [
+            {
+                name: 'baseUrl',
+                type: 'text',
+                label: 'Base URL',
+                placeholder: 'http://localhost:11434',
+                required: true,
+                description: 'Ollama server URL'
+            },
+            {
+                name: 'model',
+                type: 'text',
+                label: 'Default Model',
+                placeholder: 'llama3.1',
+                required: false,
+                description: 'Used when no model is picked in the chat panel'
+            },
+            {
+                name: 'keepAlive',
+                type: 'text',
+                label: 'Keep Alive',
+                placeholder: '5m',
+                required: false,
+                description: 'How long Ollama keeps the model loaded after a request'
+            }
+        ]
+    };
+}
+
+module.exports = {
+    id: 'ollama',
+    name: 'Ollama',
+    description: 'Local models served by Ollama (native API with model discovery)',
+    init,
+    sendMessage,
+    streamMessage,
+    listModels,
+    getConfigSchema,
+    getEndpoint
+};
@@ -8,10 +8,12 @@
  * - Any other OpenAI API-compatible service
  */
 
-const fetch = require('node-fetch');
-const { buildSystemPrompt, buildContextPrompt } = require('../prompts');
+const { buildConversation } = require('../prompts');
+const { readSseEvents } = require('../stream-utils');
 
 let config = null;
+// Set once the server rejected stream_options (older llama.cpp and vLLM builds)
+let streamUsageUnsupported = false;
 
 function init(providerConfig = {}) {
     try {
@@ -39,6 +41,7 @@ function init(providerConfig = {}) {
             temperature: providerConfig.temperature || 0.7,
             maxTokens: providerConfig.maxTokens || 8192
         };
+        streamUsageUnsupported = false;
 
         console.log(`✓ OpenAI-compatible provider initialized: ${baseUrl}`);
         return true;
@@ -66,26 +69,63 @@ function formatToolsForOpenAI(tools) {
     }));
 }
 
-async function sendMessage(message, context = {}) {
-    if (!config) {
-        throw new Error('OpenAI-compatible provider not initialized.');
-    }
+/**
+ * Map the provider-neutral conversation to OpenAI chat messages
+ */
+function formatConversationForOpenAI(conversation) {
+    const messages = [{ role: 'system', content: conversation.system }];
 
-    const startTime = Date.now();
-    const systemPrompt = buildSystemPrompt();
-    const contextPrompt = buildContextPrompt(context);
+    conversation.messages.forEach(msg => {
+        if (msg.role === 'tool') {
+            msg.results.forEach(result => {
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: result.id,
+                    content: JSON.stringify(result.response ?? null)
+                });
+            });
+            return;
+        }
 
-    // Build messages array
-    const messages = [
-        {
-            role: 'system',
-            content: `${systemPrompt}\n\n${contextPrompt}`
-        },
-        {
-            role: 'user',
-            content: message
+        if (msg.role === 'assistant' && Array.isArray(msg.toolCalls) && msg.toolCalls.length) {
+            messages.push({
+                role: 'assistant',
+                content: msg.content || null,
+                tool_calls: msg.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: {
+                        name: call.name,
+                        arguments: JSON.stringify(call.args || {})
+                    }
+                }))
+            });
+            return;
         }
-    ];
+
+        if (Array.isArray(msg.images) && msg.images.length) {
+            messages.push({
+                role: msg.role,
+                content: [
+                    { type: 'text', text: msg.content },
+                    ...msg.images.map(image => ({
+                        type: 'image_url',
+                        image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+                    }))
+                ]
+            });
+            return;
+        }
+
+        messages.push({ role: msg.role, content: msg.content });
+    });
+
+    return messages;
+}
+
+function buildRequest(message, context = {}) {
+    // Build messages array
+    const messages = formatConversationForOpenAI(buildConversation(message, context));
 
     // Prepare request body
     const generation = context?.generation || {};
@@ -108,7 +148,6 @@ async function sendMessage(message, context = {}) {
         requestBody.tool_choice = 'auto';
     }
 
-    // Make API request
     const headers = {
         'Content-Type': 'application/json'
     };
@@ -116,10 +155,37 @@ async function sendMessage(message, context = {}) {
         headers['Authorization'] = `Bearer ${config.apiKey}`;
     }
 
+    return { requestBody, headers };
+}
+
+function mapUsage(usage) {
+    return {
+        totalTokens: usage?.total_tokens ?? null,
+        promptTokens: usage?.prompt_tokens ?? null,
+        responseTokens: usage?.completion_tokens ?? null
+    };
+}
+
+function parseToolArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    if (!args.trim()) return {};
+    return JSON.parse(args);
+}
+
+async function sendMessage(message, context = {}) {
+    if (!config) {
+        throw new Error('OpenAI-compatible provider not initialized.');
+    }
+
+    const startTime = Date.now();
+    const { requestBody, headers } = buildRequest(message, context);
+
+    // Make API request
     const response = await fetch(`${config.baseUrl}/chat/completions`, {
         method: 'POST',
         headers,
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal: context.signal
     });
 
     if (!response.ok) {
@@ -139,17 +205,12 @@ async function sendMessage(message, context = {}) {
         const elapsedMs = Date.now() - startTime;
         return {
             type: 'function_call',
-            functionCalls: choice.message.tool_calls.map(tc => ({
+            functionCalls: choice.message.tool_calls.map((tc, index) => ({
+                id: tc.id || `call-${index}`,
                 name: tc.function.name,
-                args: typeof tc.function.arguments === 'string'
-                    ? JSON.parse(tc.function.arguments)
-                    : tc.function.arguments
+                args: parseToolArguments(tc.function.arguments)
             })),
-            usage: {
-                totalTokens: data.usage?.total_tokens ?? null,
-                promptTokens: data.usage?.prompt_tokens ?? null,
-                responseTokens: data.usage?.completion_tokens ?? null
-            },
+            usage: mapUsage(data.usage),
             elapsedMs,
             timestamp: new Date().toISOString()
         };
@@ -162,16 +223,126 @@ async function sendMessage(message, context = {}) {
     return {
         type: 'text',
         text,
-        usage: {
-            totalTokens: data.usage?.total_tokens ?? null,
-            promptTokens: data.usage?.prompt_tokens ?? null,
-            responseTokens: data.usage?.completion_tokens ?? null
-        },
+        usage: mapUsage(data.usage),
+        elapsedMs,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Streaming variant of sendMessage.
+ * Calls onChunk(delta) for each text fragment and resolves with the same
+ * response shape as sendMessage once the stream ends.
+ */
+async function streamMessage(message, context = {}, onChunk = () => { }) {
+    if (!config) {
+        throw new Error('OpenAI-compatible provider not initialized.');
+    }
+
+    const startTime = Date.now();
+    const { requestBody, headers } = buildRequest(message, context);
+    requestBody.stream = true;
+    if (!streamUsageUnsupported) {
+        requestBody.stream_options = { include_usage: true };
+    }
+
+    const post = () => fetch(`${config.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(requestBody),
+        signal: context.signal
+    });
+
+    let response = await post();
+    // Some servers reject unknown fields; usage is optional, so retry once without it
+    if (response.status === 400 && requestBody.stream_options) {
+        await response.text().catch(() => { });
+        delete requestBody.stream_options;
+        const retry = await post();
+        if (retry.ok) {
+            streamUsageUnsupported = true;
+            console.warn('OpenAI-compatible server rejected stream_options; streaming without usage');
+        }
+        response = retry;
+    }
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`OpenAI-compatible API error: ${response.status} - ${errorText}`);
+    }
+
+    let text = '';
+    let usage = null;
+    // Tool call fragments arrive keyed by index and must be concatenated
+    const toolCalls = new Map();
+
+    for await (const { data } of readSseEvents(response.body)) {
+        if (data === '[DONE]') break;
+
+        let payload = null;
+        try {
+            payload = JSON.parse(data);
+        } catch (_error) {
+            continue;
+        }
+
+        if (payload.usage) {
+            usage = payload.usage;
+        }
+
+        const delta = payload.choices?.[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+            text += delta.content;
+            onChunk(delta.content);
+        }
+
+        if (Array.isArray(delta.tool_calls)) {
+            delta.tool_calls.forEach((fragment) => {
+                const index = fragment.index ?? 0;
+                const existing = toolCalls.get(index) || { id: null, name: '', arguments: '' };
+                if (fragment.id) existing.id = fragment.id;
+                if (fragment.function?.name) existing.name += fragment.function.name;
+                if (fragment.function?.arguments) existing.arguments += fragment.function.arguments;
+                toolCalls.set(index, existing);
+            });
+        }
+    }
+
+    const elapsedMs = Date.now() - startTime;
+
+    if (toolCalls.size > 0) {
+        return {
+            type: 'function_call',
+            functionCalls: Array.from(toolCalls.values()).map((tc, index) => ({
+                id: tc.id || `call-${index}`,
+                name: tc.name,
+                args: parseToolArguments(tc.arguments)
+            })),
+            text,
+            usage: mapUsage(usage),
+            elapsedMs,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    return {
+        type: 'text',
+        text,
+        usage: mapUsage(usage),
         elapsedMs,
         timestamp: new Date().toISOString()
     };
 }
 
+/**
+ * Where requests go, for the outbound audit log
+ */
+function getEndpoint(modelId) {
+    return { url: config?.baseUrl || null, model: modelId || config?.model || null };
+}
+
 /**
  * Get config schema for UI
  */
@@ -231,5 +402,7 @@ module.exports = {
     description: 'Any OpenAI-compatible API endpoint (local GGUF, LM Studio, Ollama, etc.)',
     init,
     sendMessage,
-    getConfigSchema
+    streamMessage,
+    getConfigSchema,
+    getEndpoint
 };
@@ -6,7 +6,8 @@ const { VertexAI } = require('@google-cloud/vertexai');
 const { GoogleAuth } = require('google-auth-library');
 const fs = require('fs');
 const path = require('path');
-const { buildSystemPrompt, buildContextPrompt } = require('../prompts');
+const { buildConversation } = require('../prompts');
+const { throwIfAborted } = require('../stream-utils');
 
 let vertexAI = null;
 let model = null;
@@ -155,7 +156,8 @@ async function callMaasOpenApi({
     location,
     modelId,
     messages,
-    generationConfig
+    generationConfig,
+    signal
 }) {
     const auth = new GoogleAuth({
         scopes: ['https://www.googleapis.com/auth/cloud-platform']
@@ -190,7 +192,8 @@ async function callMaasOpenApi({
             Authorization: `Bearer ${accessToken}`,
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(payload),
+        signal
     });
 
     if (!response.ok) {
@@ -295,6 +298,64 @@ function init(config = {}) {
     }
 }
 
+/**
+ * Map the provider-neutral conversation to Gemini contents.
+ * Assistant turns become 'model'; Vertex expects tool results under 'user'.
+ */
+function formatConversationForGemini(conversation) {
+    return conversation.messages.map(msg => {
+        if (msg.role === 'tool') {
+            return {
+                role: 'user',
+                parts: msg.results.map(result => ({
+                    functionResponse: {
+                        name: result.name,
+                        response: result.response && typeof result.response === 'object'
+                            ? result.response
+                            : { result: result.response ?? null }
+                    }
+                }))
+            };
+        }
+
+        if (msg.role === 'assistant') {
+            const parts = msg.content ? [{ text: msg.content }] : [];
+            (msg.toolCalls || []).forEach(call => {
+                parts.push({
+                    functionCall: {
+                        name: call.name,
+                        args: call.args || {}
+                    }
+                });
+            });
+            return { role: 'model', parts };
+        }
+
+        const imageParts = (msg.images || []).map(image => ({
+            inlineData: {
+                mimeType: image.mimeType,
+                data: image.data
+            }
+        }));
+        return { role: 'user', parts: [...imageParts, { text: msg.content }] };
+    });
+}
+
+/**
+ * Map the provider-neutral conversation to OpenAI-style MAAS messages.
+ * MAAS requests are sent without tools or images, so only text is kept.
+ */
+function formatConversationForMaas(conversation) {
+    const messages = [{ role: 'system', content: conversation.system }];
+
+    conversation.messages.forEach(msg => {
+        if (msg.role === 'tool' || !msg.content) return;
+        messages.push({ role: msg.role, content: msg.content });
+    });
+
+    return messages;
+}
+
 /**
  * Format tools for Gemini API
  */
@@ -312,28 +373,18 @@ function formatToolsForGemini(tools) {
     }];
 }
 
-async function sendMessage(message, context = {}) {
-    if (!model) {
-        throw new Error('Vertex AI not initialized. Check your GCP credentials.');
-    }
-
-    const startTime = Date.now();
-    const systemPrompt = buildSystemPrompt();
-    const contextPrompt = buildContextPrompt(context);
-
-    // Build initial message
-    const contents = [
-        {
-            role: 'user',
-            parts: [{ text: `${systemPrompt}\n\n${contextPrompt}\n\n${message}` }]
-        }
-    ];
+function buildRequest(message, context = {}) {
+    const conversation = buildConversation(message, context);
+    const contents = formatConversationForGemini(conversation);
 
     // Format tools if available
     const tools = context.tools ? formatToolsForGemini(context.tools) : null;
 
     // Make API call with optional tools
-    const requestConfig = { contents };
+    const requestConfig = {
+        contents,
+        systemInstruction: conversation.system
+    };
     const generation = context?.generation || {};
     const generationConfig = {};
 
@@ -358,8 +409,6 @@ async function sendMessage(message, context = {}) {
     const locationOverride = context?.model?.location;
     let requestModel = model;
 
-    const isMaasOverride = isMaasModel(modelOverride || baseConfig?.modelName || process.env.VERTEX_AI_MODEL);
-
     if (modelOverride || locationOverride) {
         const projectId = baseConfig?.projectId || process.env.GCP_PROJECT_ID;
         const location = locationOverride || baseConfig?.location || process.env.GCP_REGION || 'us-central1';
@@ -380,33 +429,16 @@ async function sendMessage(message, context = {}) {
         }
 
         if (isMaasModel(modelName) && location === 'global') {
-            const messages = [{
-                role: 'user',
-                content: `${systemPrompt}\n\n${contextPrompt}\n\n${message}`
-            }];
-
-            const maasResponse = await callMaasOpenApi({
-                projectId,
-                location,
-                modelId: modelName,
-                messages,
-                generationConfig
-            });
-
-            const choice = maasResponse?.choices?.[0]?.message?.content || '';
-            const usage = maasResponse?.usage || null;
-            const elapsedMs = Date.now() - startTime;
+            const messages = formatConversationForMaas(conversation);
 
             return {
-                type: 'text',
-                text: choice,
-                usage: {
-                    totalTokens: usage?.total_tokens ?? null,
-                    promptTokens: usage?.prompt_tokens ?? null,
-                    responseTokens: usage?.completion_tokens ?? null
-                },
-                elapsedMs,
-                timestamp: new Date().toISOString()
+                maas: {
+                    projectId,
+                    location,
+                    modelId: modelName,
+                    messages,
+                    generationConfig
+                }
             };
         }
         const vertexClient = location === baseConfig?.location ? vertexAI : new VertexAI({ project: projectId, location });
@@ -420,52 +452,131 @@ async function sendMessage(message, context = {}) {
         });
     }
 
-    const result = await requestModel.generateContent(requestConfig);
-    const response = result.response;
+    return { requestConfig, requestModel, maas: null };
+}
+
+function mapMaasResponse(maasResponse, startTime) {
+    const choice = maasResponse?.choices?.[0]?.message?.content || '';
+    const usage = maasResponse?.usage || null;
+    const elapsedMs = Date.now() - startTime;
+
+    return {
+        type: 'text',
+        text: choice,
+        usage: {
+            totalTokens: usage?.total_tokens ?? null,
+            promptTokens: usage?.prompt_tokens ?? null,
+            responseTokens: usage?.completion_tokens ?? null
+        },
+        elapsedMs,
+        timestamp: new Date().toISOString()
+    };
+}
 
+function mapResponse(response, startTime) {
     // Check if response contains function calls
     const firstCandidate = response.candidates?.[0];
     const functionCalls = firstCandidate?.content?.parts?.filter(part => part.functionCall);
+    const usage = response.usageMetadata || response.usage || null;
+    const elapsedMs = Date.now() - startTime;
+    const mappedUsage = {
+        totalTokens: usage?.totalTokenCount ?? null,
+        promptTokens: usage?.promptTokenCount ?? null,
+        responseTokens: usage?.candidatesTokenCount ?? null
+    };
 
     if (functionCalls && functionCalls.length > 0) {
         // AI wants to use tools - return function call info
-        const usage = response.usageMetadata || response.usage || null;
-        const elapsedMs = Date.now() - startTime;
-
         return {
             type: 'function_call',
-            functionCalls: functionCalls.map(part => ({
+            functionCalls: functionCalls.map((part, index) => ({
+                id: `call-${index}`,
                 name: part.functionCall.name,
                 args: part.functionCall.args
             })),
-            usage: {
-                totalTokens: usage?.totalTokenCount ?? null,
-                promptTokens: usage?.promptTokenCount ?? null,
-                responseTokens: usage?.candidatesTokenCount ?? null
-            },
+            usage: mappedUsage,
             elapsedMs,
             timestamp: new Date().toISOString()
         };
     }
 
     // Normal text response
-    const text = firstCandidate?.content?.parts?.[0]?.text || '';
-    const usage = response.usageMetadata || response.usage || null;
-    const elapsedMs = Date.now() - startTime;
+    const text = (firstCandidate?.content?.parts || [])
+        .map(part => part.text || '')
+        .join('');
 
     return {
         type: 'text',
         text,
-        usage: {
-            totalTokens: usage?.totalTokenCount ?? null,
-            promptTokens: usage?.promptTokenCount ?? null,
-            responseTokens: usage?.candidatesTokenCount ?? null
-        },
+        usage: mappedUsage,
         elapsedMs,
         timestamp: new Date().toISOString()
     };
 }
 
+async function sendMessage(message, context = {}) {
+    if (!model) {
+        throw new Error('Vertex AI not initialized. Check your GCP credentials.');
+    }
+
+    const startTime = Date.now();
+    const { requestConfig, requestModel, maas } = buildRequest(message, context);
+
+    if (maas) {
+        const maasResponse = await callMaasOpenApi({ ...maas, signal: context.signal });
+        return mapMaasResponse(maasResponse, startTime);
+    }
+
+    // The Vertex SDK takes no AbortSignal; check it once the call settles
+    const result = await requestModel.generateContent(requestConfig);
+    throwIfAborted(context.signal);
+    return mapResponse(result.response, startTime);
+}
+
+/**
+ * Streaming variant of sendMessage.
+ * MAAS models answer in a single chunk; Gemini models stream incrementally.
+ */
+async function streamMessage(message, context = {}, onChunk = () => { }) {
+    if (!model) {
+        throw new Error('Vertex AI not initialized. Check your GCP credentials.');
+    }
+
+    const startTime = Date.now();
+    const { requestConfig, requestModel, maas } = buildRequest(message, context);
+
+    if (maas) {
+        const maasResponse = await callMaasOpenApi({ ...maas, signal: context.signal });
+        const mapped = mapMaasResponse(maasResponse, startTime);
+        if (mapped.text) onChunk(mapped.text);
+        return mapped;
+    }
+
+    const result = await requestModel.generateContentStream(requestConfig);
+    for await (const chunk of result.stream) {
+        throwIfAborted(context.signal);
+        const parts = chunk.candidates?.[0]?.content?.parts || [];
+        parts.forEach((part) => {
+            if (part.text) onChunk(part.text);
+        });
+    }
+
+    return mapResponse(await result.response, startTime);
+}
+
+/**
+ * Where requests go, for the outbound audit log. Model-as-a-service models
+ * use the global OpenAPI endpoint, Gemini the regional one.
+ */
+function getEndpoint(modelId) {
+    const location = baseConfig?.location || 'us-central1';
+    const requestModel = modelId || baseConfig?.modelName || null;
+    const host = isMaasModel(requestModel) || location === 'global'
+        ? 'aiplatform.googleapis.com'
+        : `${location}-aiplatform.googleapis.com`;
+    return { url: `https://${host}`, model: requestModel };
+}
+
 /**
  * Get config schema for UI
  */
@@ -506,5 +617,7 @@ module.exports = {
     description: 'Google Cloud Vertex AI (requires GCP credentials)',
     init,
     sendMessage,
-    getConfigSchema
+    streamMessage,
+    getConfigSchema,
+    getEndpoint
 };
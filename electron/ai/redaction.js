@@ -0,0 +1,319 @@
+/**
+ * Secret redaction for outbound AI requests
+ *
+ * Replaces secrets (JWTs, cloud keys, bearer tokens, URL passwords, ...) with
+ * placeholders like [REDACTED:jwt:1a2b3c4d] before text reaches a provider.
+ * A placeholder is an HMAC of the secret under a per-run key, so the same
+ * secret always gets the same placeholder and the model can still tell
+ * secrets apart. Placeholders in responses (text and tool call arguments)
+ * are mapped back to the original values.
+ *
+ * Configured by aiPrivacy in system preferences: redactProviders (provider id
+ * -> false to send raw data, e.g. local models), detectors (id -> false),
+ * entropyDetection and customPatterns ([{ name, pattern }]).
+ */
+
+const crypto = require('crypto');
+const settingsManager = require('../settings-manager');
+
+const PLACEHOLDER_PREFIX = '[REDACTED:';
+const PLACEHOLDER_PATTERN = /\[REDACTED:[a-z0-9-]+:[0-9a-f]{8}\]/g;
+const MAX_PLACEHOLDER_LENGTH = 64;
+
+// Values shorter than this are never treated as secrets
+const MIN_SECRET_LENGTH = 6;
+const ENTROPY_MIN_LENGTH = 24;
+const ENTROPY_THRESHOLD = 4.0;
+const HEX_ENTROPY_THRESHOLD = 3.5;
+
+/**
+ * Built-in detectors. When a pattern has a capture group, only the group is
+ * replaced (e.g. the value of password=...).
+ */
+const DETECTORS = [
+    {
+        id: 'private-key',
+        label: 'Private key blocks',
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]+?-----END [A-Z ]*PRIVATE KEY-----/g
+    },
+    {
+        id: 'jwt',
+        label: 'JSON Web Tokens',
+        pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{4,}\.[A-Za-z0-9_-]*/g
+    },
+    {
+        id: 'aws-access-key',
+        label: 'AWS access key IDs',
+        pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g
+    },
+    {
+        id: 'aws-secret-key',
+        label: 'AWS secret access keys',
+        pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})/gi
+    },
+    {
+        id: 'api-key',
+        label: 'Provider API keys (OpenAI, Anthropic, Google, GitHub, Slack, Stripe)',
+        pattern: /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,}|xox[abposr]-[A-Za-z0-9-]{10,}|[sr]k_(?:live|test)_[0-9A-Za-z]{16,})\b/g
+    },
+    {
+        id: 'authorization',
+        label: 'Bearer, Basic and token authorization values',
+        pattern: /\b(?:Bearer|Basic|Token)\s+([A-Za-z0-9._~+/=-]{12,})/g
+    },
+    {
+        id: 'url-password',
+        label: 'Passwords in URLs',
+        pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]+)@/gi
+    },
+    {
+        id: 'cookie',
+        label: 'Cookie header values',
+        pattern: /(?<=^[ \t]*(?:Cookie|Set-Cookie)[ \t]*:.*?)\b[\w.-]+=([^;\s]+)/gim
+    },
+    {
+        id: 'assignment',
+        label: 'password=, secret=, token=, api_key= assignments',
+        pattern: /\b[\w.-]*?(?:password|passwd|pwd|secret|token|api[_-]?key|apikey|private[_-]?key|session[_-]?id)\b["']?\s*[:=]\s*["']?(?!(?:Bearer|Basic|Token)\s)([^\s"'&,;<>]+)/gi
+    }
+];
+
+// Per-run key: placeholders are stable for the app session and reveal nothing
+const hmacKey = crypto.randomBytes(32);
+// placeholder -> original value, for mapping responses back
+const vault = new Map();
+
+function listDetectors() {
+    return DETECTORS.map(({ id, label }) => ({ id, label }));
+}
+
+function shannonEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    counts.forEach((count) => {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    });
+    return entropy;
+}
+
+/**
+ * Long random-looking strings: API keys and session ids without a known prefix
+ */
+function looksRandom(value) {
+    if (value.length < ENTROPY_MIN_LENGTH) return false;
+    if (!/\d/.test(value) || !/[A-Za-z]/.test(value)) return false;
+    if (/^[0-9a-f]+$/i.test(value)) {
+        return value.length >= 32 && shannonEntropy(value) >= HEX_ENTROPY_THRESHOLD;
+    }
+    return shannonEntropy(value) >= ENTROPY_THRESHOLD;
+}
+
+function compileCustomPatterns(customPatterns) {
+    return (Array.isArray(customPatterns) ? customPatterns : [])
+        .map((entry, index) => {
+            try {
+                const name = String(entry?.name || `custom-${index + 1}`)
+                    .toLowerCase()
+                    .replace(/[^a-z0-9-]+/g, '-');
+                return { id: name, pattern: new RegExp(entry.pattern, 'g') };
+            } catch (error) {
+                console.warn('Invalid redaction pattern:', entry?.pattern, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Whether requests to a provider are redacted (on unless turned off)
+ */
+function isRedactionEnabled(privacy = {}, providerId) {
+    const redactProviders = {
+        ...settingsManager.DEFAULT_SYSTEM_PREFERENCES.aiPrivacy.redactProviders,
+        ...(privacy?.redactProviders || {})
+    };
+    return redactProviders[providerId] !== false;
+}
+
+/**
+ * @param {object} [privacy] - aiPrivacy preferences
+ * @returns {{ redact, redactValue, restore, restoreValue, createStreamRestorer, count }}
+ */
+function createRedactor(privacy = {}) {
+    const disabled = privacy?.detectors || {};
+    const detectors = [
+        ...DETECTORS.filter(detector => disabled[detector.id] !== false),
+        ...compileCustomPatterns(privacy?.customPatterns)
+    ];
+    const entropyDetection = privacy?.entropyDetection !== false;
+    const found = new Set();
+
+    const placeholderFor = (kind, secret) => {
+        const digest = crypto.createHmac('sha256', hmacKey).update(secret).digest('hex').slice(0, 8);
+        const placeholder = `${PLACEHOLDER_PREFIX}${kind}:${digest}]`;
+        vault.set(placeholder, secret);
+        found.add(placeholder);
+        return placeholder;
+    };
+
+    const isSecret = secret => secret
+        && secret.length >= MIN_SECRET_LENGTH
+        && !secret.includes(PLACEHOLDER_PREFIX);
+
+    // Earlier detectors' placeholders are never matched again
+    const insidePlaceholder = (text, offset) => {
+        const before = text.slice(Math.max(0, offset - MAX_PLACEHOLDER_LENGTH), offset);
+        return before.lastIndexOf(PLACEHOLDER_PREFIX) > before.lastIndexOf(']');
+    };
+
+    function redact(text) {
+        if (typeof text !== 'string' || !text) return text;
+        let result = text;
+
+        detectors.forEach(({ id, pattern }) => {
+            pattern.lastIndex = 0;
+            result = result.replace(pattern, (match, ...groups) => {
+                const secret = typeof groups[0] === 'string' ? groups[0] : match;
+                const offset = groups.find(group => typeof group === 'number');
+                if (!isSecret(secret) || insidePlaceholder(result, offset)) return match;
+                return match.replace(secret, placeholderFor(id, secret));
+            });
+        });
+
+        if (entropyDetection) {
+            result = result.replace(/[A-Za-z0-9+/=_-]{24,}/g, (match, offset, whole) => {
+                if (insidePlaceholder(whole, offset)) return match;
+                // Paths and URL segments rather than base64
+                if (match.includes('/') && !/[+=]/.test(match)) return match;
+                return looksRandom(match) ? placeholderFor('secret', match) : match;
+            });
+        }
+
+        return result;
+    }
+
+    function restore(text) {
+        if (typeof text !== 'string' || !text.includes(PLACEHOLDER_PREFIX)) return text;
+        return text.replace(PLACEHOLDER_PATTERN, placeholder => vault.get(placeholder) ?? placeholder);
+    }
+
+    const mapStrings = (value, fn) => {
+        if (typeof value === 'string') return fn(value);
+        if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+        }
+        return value;
+    };
+
+    /**
+     * Restores placeholders in streamed text. A placeholder split across
+     * chunks is held back until it is complete.
+     */
+    function createStreamRestorer() {
+        let pending = '';
+        return {
+            push(delta) {
+                pending += delta;
+                const start = pending.lastIndexOf('[');
+                const tail = start >= 0 ? pending.slice(start) : '';
+                const incomplete = tail
+                    && !tail.includes(']')
+                    && tail.length < MAX_PLACEHOLDER_LENGTH
+                    && (PLACEHOLDER_PREFIX.startsWith(tail) || tail.startsWith(PLACEHOLDER_PREFIX));
+                const ready = incomplete ? pending.slice(0, start) : pending;
+                pending = incomplete ? tail : '';
+                return restore(ready);
+            },
+            flush() {
+                const rest = pending;
+                pending = '';
+                return restore(rest);
+            }
+        };
+    }
+
+    return {
+        redact,
+        redactValue: value => mapStrings(value, redact),
+        restore,
+        restoreValue: value => mapStrings(value, restore),
+        createStreamRestorer,
+        // Distinct secrets replaced so far
+        get count() {
+            return found.size;
+        }
+    };
+}
+
+/**
+ * Copy of a request context with secrets replaced in everything that is
+ * sent as text: note, system prompt, attached files, retrieved notes, chat
+ * history and earlier tool turns
+ */
+function redactContext(redactor, context = {}) {
+    const redacted = { ...context };
+    if (context.currentNote) redacted.currentNote = redactor.redact(context.currentNote);
+    if (context.systemPrompt) redacted.systemPrompt = redactor.redact(context.systemPrompt);
+    if (Array.isArray(context.attachedFiles)) {
+        redacted.attachedFiles = context.attachedFiles.map(file => ({ ...file, content: redactor.redact(file.content) }));
+    }
+    if (Array.isArray(context.retrieved)) {
+        redacted.retrieved = context.retrieved.map(chunk => ({ ...chunk, text: redactor.redact(chunk.text) }));
+    }
+    if (context.chat) {
+        redacted.chat = {
+            ...context.chat,
+            summary: redactor.redact(context.chat.summary),
+            recentMessages: (context.chat.recentMessages || [])
+                .map(msg => ({ ...msg, content: redactor.redact(msg.content) }))
+        };
+    }
+    if (Array.isArray(context.toolTurns)) {
+        redacted.toolTurns = redactor.redactValue(context.toolTurns);
+    }
+    return redacted;
+}
+
+/**
+ * Map placeholders in a provider response back to the original values
+ */
+function restoreResponse(redactor, response) {
+    if (!response) return response;
+    const restored = { ...response, redacted: redactor.count };
+    if (typeof response.text === 'string') restored.text = redactor.restore(response.text);
+    if (Array.isArray(response.functionCalls)) {
+        restored.functionCalls = response.functionCalls.map(call => ({ ...call, args: redactor.restoreValue(call.args) }));
+    }
+    return restored;
+}
+
+async function getPrivacyPreferences() {
+    try {
+        const prefs = await settingsManager.getSystemPreferences();
+        return prefs?.aiPrivacy || {};
+    } catch (_error) {
+        return {};
+    }
+}
+
+/**
+ * Redactor for requests to a provider, or null when it gets raw data
+ */
+async function getRedactor(providerId) {
+    const privacy = await getPrivacyPreferences();
+    return isRedactionEnabled(privacy, providerId) ? createRedactor(privacy) : null;
+}
+
+module.exports = {
+    listDetectors,
+    isRedactionEnabled,
+    createRedactor,
+    redactContext,
+    restoreResponse,
+    getRedactor
+};
@@ -0,0 +1,100 @@
+/**
+ * Workspace retrieval for AI requests
+ *
+ * Queries the FTS index with the user's message, splits the best-matching
+ * notes into heading/paragraph chunks and keeps the highest scoring chunks
+ * that fit a token budget. The chunks are sent as cited context and
+ * returned to the renderer as the answer's sources.
+ */
+
+const SearchIndexer = require('../search-indexer');
+const { estimateTokens } = require('./tokens');
+
+const DEFAULT_MAX_CHUNKS = 6;
+const DEFAULT_TOKEN_BUDGET = 1500;
+const CANDIDATE_DOCUMENTS = 8;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can',
+    'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in',
+    'into', 'is', 'it', 'its', 'last', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so',
+    'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'us', 'was',
+    'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you',
+    'your', 'please', 'tell', 'show', 'find', 'found', 'get', 'got', 'some'
+]);
+
+/**
+ * Search terms from a natural-language question
+ */
+function extractTerms(message) {
+    const terms = String(message || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}_-]+/u)
+        .map(term => term.replace(/^[-_]+|[-_]+$/g, ''))
+        .filter(term => term.length >= 2 && !STOP_WORDS.has(term));
+
+    return Array.from(new Set(terms)).slice(0, 12);
+}
+
+function scoreChunk(chunk, terms) {
+    const haystack = `${chunk.heading}\n${chunk.text}`.toLowerCase();
+    return terms.reduce((score, term) => {
+        const occurrences = haystack.split(term).length - 1;
+        // Distinct terms matter more than repeats of one term
+        return score + (occurrences > 0 ? 1 + Math.log(occurrences) : 0);
+    }, 0);
+}
+
+/**
+ * Retrieve note chunks relevant to a message
+ * @param {object} searchIndexer - SearchIndexer for the open workspace
+ * @param {string} message
+ * @param {object} [options]
+ * @param {number} [options.maxChunks]
+ * @param {number} [options.tokenBudget]
+ * @param {string} [options.excludePath] - Note already sent in full (the open note)
+ * @returns {Array<{ index, path, heading, text }>}
+ */
+function retrieveChunks(searchIndexer, message, options = {}) {
+    const maxChunks = options.maxChunks || DEFAULT_MAX_CHUNKS;
+    const tokenBudget = options.tokenBudget || DEFAULT_TOKEN_BUDGET;
+    const terms = extractTerms(message);
+    if (!searchIndexer || terms.length === 0) return [];
+
+    const documents = searchIndexer.searchDocuments(terms, CANDIDATE_DOCUMENTS)
+        .filter(doc => doc.path !== options.excludePath);
+
+    const candidates = [];
+    documents.forEach((doc, docIndex) => {
+        SearchIndexer.chunkContent(doc.content).forEach(chunk => {
+            const score = scoreChunk(chunk, terms);
+            if (score <= 0) return;
+            // Prefer chunks from documents FTS ranked higher
+            candidates.push({ ...chunk, path: doc.path, score: score / (1 + docIndex * 0.15) });
+        });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let usedTokens = 0;
+    for (const candidate of candidates) {
+        if (selected.length >= maxChunks) break;
+        const tokens = estimateTokens(candidate.text);
+        if (usedTokens + tokens > tokenBudget) continue;
+        selected.push(candidate);
+        usedTokens += tokens;
+    }
+
+    return selected.map((chunk, index) => ({
+        index: index + 1,
+        path: chunk.path,
+        heading: chunk.heading,
+        text: chunk.text
+    }));
+}
+
+module.exports = {
+    extractTerms,
+    retrieveChunks
+};
@@ -0,0 +1,68 @@
+/**
+ * Retry helpers for provider requests
+ */
+
+const { throwIfAborted } = require('./stream-utils');
+
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Extract an HTTP status from provider errors.
+ * SDK errors carry it as a property; fetch-based providers put it in the message.
+ */
+function getErrorStatus(error) {
+    const candidates = [error?.status, error?.statusCode, error?.code, error?.response?.status];
+    const status = candidates.find(value => Number.isInteger(value) && value >= 100 && value < 600);
+    if (status) return status;
+
+    const match = String(error?.message || '').match(/\b(429|5\d\d)\b/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Rate limits and server errors are worth retrying
+ */
+function isRetryableError(error) {
+    const status = getErrorStatus(error);
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    return /RESOURCE_EXHAUSTED|UNAVAILABLE|overloaded/i.test(String(error?.message || ''));
+}
+
+/**
+ * Exponential backoff with jitter: base, 2x base, 4x base, ... capped at 30s
+ */
+function getBackoffDelay(attempt, baseDelayMs) {
+    const delay = Math.min(MAX_BACKOFF_MS, baseDelayMs * (2 ** attempt));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Wait for ms, rejecting early if the request is cancelled
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        function onAbort() {
+            clearTimeout(timer);
+            try {
+                throwIfAborted(signal);
+            } catch (error) {
+                reject(error);
+            }
+        }
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        if (signal?.aborted) onAbort();
+    });
+}
+
+module.exports = {
+    getErrorStatus,
+    isRetryableError,
+    getBackoffDelay,
+    sleep
+};
@@ -0,0 +1,83 @@
+/**
+ * Shared helpers for reading streamed provider responses
+ */
+
+/**
+ * Iterate decoded text lines from a fetch response body.
+ * Works with both Node streams (node-fetch) and web streams (global fetch).
+ */
+async function* readLines(body) {
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+        let newlineIndex = buffer.indexOf('\n');
+        while (newlineIndex >= 0) {
+            const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+            buffer = buffer.slice(newlineIndex + 1);
+            yield line;
+            newlineIndex = buffer.indexOf('\n');
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.length) {
+        yield buffer.replace(/\r$/, '');
+    }
+}
+
+/**
+ * Iterate server-sent events from a fetch response body.
+ * Yields { event, data } with data joined across multi-line fields.
+ */
+async function* readSseEvents(body) {
+    let eventName = null;
+    let dataLines = [];
+
+    for await (const line of readLines(body)) {
+        if (line === '') {
+            if (dataLines.length) {
+                yield { event: eventName || 'message', data: dataLines.join('\n') };
+            }
+            eventName = null;
+            dataLines = [];
+            continue;
+        }
+
+        if (line.startsWith(':')) continue;
+
+        const separator = line.indexOf(':');
+        const field = separator >= 0 ? line.slice(0, separator) : line;
+        const value = separator >= 0 ? line.slice(separator + 1).replace(/^ /, '') : '';
+
+        if (field === 'event') {
+            eventName = value;
+        } else if (field === 'data') {
+            dataLines.push(value);
+        }
+    }
+
+    if (dataLines.length) {
+        yield { event: eventName || 'message', data: dataLines.join('\n') };
+    }
+}
+
+/**
+ * Throw an AbortError when the request signal has fired.
+ * Used by providers whose SDKs do not accept an AbortSignal.
+ */
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+}
+
+module.exports = {
+    readLines,
+    readSseEvents,
+    throwIfAborted
+};
@@ -0,0 +1,88 @@
+/**
+ * Token estimation per model family
+ *
+ * No tokenizer ships with the app, so counts are estimated from the text's
+ * shape: words are split at a family-specific average length, while digits,
+ * punctuation and non-Latin characters cost more than plain prose. This
+ * tracks real tokenizers far better than a flat characters / 4 on notes full
+ * of URLs, hashes, code and tool output.
+ */
+
+// Average characters per token for alphabetic runs
+const FAMILIES = {
+    gemini: { wordChars: 4.2, defaultContextWindow: 1048576 },
+    claude: { wordChars: 3.6, defaultContextWindow: 200000 },
+    gpt: { wordChars: 4.0, defaultContextWindow: 128000 },
+    llama: { wordChars: 3.8, defaultContextWindow: 8192 },
+    other: { wordChars: 3.8, defaultContextWindow: 32768 }
+};
+
+// Per-message framing (role markers, separators)
+const MESSAGE_OVERHEAD = 4;
+// Rough cost of one attached image
+const IMAGE_TOKENS = 1000;
+
+// Letter runs, digit runs, whitespace runs, accented Latin runs, then any
+// other single character (punctuation, CJK, emoji halves)
+const PIECE_PATTERN = /[A-Za-z]+|\d+|\s+|[\u0080-\u024f]+|[^\sA-Za-z\d]/g;
+
+/**
+ * Model family from a model id, falling back to the provider
+ * @param {string} [modelId]
+ * @param {string} [providerId]
+ * @returns {'gemini'|'claude'|'gpt'|'llama'|'other'}
+ */
+function getModelFamily(modelId, providerId) {
+    const id = String(modelId || '').toLowerCase();
+    if (id.includes('gemini')) return 'gemini';
+    if (id.includes('claude')) return 'claude';
+    if (/\bgpt|\bo[134]\b|openai/.test(id)) return 'gpt';
+    if (/llama|mistral|qwen|deepseek|kimi|phi|gemma/.test(id)) return 'llama';
+
+    if (providerId === 'vertex' || providerId === 'google-ai-studio') return 'gemini';
+    if (providerId === 'anthropic') return 'claude';
+    if (providerId === 'ollama') return 'llama';
+    return 'other';
+}
+
+function getDefaultContextWindow(family) {
+    return (FAMILIES[family] || FAMILIES.other).defaultContextWindow;
+}
+
+/**
+ * @param {string} text
+ * @param {string} [family]
+ * @returns {number}
+ */
+function estimateTokens(text, family = 'other') {
+    const value = String(text || '');
+    if (!value) return 0;
+
+    const { wordChars } = FAMILIES[family] || FAMILIES.other;
+    let tokens = 0;
+    (value.match(PIECE_PATTERN) || []).forEach((piece) => {
+        const code = piece.charCodeAt(0);
+        if (code <= 0x7a && /[A-Za-z]/.test(piece[0])) {
+            tokens += Math.ceil(piece.length / wordChars);
+        } else if (code >= 0x30 && code <= 0x39) {
+            // Most tokenizers split numbers into groups of up to 3 digits
+            tokens += Math.ceil(piece.length / 3);
+        } else if (/\s/.test(piece[0])) {
+            // Single spaces merge into the next word; runs of whitespace do not
+            tokens += piece.length > 1 ? Math.ceil(piece.length / 4) : 0;
+        } else if (code >= 0x80 && code <= 0x24f) {
+            tokens += Math.ceil(piece.length / 2);
+        } else {
+            tokens += 1;
+        }
+    });
+    return tokens;
+}
+
+module.exports = {
+    MESSAGE_OVERHEAD,
+    IMAGE_TOKENS,
+    getModelFamily,
+    getDefaultContextWindow,
+    estimateTokens
+};
@@ -0,0 +1,221 @@
+/**
+ * AI usage ledger
+ *
+ * Appends one JSON line per AI request to .x0v3rt/usage/ledger.jsonl in the
+ * workspace. Costs are derived from the per-model pricing in system
+ * preferences (aiUsage.pricing) when summaries are built, so pricing can be
+ * filled in after the fact.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const LEDGER_DIRNAME = path.join('.x0v3rt', 'usage');
+const LEDGER_FILENAME = 'ledger.jsonl';
+
+function getLedgerPath() {
+    const fileManager = require('../file-manager');
+    const notesDir = fileManager.getNotesDir();
+    return notesDir ? path.join(notesDir, LEDGER_DIRNAME, LEDGER_FILENAME) : null;
+}
+
+async function getUsagePreferences() {
+    try {
+        const settingsManager = require('../settings-manager');
+        const prefs = await settingsManager.getSystemPreferences();
+        return {
+            pricing: prefs?.aiUsage?.pricing || {},
+            budgets: prefs?.aiUsage?.budgets || {}
+        };
+    } catch (_error) {
+        return { pricing: {}, budgets: {} };
+    }
+}
+
+/**
+ * Append a request to the ledger
+ * @param {object} entry - { requestId, sessionId, provider, model, usage, elapsedMs, steps, stopReason }
+ */
+async function recordUsage(entry = {}) {
+    const ledgerPath = getLedgerPath();
+    if (!ledgerPath) return null;
+
+    const usage = entry.usage || {};
+    const record = {
+        timestamp: new Date().toISOString(),
+        requestId: entry.requestId || null,
+        sessionId: entry.sessionId || null,
+        provider: entry.provider || null,
+        model: entry.model || null,
+        promptTokens: usage.promptTokens ?? null,
+        responseTokens: usage.responseTokens ?? null,
+        totalTokens: usage.totalTokens ?? null,
+        elapsedMs: entry.elapsedMs ?? null,
+        steps: Array.isArray(entry.steps) ? entry.steps.length : 0,
+        stopReason: entry.stopReason || null
+    };
+
+    try {
+        await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+        await fs.appendFile(ledgerPath, `${JSON.stringify(record)}\n`, 'utf-8');
+        return record;
+    } catch (error) {
+        console.error('Usage ledger write error:', error);
+        return null;
+    }
+}
+
+async function readLedger() {
+    const ledgerPath = getLedgerPath();
+    if (!ledgerPath) return [];
+
+    try {
+        const raw = await fs.readFile(ledgerPath, 'utf-8');
+        return raw
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (_error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Pricing is per 1M tokens, keyed by model id or, as a catch-all, provider id
+ * (e.g. "ollama": { input: 0, output: 0 })
+ */
+function getEntryCost(entry, pricing) {
+    const price = (entry.model && pricing[entry.model]) || (entry.provider && pricing[entry.provider]);
+    if (!price) return null;
+
+    const input = Number(price.input) || 0;
+    const output = Number(price.output) || 0;
+    return ((entry.promptTokens || 0) * input + (entry.responseTokens || 0) * output) / 1000000;
+}
+
+function createBucket(key) {
+    return {
+        key,
+        requests: 0,
+        promptTokens: 0,
+        responseTokens: 0,
+        totalTokens: 0,
+        elapsedMs: 0,
+        cost: 0,
+        unpricedRequests: 0
+    };
+}
+
+function addToBucket(bucket, entry, cost) {
+    bucket.requests += 1;
+    bucket.promptTokens += entry.promptTokens || 0;
+    bucket.responseTokens += entry.responseTokens || 0;
+    bucket.totalTokens += entry.totalTokens || 0;
+    bucket.elapsedMs += entry.elapsedMs || 0;
+    if (cost === null) {
+        bucket.unpricedRequests += 1;
+    } else {
+        bucket.cost += cost;
+    }
+}
+
+function getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return 'unknown';
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Totals per day, per model and per chat session
+ * @param {object} [options]
+ * @param {string} [options.since] - ISO timestamp; older entries are ignored
+ * @param {string} [options.sessionId] - Limit to one chat session
+ */
+async function summarizeUsage(options = {}) {
+    const { pricing } = await getUsagePreferences();
+    const since = options.since ? new Date(options.since).getTime() : null;
+
+    const total = createBucket('total');
+    const byDay = new Map();
+    const byModel = new Map();
+    const bySession = new Map();
+
+    const entries = await readLedger();
+    entries.forEach(entry => {
+        if (since && new Date(entry.timestamp).getTime() < since) return;
+        if (options.sessionId && entry.sessionId !== options.sessionId) return;
+
+        const cost = getEntryCost(entry, pricing);
+        const dayKey = getDayKey(entry.timestamp);
+        const modelKey = entry.model ? `${entry.provider || 'unknown'}:${entry.model}` : (entry.provider || 'unknown');
+        const sessionKey = entry.sessionId || 'none';
+
+        if (!byDay.has(dayKey)) byDay.set(dayKey, createBucket(dayKey));
+        if (!byModel.has(modelKey)) byModel.set(modelKey, createBucket(modelKey));
+        if (!bySession.has(sessionKey)) bySession.set(sessionKey, createBucket(sessionKey));
+
+        addToBucket(total, entry, cost);
+        addToBucket(byDay.get(dayKey), entry, cost);
+        addToBucket(byModel.get(modelKey), entry, cost);
+        addToBucket(bySession.get(sessionKey), entry, cost);
+    });
+
+    return {
+        total,
+        byDay: Array.from(byDay.values()).sort((a, b) => b.key.localeCompare(a.key)),
+        byModel: Array.from(byModel.values()).sort((a, b) => b.totalTokens - a.totalTokens),
+        bySession: Array.from(bySession.values()).sort((a, b) => b.totalTokens - a.totalTokens)
+    };
+}
+
+/**
+ * Compare today's and this session's usage against the soft budgets
+ * @returns {Promise<{warnings: string[]}>}
+ */
+async function checkBudget(sessionId) {
+    const { budgets } = await getUsagePreferences();
+    const dailyCost = Number(budgets.dailyCost) || 0;
+    const dailyTokens = Number(budgets.dailyTokens) || 0;
+    const sessionCost = Number(budgets.sessionCost) || 0;
+    const warnings = [];
+
+    if (!dailyCost && !dailyTokens && !sessionCost) {
+        return { warnings };
+    }
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const today = await summarizeUsage({ since: startOfDay.toISOString() });
+
+    if (dailyCost && today.total.cost >= dailyCost) {
+        warnings.push(`Today's AI spend is $${today.total.cost.toFixed(2)} (budget $${dailyCost.toFixed(2)}).`);
+    }
+    if (dailyTokens && today.total.totalTokens >= dailyTokens) {
+        warnings.push(`Today's AI usage is ${today.total.totalTokens} tokens (budget ${dailyTokens}).`);
+    }
+    if (sessionCost && sessionId) {
+        const sessionTotal = (await summarizeUsage({ sessionId })).total.cost;
+        if (sessionTotal >= sessionCost) {
+            warnings.push(`This chat has spent $${sessionTotal.toFixed(2)} (budget $${sessionCost.toFixed(2)}).`);
+        }
+    }
+
+    return { warnings };
+}
+
+module.exports = {
+    recordUsage,
+    readLedger,
+    summarizeUsage,
+    checkBudget
+};
@@ -22,6 +22,10 @@ function setWorkspaceDir(dir) {
     notesDir = dir;
 }
 
+function getWorkspaceDir() {
+    return notesDir;
+}
+
 /**
  * Get the extensions config file path
  */
@@ -47,7 +51,11 @@ function getDefaultConfig() {
         settings: {
             'ai-tools': {
                 artifactsPath: 'artifacts',
-                enabledTools: ['planning', 'implementation', 'tasks', 'walkthrough', 'changelog']
+                enabledTools: ['planning', 'implementation', 'tasks', 'walkthrough', 'changelog'],
+                // Per-tool approval: 'allow', 'ask' or 'deny'
+                toolPolicies: {
+                    run_command: 'ask'
+                }
             }
         }
     };
@@ -199,6 +207,26 @@ function getAvailableExtensions() {
                     id: 'changelog',
                     name: 'Changelog',
                     description: 'Update project changelog'
+                },
+                {
+                    id: 'notes',
+                    name: 'Note Editing',
+                    description: 'Read, search and propose edits to notes, reviewed as a diff in the editor'
+                }
+            ],
+            // Chat slash commands; {{args}} is what follows the command
+            commands: [
+                {
+                    name: 'plan',
+                    description: 'Draft a planning document with the create_plan tool',
+                    usage: '<topic>',
+                    prompt: 'Create a planning document for: {{args}}. Save it with the create_plan tool.'
+                },
+                {
+                    name: 'tasks',
+                    description: 'Turn a goal into a task checklist with the create_task_list tool',
+                    usage: '<goal>',
+                    prompt: 'Break this goal into a task checklist and save it with the create_task_list tool: {{args}}'
                 }
             ]
         }
@@ -388,6 +416,7 @@ function registerHandlers() {
 module.exports = {
     registerHandlers,
     setWorkspaceDir,
+    getWorkspaceDir,
     initializeExtensions,
     loadExtensionsConfig,
     saveExtensionsConfig,
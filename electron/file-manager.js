@@ -187,6 +187,10 @@ async function initializeNotesDir() {
     }
 }
 
+function getSearchIndexer() {
+    return searchIndexer;
+}
+
 function getNotesDir() {
     return notesDir;
 }
@@ -203,6 +207,8 @@ async function setNotesDir(dir, persist = true) {
         // Notify extensions module of workspace change
         const extensions = require('./extensions');
         const settingsManager = require('./settings-manager');
+        // Servers from the previous workspace's config
+        require('./mcp-client').stopAllServers();
         extensions.setWorkspaceDir(notesDir);
         settingsManager.setWorkspaceDir(notesDir);
         await extensions.initializeExtensions().catch(err =>
@@ -226,6 +232,7 @@ async function initializeSearchIndexer() {
     try {
         searchIndexer = new SearchIndexer(notesDir);
         await searchIndexer.initialize();
+        await configureSemanticSearch();
         // Rebuild index in background
         setImmediate(async () => {
             await searchIndexer.rebuildIndex();
@@ -235,6 +242,23 @@ async function initializeSearchIndexer() {
     }
 }
 
+/**
+ * Point the search indexer at the embeddings endpoint from system
+ * preferences (search.semantic), or turn semantic search off
+ */
+async function configureSemanticSearch() {
+    if (!searchIndexer) return;
+
+    try {
+        const settingsManager = require('./settings-manager');
+        const { createEmbedder } = require('./ai/embeddings');
+        const prefs = await settingsManager.getSystemPreferences();
+        searchIndexer.setEmbedder(createEmbedder(prefs));
+    } catch (error) {
+        console.error('[FileManager] Semantic search config error:', error);
+    }
+}
+
 /**
  * Set the currently active file
  * @param {string} filename - Relative path to the file
@@ -414,6 +438,111 @@ async function writeFile(filename, content) {
     return { content };
 }
 
+/**
+ * Notes may be referenced without their .md extension
+ */
+function resolveNoteName(filename) {
+    const name = String(filename || '').trim().replace(/^[/\\]+/, '');
+    if (!name) {
+        throw new Error('Note path is required');
+    }
+    return path.extname(name) ? name : `${name}.md`;
+}
+
+/**
+ * Read a note for AI tools (metadata folder excluded)
+ */
+async function readNote(filename) {
+    const noteName = resolveNoteName(filename);
+    const content = await readFile(noteName);
+    return { filename: noteName, content };
+}
+
+function countOccurrences(text, search) {
+    let count = 0;
+    let index = text.indexOf(search);
+    while (index !== -1) {
+        count += 1;
+        index = text.indexOf(search, index + search.length);
+    }
+    return count;
+}
+
+/**
+ * End of the section under a markdown heading: the next heading of the
+ * same or a higher level, or the end of the note
+ */
+function findSectionEnd(content, heading) {
+    const wanted = String(heading).replace(/^#+\s*/, '').trim().toLowerCase();
+    const lines = content.split('\n');
+    let offset = 0;
+    let level = 0;
+
+    for (const line of lines) {
+        const match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (match) {
+            if (level && match[1].length <= level) {
+                return offset;
+            }
+            if (!level && match[2].trim().toLowerCase() === wanted) {
+                level = match[1].length;
+            }
+        }
+        offset += line.length + 1;
+    }
+
+    if (!level) {
+        throw new Error(`Heading not found: ${heading}`);
+    }
+    return content.length;
+}
+
+function appendText(content, text, position = content.length) {
+    const before = content.slice(0, position).replace(/\n*$/, '');
+    const after = content.slice(position);
+    const block = String(text).replace(/^\n+|\n+$/g, '');
+    const separator = before ? '\n\n' : '';
+    return `${before}${separator}${block}\n${after ? `\n${after}` : ''}`;
+}
+
+/**
+ * Compute an AI edit to a note without writing it. The renderer shows the
+ * result as a diff and only writes what the user accepts.
+ * @param {string} filename
+ * @param {object} edit - { type: 'append', content, heading? } or
+ *   { type: 'replace', find, replace, all? }
+ * @returns {Promise<{filename, original, proposed}>}
+ */
+async function previewNoteEdit(filename, edit = {}) {
+    const { filename: noteName, content: original } = await readNote(filename);
+    let proposed;
+
+    if (edit.type === 'append') {
+        if (!edit.content) {
+            throw new Error('Nothing to append');
+        }
+        const position = edit.heading ? findSectionEnd(original, edit.heading) : original.length;
+        proposed = appendText(original, edit.content, position);
+    } else if (edit.type === 'replace') {
+        const find = String(edit.find || '');
+        if (!find) {
+            throw new Error('Text to replace is required');
+        }
+        const occurrences = countOccurrences(original, find);
+        if (occurrences === 0) {
+            throw new Error(`Text not found in ${noteName}`);
+        }
+        if (occurrences > 1 && !edit.all) {
+            throw new Error(`Text occurs ${occurrences} times in ${noteName}; include more context or set all`);
+        }
+        proposed = original.split(find).join(String(edit.replace ?? ''));
+    } else {
+        throw new Error(`Unknown edit type: ${edit.type}`);
+    }
+
+    return { filename: noteName, original, proposed };
+}
+
 /**
  * Create a new file
  */
@@ -755,6 +884,27 @@ function registerHandlers() {
         }
     });
 
+    ipcMain.handle('file:read-note', async (_event, filename) => {
+        try {
+            return await readNote(filename);
+        } catch (error) {
+            if (error?.code === 'ENOENT') {
+                return { missing: true };
+            }
+            console.error('Read note error:', error);
+            throw error;
+        }
+    });
+
+    ipcMain.handle('file:preview-edit', async (_event, filename, edit) => {
+        try {
+            return await previewNoteEdit(filename, edit);
+        } catch (error) {
+            console.error('Preview edit error:', error);
+            throw error;
+        }
+    });
+
     ipcMain.handle('file:create', async (_event, filename) => {
         try {
             const actualFilename = await createFile(filename);
@@ -881,8 +1031,8 @@ function registerHandlers() {
 
     ipcMain.handle('chat:append', async (_event, sessionId, message) => {
         try {
-            await appendChatMessage(sessionId, message);
-            return { success: true };
+            const stored = await appendChatMessage(sessionId, message);
+            return { success: true, message: stored };
         } catch (error) {
             console.error('Chat append error:', error);
             throw error;
@@ -892,13 +1042,23 @@ function registerHandlers() {
     ipcMain.handle('chat:get', async (_event, sessionId) => {
         try {
             const session = await getChatHistory(sessionId);
-            return { success: true, session };
+            return { success: true, session, thread: getChatThread(session) };
         } catch (error) {
             console.error('Chat get error:', error);
             throw error;
         }
     });
 
+    ipcMain.handle('chat:select-branch', async (_event, sessionId, messageId, options) => {
+        try {
+            const session = await selectChatBranch(sessionId, messageId, options || {});
+            return { success: true, thread: getChatThread(session) };
+        } catch (error) {
+            console.error('Chat select branch error:', error);
+            throw error;
+        }
+    });
+
     ipcMain.handle('chat:list', async () => {
         try {
             const sessions = await listChatSessions();
@@ -975,12 +1135,19 @@ function registerHandlers() {
         }
     });
 
-    ipcMain.handle('search:query', async (_event, query) => {
+    ipcMain.handle('search:query', async (_event, query, options = {}) => {
         try {
             if (!searchIndexer) {
                 return [];
             }
-            const results = searchIndexer.search(query);
+            let results = null;
+            if (options.mode === 'semantic') {
+                results = await searchIndexer.searchSemantic(query);
+            } else if (options.mode === 'hybrid') {
+                results = await searchIndexer.searchHybrid(query);
+            } else {
+                results = searchIndexer.search(query);
+            }
             return results || [];
         } catch (error) {
             console.error('Search query error:', error);
@@ -988,6 +1155,13 @@ function registerHandlers() {
         }
     });
 
+    ipcMain.handle('search:status', async () => {
+        if (!searchIndexer) {
+            return { enabled: false, model: null, chunks: 0, pending: 0 };
+        }
+        return searchIndexer.getSemanticStatus();
+    });
+
     ipcMain.handle('search:reindex', async () => {
         try {
             if (!searchIndexer) {
@@ -1063,11 +1237,21 @@ async function appendChatMessage(sessionId, message) {
         };
     }
 
-    session.messages.push({
+    // New messages continue the active branch unless a parent is given
+    // (null starts a new root, e.g. when the first prompt is edited)
+    const parentId = message.parentId !== undefined ? message.parentId : getChatLeafId(session);
+    if (parentId !== null && !session.messages.some(m => m.id === parentId)) {
+        throw new Error('Parent message not found');
+    }
+
+    const stored = {
         ...message,
         id: message.id || `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        parentId,
         timestamp: message.timestamp || new Date().toISOString()
-    });
+    };
+    session.messages.push(stored);
+    session.activeLeafId = stored.id;
 
     // Update session metadata
     session.updatedAt = new Date().toISOString();
@@ -1084,6 +1268,92 @@ async function appendChatMessage(sessionId, message) {
     }
 
     await fs.writeFile(sessionPath, JSON.stringify(session, null, 2), 'utf-8');
+    return stored;
+}
+
+/**
+ * Parent of a stored message. Sessions saved before branching have no
+ * parentId, so each of their messages follows the one before it.
+ */
+function getChatParentId(messages, index) {
+    const message = messages[index];
+    if (message && message.parentId !== undefined) {
+        return message.parentId;
+    }
+    return index > 0 ? messages[index - 1].id : null;
+}
+
+/**
+ * Child ids per parent id (null for roots), oldest first
+ */
+function getChatChildren(messages) {
+    const children = new Map();
+    messages.forEach((message, index) => {
+        const parentId = getChatParentId(messages, index);
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push(message.id);
+    });
+    return children;
+}
+
+function getChatLeafId(session) {
+    const messages = Array.isArray(session?.messages) ? session.messages : [];
+    if (session?.activeLeafId && messages.some(m => m.id === session.activeLeafId)) {
+        return session.activeLeafId;
+    }
+    return messages.length ? messages[messages.length - 1].id : null;
+}
+
+/**
+ * Messages on the active branch, root first. Each carries its parentId and
+ * the ids of its siblings (alternative edits or regenerations).
+ */
+function getChatThread(session) {
+    const messages = Array.isArray(session?.messages) ? session.messages : [];
+    const children = getChatChildren(messages);
+    const byId = new Map();
+    messages.forEach((message, index) => {
+        byId.set(message.id, { ...message, parentId: getChatParentId(messages, index) });
+    });
+
+    const thread = [];
+    let currentId = getChatLeafId(session);
+    while (currentId && byId.has(currentId) && thread.length < messages.length) {
+        const message = byId.get(currentId);
+        thread.unshift({ ...message, siblingIds: children.get(message.parentId) || [message.id] });
+        currentId = message.parentId;
+    }
+    return thread;
+}
+
+/**
+ * Make the branch through a message active
+ * @param {string} sessionId
+ * @param {string} messageId
+ * @param {object} [options]
+ * @param {boolean} [options.exact] - End the branch at the message instead of
+ *   following its newest replies (used before regenerating a reply)
+ */
+async function selectChatBranch(sessionId, messageId, options = {}) {
+    const session = await getChatHistory(sessionId);
+    const messages = Array.isArray(session.messages) ? session.messages : [];
+    if (!messages.some(m => m.id === messageId)) {
+        throw new Error('Message not found');
+    }
+
+    let leafId = messageId;
+    if (!options.exact) {
+        const children = getChatChildren(messages);
+        while (children.get(leafId)?.length) {
+            const replies = children.get(leafId);
+            leafId = replies[replies.length - 1];
+        }
+    }
+
+    session.activeLeafId = leafId;
+    const chatDir = await ensureChatDir();
+    await fs.writeFile(path.join(chatDir, `${sessionId}.json`), JSON.stringify(session, null, 2), 'utf-8');
+    return session;
 }
 
 async function getChatHistory(sessionId) {
@@ -1130,7 +1400,7 @@ async function listChatSessions() {
                 title,
                 createdAt: session.createdAt,
                 updatedAt: session.updatedAt || session.createdAt,
-                messageCount: session.messages?.length || 0
+                messageCount: getChatThread(session).length
             });
         } catch (error) {
             console.warn('Failed to read chat session:', entry, error.message);
@@ -1179,7 +1449,7 @@ async function searchChatHistory(sessionId, query, limit = 10) {
     if (!q) return [];
 
     const results = [];
-    const messages = Array.isArray(session.messages) ? session.messages : [];
+    const messages = getChatThread(session);
     for (let i = 0; i < messages.length; i += 1) {
         const msg = messages[i];
         const content = String(msg.content || '');
@@ -1218,7 +1488,7 @@ async function readChatHistory(sessionId, options = {}) {
     const sessionPath = path.join(chatDir, `${sessionId}.json`);
     const raw = await fs.readFile(sessionPath, 'utf-8');
     const session = JSON.parse(raw);
-    const messages = Array.isArray(session.messages) ? session.messages : [];
+    const messages = getChatThread(session);
 
     const offset = Number.isFinite(options.offset) ? Number(options.offset) : 0;
     const limit = Number.isFinite(options.limit) ? Number(options.limit) : 20;
@@ -1264,6 +1534,14 @@ async function updateChatSession(sessionId, updates = {}) {
         session.title = updates.title.trim() || session.title || 'New Chat';
     }
 
+    if (typeof updates.promptProfile === 'string') {
+        session.promptProfile = updates.promptProfile;
+    }
+
+    if (Array.isArray(updates.summaries)) {
+        session.summaries = updates.summaries;
+    }
+
     session.updatedAt = new Date().toISOString();
 
     await fs.writeFile(sessionPath, JSON.stringify(session, null, 2), 'utf-8');
@@ -1417,6 +1695,8 @@ module.exports = {
     ensureNotesDir,
     initializeNotesDir,
     getNotesDir,
+    getSearchIndexer,
+    configureSemanticSearch,
     setNotesDir,
     getWorkspaceName,
     deleteFile,
@@ -1426,5 +1706,8 @@ module.exports = {
     getActiveFile,
     loadWorkspaceState,
     saveWorkspaceState,
+    getChatHistory,
+    getChatThread,
+    updateChatSession,
     DEFAULT_NOTES_DIR
 };
@@ -14,6 +14,7 @@ const fileManager = require('./file-manager');
 const ai = require('./ai');
 const terminal = require('./terminal');
 const extensions = require('./extensions');
+const mcpClient = require('./mcp-client');
 const settingsManager = require('./settings-manager');
 
 // Enable development mode if --dev flag is passed
@@ -43,6 +44,39 @@ async function openNotesFolder() {
     return { canceled: false, notesDir: selectedPath };
 }
 
+/**
+ * Pick image files inside the workspace (used for chat attachments).
+ * Files outside the workspace are reported back as rejected.
+ */
+async function chooseWorkspaceImages() {
+    const notesDir = fileManager.getNotesDir();
+    if (!mainWindow || !notesDir) return { canceled: true };
+
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Attach Image',
+        defaultPath: notesDir,
+        properties: ['openFile', 'multiSelections'],
+        filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp'] }]
+    });
+
+    if (result.canceled || !result.filePaths?.length) {
+        return { canceled: true };
+    }
+
+    const paths = [];
+    const rejected = [];
+    result.filePaths.forEach((filePath) => {
+        const relativePath = path.relative(notesDir, filePath);
+        if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            rejected.push(filePath);
+        } else {
+            paths.push(relativePath.replace(/\\/g, '/'));
+        }
+    });
+
+    return { canceled: false, paths, rejected };
+}
+
 function createAppMenu() {
     const isMac = process.platform === 'darwin';
 
@@ -210,6 +244,7 @@ app.whenReady().then(async () => {
     ai.initializeAI();
     terminal.registerHandlers();
     extensions.registerHandlers();
+    mcpClient.registerHandlers();
     settingsManager.registerHandlers();
 
     // Load last notes folder (if any)
@@ -252,6 +287,15 @@ ipcMain.handle('file:choose-folder', async () => {
     return await openNotesFolder();
 });
 
+ipcMain.handle('file:choose-images', async () => {
+    return await chooseWorkspaceImages();
+});
+
+// MCP servers are child processes of the app
+app.on('will-quit', () => {
+    mcpClient.stopAllServers();
+});
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     app.quit();
@@ -0,0 +1,499 @@
+/**
+ * MCP Client
+ *
+ * Launches the Model Context Protocol servers configured under mcpServers in
+ * .x0v3rt/extensions.json, talks JSON-RPC to them over stdio, and lists and
+ * calls their tools and resources. Each server shows up as an extension in
+ * the renderer and is started when that extension is enabled.
+ *
+ * "mcpServers": {
+ *     "recon": { "command": "node", "args": ["tools/recon-mcp.js"], "env": {}, "cwd": ".", "timeoutSeconds": 60 }
+ * }
+ *
+ * The workspace config can come from a cloned or shared folder, so each
+ * server's launch is confirmed by the user first. Approvals are kept in the
+ * app's user data (not the workspace), per workspace and tied to a hash of
+ * the server's command, args, env and cwd; editing any of them asks again.
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { app, ipcMain, BrowserWindow, dialog } = require('electron');
+const extensions = require('./extensions');
+
+const PROTOCOL_VERSION = '2025-06-18';
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const INIT_TIMEOUT_MS = 20000;
+const MAX_STDERR_CHARS = 4000;
+const MAX_LIST_PAGES = 20;
+const TRUST_FILENAME = 'mcp-trust.json';
+
+const servers = new Map(); // serverId -> McpConnection
+// `${workspaceDir}\n${serverId}` -> confirmation in progress
+const pendingConfirmations = new Map();
+
+/**
+ * One running server: newline-delimited JSON-RPC 2.0 over the child's
+ * stdin/stdout (the MCP stdio transport)
+ */
+class McpConnection {
+    constructor(serverId, config, workspaceDir) {
+        this.serverId = serverId;
+        this.config = config;
+        this.workspaceDir = workspaceDir;
+        this.process = null;
+        this.buffer = '';
+        this.stderr = '';
+        this.nextId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject, timer }
+        this.serverInfo = null;
+        this.capabilities = {};
+        this.tools = [];
+        this.resources = [];
+        this.error = null;
+        this.ready = null;
+    }
+
+    get timeoutMs() {
+        const seconds = Number(this.config.timeoutSeconds);
+        return (seconds > 0 ? seconds : DEFAULT_TIMEOUT_SECONDS) * 1000;
+    }
+
+    /**
+     * Spawn the process, run the initialize handshake and load the tool and
+     * resource lists. Concurrent callers share one start.
+     */
+    start() {
+        if (!this.ready) {
+            this.ready = this.launch().catch((error) => {
+                this.error = error.message;
+                this.stop();
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async launch() {
+        const { command, args = [], env = {}, cwd } = this.config;
+        if (!command) {
+            throw new Error(`MCP server ${this.serverId} has no command`);
+        }
+
+        this.process = spawn(command, Array.isArray(args) ? args.map(String) : [], {
+            cwd: path.resolve(this.workspaceDir, cwd || '.'),
+            env: { ...process.env, ...env },
+            stdio: ['pipe', 'pipe', 'pipe'],
+            windowsHide: true
+        });
+
+        // Writes after the process died would otherwise throw EPIPE
+        this.process.stdin.on('error', (error) => {
+            console.warn(`[MCP:${this.serverId}] stdin error:`, error.message);
+        });
+        this.process.stdout.setEncoding('utf-8');
+        this.process.stdout.on('data', (chunk) => this.handleData(chunk));
+        this.process.stderr.setEncoding('utf-8');
+        this.process.stderr.on('data', (chunk) => {
+            this.stderr = (this.stderr + chunk).slice(-MAX_STDERR_CHARS);
+        });
+        this.process.on('error', (error) => this.handleExit(error.message));
+        this.process.on('exit', (code, signal) => {
+            this.handleExit(`exited with ${signal || `code ${code}`}`);
+        });
+
+        const result = await this.request('initialize', {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: { name: 'x0v3rt', version: app.getVersion() }
+        }, INIT_TIMEOUT_MS);
+
+        this.serverInfo = result?.serverInfo || null;
+        this.capabilities = result?.capabilities || {};
+        this.notify('notifications/initialized');
+
+        await this.refreshLists();
+        this.error = null;
+        return this.describe();
+    }
+
+    async refreshLists() {
+        this.tools = this.capabilities.tools
+            ? await this.listAll('tools/list', 'tools')
+            : [];
+        this.resources = this.capabilities.resources
+            ? await this.listAll('resources/list', 'resources').catch(() => [])
+            : [];
+    }
+
+    /**
+     * Follow nextCursor through a paginated list method
+     */
+    async listAll(method, key) {
+        const items = [];
+        let cursor;
+        for (let page = 0; page < MAX_LIST_PAGES; page += 1) {
+            const result = await this.request(method, cursor ? { cursor } : {});
+            items.push(...(result?.[key] || []));
+            cursor = result?.nextCursor;
+            if (!cursor) break;
+        }
+        return items;
+    }
+
+    request(method, params, timeoutMs = this.timeoutMs) {
+        if (!this.process?.stdin?.writable) {
+            return Promise.reject(new Error(`MCP server ${this.serverId} is not running`));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`MCP server ${this.serverId} did not answer ${method} within ${Math.round(timeoutMs / 1000)}s`));
+            }, timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+            this.write({ jsonrpc: '2.0', id, method, params });
+        });
+    }
+
+    notify(method, params) {
+        this.write({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+    }
+
+    write(message) {
+        if (this.process?.stdin?.writable) {
+            this.process.stdin.write(`${JSON.stringify(message)}\n`);
+        }
+    }
+
+    handleData(chunk) {
+        this.buffer += chunk;
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).trim();
+            this.buffer = this.buffer.slice(newline + 1);
+            if (!line) continue;
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (_error) {
+                console.warn(`[MCP:${this.serverId}] Ignoring non-JSON output:`, line.slice(0, 200));
+                continue;
+            }
+            this.handleMessage(message);
+        }
+    }
+
+    handleMessage(message) {
+        // Response to one of our requests
+        if (message.id !== undefined && !message.method) {
+            const pending = this.pending.get(message.id);
+            if (!pending) return;
+            this.pending.delete(message.id);
+            clearTimeout(pending.timer);
+            if (message.error) {
+                pending.reject(new Error(message.error.message || `MCP error ${message.error.code}`));
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        // Request from the server; only ping is supported
+        if (message.id !== undefined) {
+            if (message.method === 'ping') {
+                this.write({ jsonrpc: '2.0', id: message.id, result: {} });
+            } else {
+                this.write({
+                    jsonrpc: '2.0',
+                    id: message.id,
+                    error: { code: -32601, message: `Method not supported: ${message.method}` }
+                });
+            }
+            return;
+        }
+
+        if (message.method === 'notifications/tools/list_changed'
+            || message.method === 'notifications/resources/list_changed') {
+            this.refreshLists()
+                .then(() => notifyServerChanged(this.serverId, this.describe()))
+                .catch(error => console.error(`[MCP:${this.serverId}] Refresh error:`, error));
+        }
+    }
+
+    handleExit(reason) {
+        if (!this.process) return;
+        this.process = null;
+
+        const stderr = this.stderr.trim();
+        const error = new Error(`MCP server ${this.serverId} ${reason}${stderr ? `: ${stderr.split('\n').pop()}` : ''}`);
+        this.rejectPending(error);
+
+        if (servers.get(this.serverId) === this) {
+            servers.delete(this.serverId);
+            this.error = error.message;
+            notifyServerChanged(this.serverId, this.describe());
+        }
+    }
+
+    rejectPending(error) {
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        this.pending.clear();
+    }
+
+    stop() {
+        const child = this.process;
+        this.process = null;
+        // handleExit ignores the exit once process is cleared
+        this.rejectPending(new Error(`MCP server ${this.serverId} was stopped`));
+        if (!child) return;
+
+        try {
+            child.stdin.end();
+            child.kill();
+        } catch (error) {
+            console.error(`[MCP:${this.serverId}] Stop error:`, error);
+        }
+    }
+
+    describe() {
+        return {
+            serverId: this.serverId,
+            running: Boolean(this.process),
+            serverInfo: this.serverInfo,
+            error: this.error,
+            tools: this.tools.map(tool => ({
+                name: tool.name,
+                title: tool.title || tool.annotations?.title || null,
+                description: tool.description || '',
+                inputSchema: tool.inputSchema || { type: 'object', properties: {} }
+            })),
+            resources: this.resources.map(resource => ({
+                uri: resource.uri,
+                name: resource.name || resource.uri,
+                description: resource.description || '',
+                mimeType: resource.mimeType || null
+            }))
+        };
+    }
+}
+
+function notifyServerChanged(serverId, status) {
+    BrowserWindow.getAllWindows().forEach((win) => {
+        win.webContents.send('mcp:server-changed', serverId, status);
+    });
+}
+
+async function getServerConfigs() {
+    const config = await extensions.loadExtensionsConfig();
+    const entries = config.mcpServers && typeof config.mcpServers === 'object' ? config.mcpServers : {};
+    return { workspaceDir: extensions.getWorkspaceDir(), entries };
+}
+
+function getTrustPath() {
+    return path.join(app.getPath('userData'), TRUST_FILENAME);
+}
+
+async function loadTrust() {
+    try {
+        return JSON.parse(await fs.readFile(getTrustPath(), 'utf-8')) || {};
+    } catch (_error) {
+        return {};
+    }
+}
+
+/**
+ * Hash of what a server launch runs
+ */
+function hashServerConfig(config) {
+    const { command = '', args = [], env = {}, cwd = '.' } = config;
+    const sortedEnv = Object.keys(env || {}).sort().map(key => [key, String(env[key])]);
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([command, args, sortedEnv, cwd || '.']))
+        .digest('hex');
+}
+
+/**
+ * Ask before the first launch of a server (and after its config changes)
+ */
+async function confirmLaunch(serverId, config, workspaceDir) {
+    const hash = hashServerConfig(config);
+    const trust = await loadTrust();
+    if (trust[workspaceDir]?.[serverId] === hash) return;
+
+    const key = `${workspaceDir}\n${serverId}`;
+    if (!pendingConfirmations.has(key)) {
+        pendingConfirmations.set(key, promptLaunch(serverId, config, workspaceDir, hash)
+            .finally(() => pendingConfirmations.delete(key)));
+    }
+    await pendingConfirmations.get(key);
+}
+
+async function promptLaunch(serverId, config, workspaceDir, hash) {
+    const args = Array.isArray(config.args) ? config.args.map(String) : [];
+    const envKeys = Object.keys(config.env || {});
+    const detail = [
+        `Command: ${[config.command, ...args].join(' ')}`,
+        `Working directory: ${path.resolve(workspaceDir, config.cwd || '.')}`,
+        envKeys.length ? `Environment: ${envKeys.join(', ')}` : null,
+        '',
+        'This comes from .x0v3rt/extensions.json in the workspace and runs with your privileges. Only launch servers you trust.'
+    ].filter(line => line !== null).join('\n');
+
+    const parent = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+    const { response } = await dialog.showMessageBox(parent, {
+        type: 'warning',
+        buttons: ['Cancel', 'Launch server'],
+        defaultId: 0,
+        cancelId: 0,
+        title: 'MCP server',
+        message: `Launch the MCP server "${serverId}" configured by this workspace?`,
+        detail
+    });
+    if (response !== 1) {
+        throw new Error(`Launching MCP server ${serverId} was declined`);
+    }
+
+    // Re-read so approvals from other servers are kept
+    const trust = await loadTrust();
+    trust[workspaceDir] = { ...(trust[workspaceDir] || {}), [serverId]: hash };
+    await fs.writeFile(getTrustPath(), JSON.stringify(trust, null, 2), 'utf-8');
+}
+
+/**
+ * Configured servers (not started)
+ */
+async function listServers() {
+    const { entries } = await getServerConfigs();
+    return Object.entries(entries)
+        .filter(([, server]) => server && typeof server === 'object')
+        .map(([serverId, server]) => ({
+            serverId,
+            command: [server.command, ...(server.args || [])].filter(Boolean).join(' '),
+            description: server.description || '',
+            running: Boolean(servers.get(serverId)?.process)
+        }));
+}
+
+/**
+ * Start a configured server (or return the running one)
+ */
+async function startServer(serverId) {
+    const existing = servers.get(serverId);
+    if (existing) {
+        return existing.start();
+    }
+
+    const { workspaceDir, entries } = await getServerConfigs();
+    const config = entries[serverId];
+    if (!config) {
+        throw new Error(`No MCP server named ${serverId} in extensions.json`);
+    }
+
+    await confirmLaunch(serverId, config, workspaceDir);
+    // Started by a concurrent call while the user was deciding
+    if (servers.has(serverId)) {
+        return servers.get(serverId).start();
+    }
+
+    const connection = new McpConnection(serverId, config, workspaceDir);
+    servers.set(serverId, connection);
+    try {
+        return await connection.start();
+    } catch (error) {
+        servers.delete(serverId);
+        throw error;
+    }
+}
+
+function stopServer(serverId) {
+    const connection = servers.get(serverId);
+    servers.delete(serverId);
+    connection?.stop();
+}
+
+function stopAllServers() {
+    Array.from(servers.keys()).forEach(stopServer);
+}
+
+async function getRunningServer(serverId) {
+    const connection = servers.get(serverId);
+    if (!connection) {
+        throw new Error(`MCP server ${serverId} is not running`);
+    }
+    await connection.start();
+    return connection;
+}
+
+async function callTool(serverId, toolName, args) {
+    const connection = await getRunningServer(serverId);
+    return connection.request('tools/call', { name: toolName, arguments: args || {} });
+}
+
+async function readResource(serverId, uri) {
+    const connection = await getRunningServer(serverId);
+    return connection.request('resources/read', { uri });
+}
+
+/**
+ * Register IPC handlers for MCP servers
+ */
+function registerHandlers() {
+    ipcMain.handle('mcp:list-servers', async () => {
+        try {
+            return await listServers();
+        } catch (error) {
+            console.error('List MCP servers error:', error);
+            throw error;
+        }
+    });
+
+    ipcMain.handle('mcp:start-server', async (_event, serverId) => {
+        try {
+            return await startServer(serverId);
+        } catch (error) {
+            console.error('Start MCP server error:', error);
+            throw error;
+        }
+    });
+
+    ipcMain.handle('mcp:stop-server', async (_event, serverId) => {
+        stopServer(serverId);
+        return { success: true };
+    });
+
+    ipcMain.handle('mcp:call-tool', async (_event, serverId, toolName, args) => {
+        try {
+            return await callTool(serverId, toolName, args);
+        } catch (error) {
+            console.error('MCP tool call error:', error);
+            throw error;
+        }
+    });
+
+    ipcMain.handle('mcp:read-resource', async (_event, serverId, uri) => {
+        try {
+            return await readResource(serverId, uri);
+        } catch (error) {
+            console.error('MCP resource read error:', error);
+            throw error;
+        }
+    });
+}
+
+module.exports = {
+    registerHandlers,
+    listServers,
+    startServer,
+    stopServer,
+    stopAllServers,
+    callTool,
+    readResource
+};
@@ -27,6 +27,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'get-app-version',
             'file:read',
             'file:read-binary',
+            'file:read-note',
+            'file:preview-edit',
             'file:write',
             'file:list',
             'file:create',
@@ -36,6 +38,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'file:import',
             'file:move',
             'file:choose-folder',
+            'file:choose-images',
             'file:get-workspace-name',
             'file:get-workspace-path',
             'file:open-workspace',
@@ -46,18 +49,29 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'workspace:save-state',
             'search:query',
             'search:reindex',
+            'search:status',
             'shell:open-external',
             'chat:new',
             'chat:append',
             'chat:get',
+            'chat:select-branch',
             'chat:list',
             'chat:delete',
             'chat:update',
             'chat:search',
             'chat:read',
             'ai:send-message',
+            'ai:stream-message',
+            'ai:tool-result',
+            'ai:cancel',
+            'ai:chat-summary',
+            'ai:preview-context',
+            'ai:complete-inline',
             'terminal:create',
             'terminal:dispose',
+            'terminal:prepare-run',
+            'terminal:run',
+            'terminal:wait',
             'extensions:init',
             'extensions:get-config',
             'extensions:save-config',
@@ -66,6 +80,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'extensions:save-artifact',
             'extensions:read-artifact',
             'extensions:list-artifacts',
+            'mcp:list-servers',
+            'mcp:start-server',
+            'mcp:stop-server',
+            'mcp:call-tool',
+            'mcp:read-resource',
             // Settings
             'settings:get-system',
             'settings:save-system',
@@ -75,7 +94,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'ai:list-providers',
             'ai:get-provider-info',
             'ai:switch-provider',
-            'ai:list-models'
+            'ai:list-models',
+            'ai:list-prompt-profiles',
+            'ai:edit-prompt-profile',
+            'ai:create-prompt-profile',
+            'ai:usage-summary',
+            'ai:usage-check-budget',
+            'ai:list-redaction-detectors',
+            'ai:audit-log',
+            'ai:audit-entry',
+            'ai:audit-export',
+            'ai:test-redaction'
         ];
 
         if (validChannels.includes(channel)) {
@@ -109,7 +138,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     on: (channel, callback) => {
         const validChannels = [
             'ai:message-chunk',
+            'ai:tool-request',
             'file:changed',
+            'mcp:server-changed',
             'notes:folder-changed',
             'notes:index-updated',
             'terminal:data',
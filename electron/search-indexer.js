@@ -10,14 +10,79 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const crypto = require('crypto');
 
 const TEXT_EXTENSIONS = ['.md', '.txt', '.json', '.js', '.py', '.sql', '.html', '.css', '.yaml', '.yml', '.sh', '.bash', '.xml', '.csv'];
+const MAX_CHUNK_CHARS = 1200;
+// Reciprocal rank fusion constant for hybrid ranking
+const RRF_K = 60;
+// Embedding a search query; searches wait on it, so it is shorter than indexing
+const QUERY_EMBED_TIMEOUT_MS = 10000;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function normalizeVector(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return Float32Array.from(vector, value => value / norm);
+}
 
 class SearchIndexer {
     constructor(workspaceDir) {
         this.workspaceDir = workspaceDir;
         this.dbPath = path.join(workspaceDir, '.x0v3rt', 'db', 'search.db');
         this.db = null;
+        // Semantic search: { model, embed(texts) } from ai/embeddings.js
+        this.embedder = null;
+        this.embeddingQueue = new Set();
+        this.embeddingRunning = false;
+    }
+
+    /**
+     * Split content into chunks at markdown headings and paragraph breaks,
+     * keeping the nearest heading with each chunk
+     * @returns {Array<{ heading: string, text: string }>}
+     */
+    static chunkContent(content) {
+        const chunks = [];
+        let heading = '';
+        let buffer = [];
+
+        const flush = () => {
+            const text = buffer.join('\n').trim();
+            if (text) {
+                for (let offset = 0; offset < text.length; offset += MAX_CHUNK_CHARS) {
+                    chunks.push({ heading, text: text.slice(offset, offset + MAX_CHUNK_CHARS) });
+                }
+            }
+            buffer = [];
+        };
+
+        String(content || '').split('\n').forEach((line) => {
+            const headingMatch = line.match(/^#{1,6}\s+(.*)$/);
+            if (headingMatch) {
+                flush();
+                heading = headingMatch[1].trim();
+                buffer.push(line);
+                return;
+            }
+
+            // Paragraph break once the chunk is reasonably sized
+            if (!line.trim() && buffer.join('\n').length > MAX_CHUNK_CHARS / 2) {
+                flush();
+                return;
+            }
+
+            buffer.push(line);
+        });
+        flush();
+
+        return chunks;
     }
 
     async initialize() {
@@ -56,6 +121,21 @@ class SearchIndexer {
 
             CREATE INDEX IF NOT EXISTS idx_files_path ON files(path);
             CREATE INDEX IF NOT EXISTS idx_files_modified ON files(modified_at);
+
+            -- Embedded chunks, keyed by path so they survive index rebuilds
+            CREATE TABLE IF NOT EXISTS chunks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                path TEXT NOT NULL,
+                chunk_index INTEGER NOT NULL,
+                heading TEXT,
+                text TEXT NOT NULL,
+                hash TEXT NOT NULL,
+                model TEXT,
+                embedding BLOB,
+                UNIQUE(path, chunk_index)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_chunks_path ON chunks(path);
         `);
 
         // Ensure new columns exist for older DBs
@@ -168,6 +248,8 @@ class SearchIndexer {
                 VALUES (?, ?, ?, ?)
             `).run(fileId, filename, body, frontMatterText);
 
+            this.queueEmbedding(relativePath);
+
             return true;
         } catch (error) {
             console.error('[SearchIndexer] Error indexing file:', filepath, error.message);
@@ -184,6 +266,8 @@ class SearchIndexer {
         if (result) {
             this.db.prepare(`DELETE FROM files_fts WHERE rowid = ?`).run(result.id);
         }
+        this.db.prepare(`DELETE FROM chunks WHERE path = ?`).run(relativePath);
+        this.embeddingQueue.delete(relativePath);
     }
 
     async rebuildIndex() {
@@ -198,6 +282,9 @@ class SearchIndexer {
         // Index all files
         await this.indexDirectory(this.workspaceDir);
 
+        // Embedded chunks are kept across rebuilds; drop those of deleted files
+        this.db.exec(`DELETE FROM chunks WHERE path NOT IN (SELECT path FROM files)`);
+
         const count = this.db.prepare(`SELECT COUNT(*) as count FROM files`).get();
         console.log(`[SearchIndexer] Indexed ${count.count} files`);
     }
@@ -258,7 +345,230 @@ class SearchIndexer {
         }
     }
 
+    /**
+     * Best-matching documents with their indexed body, for AI retrieval.
+     * Terms are OR'ed so natural-language questions still match.
+     * @param {string[]} terms - Search terms (already filtered of stop words)
+     * @param {number} limit
+     */
+    searchDocuments(terms, limit = 8) {
+        if (!Array.isArray(terms) || terms.length === 0) {
+            return [];
+        }
+
+        try {
+            const ftsQuery = terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' OR ');
+
+            return this.db.prepare(`
+                SELECT
+                    f.path,
+                    f.filename,
+                    f.modified_at,
+                    files_fts.content as content,
+                    bm25(files_fts) as rank
+                FROM files_fts
+                JOIN files f ON files_fts.rowid = f.id
+                WHERE files_fts MATCH ?
+                ORDER BY rank
+                LIMIT ?
+            `).all(ftsQuery, limit);
+        } catch (error) {
+            console.error('[SearchIndexer] Document search error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Enable or disable semantic search. Every indexed file is queued; chunks
+     * whose text and model are unchanged keep their stored embedding.
+     */
+    setEmbedder(embedder) {
+        this.embedder = embedder || null;
+        this.embeddingQueue.clear();
+        if (!this.embedder || !this.db) return;
+
+        this.db.prepare(`SELECT path FROM files`).all().forEach(row => this.embeddingQueue.add(row.path));
+        this.processEmbeddingQueue();
+    }
+
+    queueEmbedding(relativePath) {
+        if (!this.embedder) return;
+        this.embeddingQueue.add(relativePath);
+        this.processEmbeddingQueue();
+    }
+
+    /**
+     * Embed queued files one at a time in the background
+     */
+    async processEmbeddingQueue() {
+        if (this.embeddingRunning) return;
+        this.embeddingRunning = true;
+
+        try {
+            while (this.embedder && this.db && this.embeddingQueue.size > 0) {
+                const [relativePath] = this.embeddingQueue;
+                this.embeddingQueue.delete(relativePath);
+                try {
+                    await this.embedFile(relativePath);
+                } catch (error) {
+                    // Requeued at the back, so one failing file does not block
+                    // the others; the next queueEmbedding call retries them all
+                    this.embeddingQueue.add(relativePath);
+                    console.error('[SearchIndexer] Embedding error:', error.message);
+                    break;
+                }
+            }
+        } finally {
+            this.embeddingRunning = false;
+        }
+    }
+
+    async embedFile(relativePath) {
+        const embedder = this.embedder;
+        const row = this.db.prepare(`
+            SELECT files_fts.content as content
+            FROM files_fts
+            JOIN files f ON files_fts.rowid = f.id
+            WHERE f.path = ?
+        `).get(relativePath);
+        if (!row) return;
+
+        const chunks = SearchIndexer.chunkContent(row.content).map(chunk => ({
+            ...chunk,
+            hash: crypto.createHash('sha1').update(`${chunk.heading}\n${chunk.text}`).digest('hex')
+        }));
+
+        // Reuse embeddings of unchanged chunks, even if they moved
+        const existing = new Map();
+        this.db.prepare(`SELECT hash, model, embedding FROM chunks WHERE path = ?`).all(relativePath)
+            .forEach(item => {
+                if (item.model === embedder.model && item.embedding) {
+                    existing.set(item.hash, item.embedding);
+                }
+            });
+
+        const missing = chunks.filter(chunk => !existing.has(chunk.hash));
+        if (missing.length) {
+            const vectors = await embedder.embed(missing.map(chunk => `${chunk.heading}\n${chunk.text}`.trim()));
+            missing.forEach((chunk, index) => {
+                existing.set(chunk.hash, Buffer.from(normalizeVector(vectors[index]).buffer));
+            });
+        }
+
+        // The file or embedder may have changed while the request was in flight
+        if (!this.db || this.embedder !== embedder) return;
+        if (!this.db.prepare(`SELECT 1 FROM files WHERE path = ?`).get(relativePath)) return;
+
+        const insert = this.db.prepare(`
+            INSERT INTO chunks (path, chunk_index, heading, text, hash, model, embedding)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        this.db.transaction(() => {
+            this.db.prepare(`DELETE FROM chunks WHERE path = ?`).run(relativePath);
+            chunks.forEach((chunk, index) => {
+                insert.run(relativePath, index, chunk.heading, chunk.text, chunk.hash, embedder.model, existing.get(chunk.hash));
+            });
+        })();
+    }
+
+    /**
+     * Semantic search status for the UI
+     */
+    getSemanticStatus() {
+        if (!this.embedder || !this.db) {
+            return { enabled: false, model: null, chunks: 0, pending: 0 };
+        }
+        const count = this.db.prepare(`SELECT COUNT(*) as count FROM chunks WHERE model = ?`).get(this.embedder.model);
+        return {
+            enabled: true,
+            model: this.embedder.model,
+            chunks: count.count,
+            pending: this.embeddingQueue.size
+        };
+    }
+
+    /**
+     * Files ranked by their best chunk's cosine similarity to the query
+     */
+    async searchSemantic(query, limit = 20) {
+        if (!this.embedder || !query || query.trim().length === 0) {
+            return [];
+        }
+
+        const [queryVector] = await this.embedder.embed([query.trim()], { timeoutMs: QUERY_EMBED_TIMEOUT_MS });
+        const target = normalizeVector(queryVector);
+
+        const best = new Map();
+        this.db.prepare(`
+            SELECT path, heading, text, embedding FROM chunks
+            WHERE model = ? AND embedding IS NOT NULL
+        `).all(this.embedder.model).forEach(row => {
+            // Copy: BLOB buffers are not guaranteed to be 4-byte aligned
+            const vector = new Float32Array(Uint8Array.from(row.embedding).buffer);
+            if (vector.length !== target.length) return;
+
+            let score = 0;
+            for (let i = 0; i < vector.length; i += 1) {
+                score += vector[i] * target[i];
+            }
+
+            const current = best.get(row.path);
+            if (!current || score > current.score) {
+                best.set(row.path, { path: row.path, heading: row.heading, text: row.text, score });
+            }
+        });
+
+        return Array.from(best.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(item => ({
+                path: item.path,
+                filename: path.basename(item.path),
+                snippet: escapeHtml(item.text.replace(/\s+/g, ' ').slice(0, 200)),
+                rank: -item.score
+            }));
+    }
+
+    /**
+     * BM25 and semantic results merged with reciprocal rank fusion
+     */
+    async searchHybrid(query, limit = 20) {
+        const textResults = this.search(query, limit * 2);
+        if (!this.embedder) {
+            return textResults.slice(0, limit);
+        }
+
+        let semanticResults;
+        try {
+            semanticResults = await this.searchSemantic(query, limit * 2);
+        } catch (error) {
+            // Embeddings server down or slow: keyword results still answer the search
+            console.warn('Semantic search failed, using keyword results:', error.message);
+            return textResults.slice(0, limit);
+        }
+
+        const merged = new Map();
+        const addRanked = (results) => {
+            results.forEach((result, index) => {
+                const entry = merged.get(result.path) || { ...result, score: 0 };
+                // Keep the FTS snippet (with highlights) when both lists have the file
+                if (!entry.snippet && result.snippet) entry.snippet = result.snippet;
+                entry.score += 1 / (RRF_K + index + 1);
+                merged.set(result.path, entry);
+            });
+        };
+        addRanked(textResults);
+        addRanked(semanticResults);
+
+        return Array.from(merged.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ score, ...result }) => ({ ...result, rank: -score }));
+    }
+
     close() {
+        this.embedder = null;
+        this.embeddingQueue.clear();
         if (this.db) {
             this.db.close();
             this.db = null;
@@ -29,7 +29,28 @@ const DEFAULT_SYSTEM_PREFERENCES = {
             'google-ai-studio': {
                 apiKey: process.env.GOOGLE_AI_STUDIO_API_KEY || '',
                 model: process.env.GOOGLE_AI_STUDIO_MODEL || 'gemini-2.0-flash-exp'
+            },
+            ollama: {
+                baseUrl: process.env.OLLAMA_HOST || 'http://localhost:11434',
+                model: process.env.OLLAMA_MODEL || 'llama3.1'
+            },
+            anthropic: {
+                apiKey: process.env.ANTHROPIC_API_KEY || '',
+                model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5'
+            },
+            mock: {
+                fixturePath: '.x0v3rt/mock-provider.json',
+                latencyMs: 0,
+                chunkDelayMs: 30,
+                errorRate: 0,
+                errorStatus: 503
             }
+        },
+        // Tried in order after the active provider fails: [{ provider, model }]
+        fallback: {
+            chain: [],
+            maxRetries: 2,
+            retryBaseDelayMs: 1000
         }
     },
     extensions: {
@@ -49,7 +70,64 @@ const DEFAULT_SYSTEM_PREFERENCES = {
     aiChat: {
         includeChatHistory: true,
         recentMessageCount: 20,
-        summaryMaxChars: 2000
+        summaryMaxChars: 2000,
+        // Condense older messages with the chat's model (cached per session)
+        summarizeHistory: true,
+        // Show the context preview (parts, estimated tokens) before each send
+        previewBeforeSend: false,
+        maxAgentSteps: 5,
+        retrieveNotes: false,
+        retrievalMaxChunks: 6,
+        retrievalTokenBudget: 1500,
+        // run_command tool limits
+        commandTimeoutSeconds: 120,
+        commandOutputLimit: 16000
+    },
+    search: {
+        // Embeddings for semantic search, served by the Ollama or
+        // OpenAI-compatible provider's server unless baseUrl is set
+        semantic: {
+            enabled: false,
+            provider: 'ollama',
+            model: '',
+            baseUrl: ''
+        }
+    },
+    aiUsage: {
+        // Model or provider id -> { input, output } in USD per 1M tokens
+        pricing: {},
+        // Soft limits; a warning is shown before sending once reached
+        budgets: {
+            dailyCost: null,
+            sessionCost: null,
+            dailyTokens: null
+        }
+    },
+    aiPrivacy: {
+        // Provider id -> false to send raw data (e.g. local models);
+        // providers not listed are redacted
+        redactProviders: {
+            ollama: false,
+            mock: false
+        },
+        // Built-in detector id -> false to turn it off
+        detectors: {},
+        // Also redact long random-looking strings without a known format
+        entropyDetection: true,
+        // [{ name, pattern }]; the first capture group, if any, is the secret
+        customPatterns: []
+    },
+    aiAudit: {
+        // Store what was sent in the outbound audit log, not just its hash
+        capturePayloads: true
+    },
+    aiCompletion: {
+        // Ghost-text completion in the editor (opt-in)
+        enabled: false,
+        // Also use cloud providers, not only models on this machine
+        cloudProviders: false,
+        debounceMs: 800,
+        maxOutputTokens: 64
     }
 };
 
@@ -163,6 +241,38 @@ async function saveSystemPreferences(prefs) {
         aiChat: {
             ...DEFAULT_SYSTEM_PREFERENCES.aiChat,
             ...prefs.aiChat
+        },
+        search: {
+            ...DEFAULT_SYSTEM_PREFERENCES.search,
+            ...prefs.search,
+            semantic: {
+                ...DEFAULT_SYSTEM_PREFERENCES.search.semantic,
+                ...(prefs.search?.semantic || {})
+            }
+        },
+        aiUsage: {
+            ...DEFAULT_SYSTEM_PREFERENCES.aiUsage,
+            ...prefs.aiUsage,
+            budgets: {
+                ...DEFAULT_SYSTEM_PREFERENCES.aiUsage.budgets,
+                ...(prefs.aiUsage?.budgets || {})
+            }
+        },
+        aiPrivacy: {
+            ...DEFAULT_SYSTEM_PREFERENCES.aiPrivacy,
+            ...prefs.aiPrivacy,
+            redactProviders: {
+                ...DEFAULT_SYSTEM_PREFERENCES.aiPrivacy.redactProviders,
+                ...(prefs.aiPrivacy?.redactProviders || {})
+            }
+        },
+        aiAudit: {
+            ...DEFAULT_SYSTEM_PREFERENCES.aiAudit,
+            ...prefs.aiAudit
+        },
+        aiCompletion: {
+            ...DEFAULT_SYSTEM_PREFERENCES.aiCompletion,
+            ...prefs.aiCompletion
         }
     };
 
@@ -232,7 +342,10 @@ function registerHandlers() {
     });
 
     ipcMain.handle('settings:save-system', async (_event, prefs) => {
-        return await saveSystemPreferences(prefs);
+        const saved = await saveSystemPreferences(prefs);
+        // Embeddings endpoint may have changed
+        await require('./file-manager').configureSemanticSearch();
+        return saved;
     });
 
     ipcMain.handle('settings:get-user', async () => {
@@ -7,10 +7,26 @@
 const { ipcMain } = require('electron');
 const pty = require('node-pty');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const terminals = new Map();
+// terminalId -> run started by the run_command AI tool
+const commandRuns = new Map();
+// AI requests that were cancelled; their commands may not start any more
+const cancelledRequests = new Set();
+const MAX_CANCELLED_REQUESTS = 100;
 let terminalCounter = 0;
 
+const DEFAULT_COMMAND_TIMEOUT_SECONDS = 120;
+const DEFAULT_COMMAND_OUTPUT_LIMIT = 16000;
+// Raw PTY data kept per end of a capture, as a multiple of the output
+// limit (escape sequences are only stripped once the command exits)
+const CAPTURE_FACTOR = 4;
+// A finished run whose tab never asked for it (renderer reloaded, tab
+// creation failed) is dropped after this long
+const UNCLAIMED_RUN_TTL_MS = 60000;
+
 function getDefaultShell() {
     if (process.platform === 'win32') {
         const bashCandidates = [
@@ -40,19 +56,186 @@ function getDefaultShell() {
     return process.env.SHELL || '/bin/sh';
 }
 
-function createPty() {
+function createPty(options = {}) {
     const shell = getDefaultShell();
 
-    return pty.spawn(shell, [], {
+    return pty.spawn(shell, options.args || [], {
         name: 'xterm-color',
-        cols: 80,
-        rows: 24,
-        cwd: process.cwd(),
+        cols: options.cols || 80,
+        rows: options.rows || 24,
+        cwd: options.cwd || process.cwd(),
         env: process.env,
         encoding: 'utf8'
     });
 }
 
+/**
+ * Shell arguments that run a single command and exit
+ */
+function getCommandArgs(shell, command) {
+    const name = path.basename(shell).toLowerCase();
+    if (name.startsWith('powershell') || name.startsWith('pwsh')) {
+        return ['-NoProfile', '-Command', command];
+    }
+    if (name === 'cmd.exe' || name === 'cmd') {
+        return ['/d', '/s', '/c', command];
+    }
+    return ['-c', command];
+}
+
+async function getCommandLimits() {
+    try {
+        const settingsManager = require('./settings-manager');
+        const prefs = await settingsManager.getSystemPreferences();
+        const timeoutSeconds = Number(prefs?.aiChat?.commandTimeoutSeconds);
+        const outputLimit = Number(prefs?.aiChat?.commandOutputLimit);
+        return {
+            timeoutSeconds: timeoutSeconds > 0 ? timeoutSeconds : DEFAULT_COMMAND_TIMEOUT_SECONDS,
+            outputLimit: outputLimit > 0 ? outputLimit : DEFAULT_COMMAND_OUTPUT_LIMIT
+        };
+    } catch (_error) {
+        return {
+            timeoutSeconds: DEFAULT_COMMAND_TIMEOUT_SECONDS,
+            outputLimit: DEFAULT_COMMAND_OUTPUT_LIMIT
+        };
+    }
+}
+
+/**
+ * Working directory for a command: relative paths resolve against the
+ * open workspace, or the home directory when none is open
+ */
+function resolveCommandCwd(cwd) {
+    const fileManager = require('./file-manager');
+    const baseDir = fileManager.getNotesDir() || os.homedir();
+    const resolved = cwd ? path.resolve(baseDir, String(cwd)) : baseDir;
+
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+        throw new Error(`Working directory not found: ${resolved}`);
+    }
+    return resolved;
+}
+
+/**
+ * Normalize a proposed command for approval: resolved working directory,
+ * shell and effective timeout
+ */
+async function prepareCommandRun(options = {}) {
+    const command = String(options.command || '').trim();
+    if (!command) {
+        throw new Error('Command is required');
+    }
+
+    const limits = await getCommandLimits();
+    const requested = Number(options.timeoutSeconds);
+    const timeoutSeconds = requested > 0 ? Math.min(requested, limits.timeoutSeconds) : limits.timeoutSeconds;
+
+    return {
+        command,
+        cwd: resolveCommandCwd(options.cwd),
+        shell: getDefaultShell(),
+        timeoutSeconds,
+        outputLimit: limits.outputLimit
+    };
+}
+
+/**
+ * Terminal output as plain text: escape sequences removed and carriage
+ * return redraws (progress bars) collapsed to their final state
+ */
+function cleanTerminalOutput(text) {
+    return text
+        .replace(/\x1b\][^\x07\x1b]*(\x07|\x1b\\)/g, '')
+        .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '')
+        .replace(/\x1b[@-Z\\-_]/g, '')
+        .replace(/\r\n/g, '\n')
+        .split('\n')
+        .map(line => line.split('\r').pop())
+        .join('\n');
+}
+
+/**
+ * Keep the beginning and end of long output
+ */
+function capOutput(text, limit) {
+    if (text.length <= limit) {
+        return { output: text, truncated: false };
+    }
+    const half = Math.floor(limit / 2);
+    const omitted = text.length - half * 2;
+    return {
+        output: `${text.slice(0, half)}\n\n[... ${omitted} characters omitted ...]\n\n${text.slice(-half)}`,
+        truncated: true
+    };
+}
+
+/**
+ * Bounded capture of a command's raw output: the first and last
+ * limit characters, counting what falls in between
+ */
+function createCapture(limit) {
+    return { head: '', tail: '', omitted: 0, limit };
+}
+
+function appendCapture(capture, data) {
+    let rest = data;
+    if (capture.head.length < capture.limit) {
+        const room = capture.limit - capture.head.length;
+        capture.head += rest.slice(0, room);
+        rest = rest.slice(room);
+    }
+    if (!rest) return;
+
+    capture.tail += rest;
+    if (capture.tail.length > capture.limit) {
+        capture.omitted += capture.tail.length - capture.limit;
+        capture.tail = capture.tail.slice(-capture.limit);
+    }
+}
+
+/**
+ * Captured output as plain text, capped to limit characters
+ */
+function readCapture(capture, limit) {
+    if (!capture.omitted) {
+        return capOutput(cleanTerminalOutput(capture.head + capture.tail).trim(), limit);
+    }
+
+    const half = Math.floor(limit / 2);
+    const head = cleanTerminalOutput(capture.head).slice(0, half);
+    const tail = cleanTerminalOutput(capture.tail).slice(-half);
+    return {
+        output: `${head}\n\n[... at least ${capture.omitted} characters omitted ...]\n\n${tail}`.trim(),
+        truncated: true
+    };
+}
+
+/**
+ * Kill the commands an AI request started (the request was cancelled) and
+ * refuse any it tries to start later (e.g. approved after the cancel)
+ */
+function cancelCommandRuns(requestId) {
+    if (!requestId) return 0;
+
+    cancelledRequests.add(requestId);
+    if (cancelledRequests.size > MAX_CANCELLED_REQUESTS) {
+        cancelledRequests.delete(cancelledRequests.values().next().value);
+    }
+
+    let cancelled = 0;
+    commandRuns.forEach((run) => {
+        if (run.requestId !== requestId || run.exited) return;
+        run.cancelled = true;
+        cancelled += 1;
+        try {
+            run.ptyProcess.kill();
+        } catch (error) {
+            console.error('Command cancel kill error:', error);
+        }
+    });
+    return cancelled;
+}
+
 function getTerminalMap(senderId) {
     if (!terminals.has(senderId)) {
         terminals.set(senderId, new Map());
@@ -86,6 +269,130 @@ function registerHandlers() {
         return { success: true, terminalId };
     });
 
+    ipcMain.handle('terminal:prepare-run', async (_event, options) => {
+        return await prepareCommandRun(options);
+    });
+
+    // Start an approved command in its own terminal. Output is held until
+    // the renderer has created the tab and calls terminal:wait.
+    ipcMain.handle('terminal:run', async (event, options = {}) => {
+        const plan = await prepareCommandRun(options);
+        if (options.requestId && cancelledRequests.has(options.requestId)) {
+            throw new Error('The request that asked for this command was cancelled');
+        }
+        const senderId = event.sender.id;
+        const terminalId = generateTerminalId();
+        const senderTerminals = getTerminalMap(senderId);
+
+        const ptyProcess = createPty({
+            args: getCommandArgs(plan.shell, plan.command),
+            cwd: plan.cwd,
+            cols: options.cols,
+            rows: options.rows
+        });
+        senderTerminals.set(terminalId, ptyProcess);
+
+        const run = {
+            plan,
+            requestId: options.requestId || null,
+            ptyProcess,
+            sender: event.sender,
+            attached: false,
+            exited: false,
+            // Output for the tab, held until terminal:wait
+            pending: createCapture(plan.outputLimit * CAPTURE_FACTOR),
+            capture: createCapture(plan.outputLimit * CAPTURE_FACTOR),
+            timedOut: false,
+            cancelled: false,
+            startTime: Date.now(),
+            timer: null,
+            expiry: null,
+            result: null
+        };
+        run.result = new Promise((resolve) => {
+            ptyProcess.onExit(({ exitCode, signal }) => {
+                clearTimeout(run.timer);
+                senderTerminals.delete(terminalId);
+                run.exited = true;
+                if (event.sender.isDestroyed()) {
+                    commandRuns.delete(terminalId);
+                } else if (run.attached) {
+                    event.sender.send('terminal:exit', terminalId);
+                } else {
+                    run.expiry = setTimeout(() => {
+                        if (!run.attached) commandRuns.delete(terminalId);
+                    }, UNCLAIMED_RUN_TTL_MS);
+                }
+
+                const { output, truncated } = readCapture(run.capture, plan.outputLimit);
+                resolve({
+                    command: plan.command,
+                    cwd: plan.cwd,
+                    exitCode: run.timedOut || run.cancelled ? null : exitCode,
+                    signal: signal || null,
+                    timedOut: run.timedOut,
+                    cancelled: run.cancelled,
+                    elapsedMs: Date.now() - run.startTime,
+                    output,
+                    truncated
+                });
+            });
+        });
+
+        ptyProcess.onData((data) => {
+            appendCapture(run.capture, data);
+            if (run.attached) {
+                if (!event.sender.isDestroyed()) {
+                    event.sender.send('terminal:data', { terminalId, data });
+                }
+            } else {
+                appendCapture(run.pending, data);
+            }
+        });
+
+        run.timer = setTimeout(() => {
+            run.timedOut = true;
+            try {
+                ptyProcess.kill();
+            } catch (error) {
+                console.error('Command timeout kill error:', error);
+            }
+        }, plan.timeoutSeconds * 1000);
+
+        commandRuns.set(terminalId, run);
+        return { success: true, terminalId, ...plan };
+    });
+
+    ipcMain.handle('terminal:wait', async (_event, terminalId) => {
+        const run = commandRuns.get(terminalId);
+        if (!run) {
+            throw new Error(`No command running in ${terminalId}`);
+        }
+
+        if (!run.attached) {
+            run.attached = true;
+            clearTimeout(run.expiry);
+            if (!run.sender.isDestroyed()) {
+                const { head, tail, omitted } = run.pending;
+                const gap = omitted ? `\r\n\x1b[2m[... ${omitted} characters not shown ...]\x1b[0m\r\n` : '';
+                const data = `${head}${gap}${tail}`;
+                if (data) {
+                    run.sender.send('terminal:data', { terminalId, data });
+                }
+                if (run.exited) {
+                    run.sender.send('terminal:exit', terminalId);
+                }
+            }
+            run.pending = null;
+        }
+
+        try {
+            return await run.result;
+        } finally {
+            commandRuns.delete(terminalId);
+        }
+    });
+
     ipcMain.handle('terminal:dispose', (event, terminalId) => {
         const senderId = event.sender.id;
         const senderTerminals = getTerminalMap(senderId);
@@ -120,5 +427,6 @@ function registerHandlers() {
     });
 }
 module.exports = {
-    registerHandlers
+    registerHandlers,
+    cancelCommandRuns
 };
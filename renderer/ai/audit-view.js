@@ -0,0 +1,194 @@
+/**
+ * AI Audit Log View
+ *
+ * Center view listing every request sent to an AI provider, from the
+ * workspace's outbound audit log, a page at a time. Clicking a row loads
+ * the full entry, including the captured payload.
+ */
+
+const AuditView = {
+    openButton: null,
+    rangeSelect: null,
+    refreshButton: null,
+    exportButton: null,
+    content: null,
+    entries: [],
+
+    init() {
+        this.openButton = document.getElementById('ai-audit-btn');
+        this.rangeSelect = document.getElementById('audit-range');
+        this.refreshButton = document.getElementById('audit-refresh');
+        this.exportButton = document.getElementById('audit-export');
+        this.content = document.getElementById('audit-main-content');
+
+        this.openButton?.addEventListener('click', () => this.open());
+        this.rangeSelect?.addEventListener('change', () => this.load());
+        this.refreshButton?.addEventListener('click', () => this.load());
+        this.exportButton?.addEventListener('click', () => this.export());
+    },
+
+    async open() {
+        window.ViewManager?.showAudit();
+        await this.load();
+    },
+
+    /**
+     * ISO timestamp for the selected range, or null for all time
+     */
+    getSince() {
+        const days = Number(this.rangeSelect?.value);
+        if (!days) return null;
+        const since = new Date();
+        since.setHours(0, 0, 0, 0);
+        since.setDate(since.getDate() - (days - 1));
+        return since.toISOString();
+    },
+
+    /**
+     * Load the first page, or append the next one
+     * @param {boolean} [more]
+     */
+    async load(more = false) {
+        if (!this.content) return;
+
+        try {
+            const log = await window.IPC.getAuditLog({
+                since: this.getSince(),
+                offset: more ? this.entries.length : 0
+            });
+            this.entries = more ? [...this.entries, ...(log?.entries || [])] : (log?.entries || []);
+            this.render({ ...log, entries: this.entries });
+        } catch (error) {
+            console.error('Audit log error:', error);
+            this.content.textContent = 'Failed to load the audit log.';
+        }
+    },
+
+    async export() {
+        try {
+            const result = await window.IPC.exportAuditLog();
+            if (!result?.canceled) {
+                alert(`Audit log exported to ${result.filePath}`);
+            }
+        } catch (error) {
+            console.error('Audit log export error:', error);
+            alert(`Failed to export the audit log: ${error.message}`);
+        }
+    },
+
+    formatBytes(bytes) {
+        const value = Number(bytes) || 0;
+        if (value < 1024) return `${value} B`;
+        if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+        return `${(value / 1024 / 1024).toFixed(1)} MB`;
+    },
+
+    render(log) {
+        this.content.innerHTML = '';
+
+        const status = document.createElement('div');
+        status.className = `audit-status ${log?.intact === false ? 'broken' : ''}`;
+        status.textContent = log?.intact === false
+            ? `The log was modified: the hash chain breaks at line ${log.brokenAt} of ${log.lines}.`
+            : `${log?.total || 0} requests logged; hash chain intact.`;
+        this.content.appendChild(status);
+
+        if (!log?.entries?.length) {
+            const empty = document.createElement('div');
+            empty.className = 'usage-empty';
+            empty.textContent = 'No AI requests recorded for this period.';
+            this.content.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'usage-table audit-table';
+
+        const headRow = table.createTHead().insertRow();
+        ['Time', 'Kind', 'Provider', 'Endpoint', 'Model', 'Payload', 'Files', 'Tools', 'Redacted', 'Status'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        log.entries.forEach(entry => {
+            const row = body.insertRow();
+            row.className = `audit-row ${entry.status === 'error' ? 'error' : ''}`;
+            const files = [...(entry.files || []), ...(entry.images || []).map(image => image.path || 'image')];
+            const tools = [
+                ...(entry.toolCalls || []).map(call => call.name),
+                ...(entry.toolResults || []).map(name => `${name} (result)`)
+            ];
+            [
+                new Date(entry.timestamp).toLocaleString(),
+                entry.kind,
+                entry.provider || '—',
+                entry.endpoint || '—',
+                entry.model || '—',
+                this.formatBytes(entry.payloadBytes),
+                files.length ? String(files.length) : '',
+                tools.length ? String(tools.length) : '',
+                entry.redacted ? String(entry.redacted) : '',
+                entry.status
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+            row.title = [files.join('\n'), tools.join('\n')].filter(Boolean).join('\n\n');
+            row.addEventListener('click', () => this.toggleDetails(row, entry));
+        });
+
+        this.content.appendChild(table);
+
+        if (log.entries.length < (log.matched || 0)) {
+            const more = document.createElement('button');
+            more.className = 'btn-secondary audit-more';
+            more.textContent = `Show more (${log.entries.length} of ${log.matched})`;
+            more.addEventListener('click', () => this.load(true));
+            this.content.appendChild(more);
+        }
+    },
+
+    /**
+     * Show or hide the full entry (with its payload) under its row
+     */
+    async toggleDetails(row, entry) {
+        const next = row.nextElementSibling;
+        if (next?.classList.contains('audit-details')) {
+            next.remove();
+            return;
+        }
+
+        const detailsRow = document.createElement('tr');
+        detailsRow.className = 'audit-details';
+        const cell = detailsRow.insertCell();
+        cell.colSpan = row.cells.length;
+
+        let full = null;
+        try {
+            full = await window.IPC.getAuditEntry(entry.line);
+        } catch (error) {
+            console.error('Audit entry error:', error);
+        }
+        // Clicked again while loading
+        if (row.nextElementSibling?.classList.contains('audit-details')) return;
+
+        const pre = document.createElement('pre');
+        pre.className = 'audit-details-json';
+        const { line: _line, hasPayload: _hasPayload, ...summary } = entry;
+        const record = { ...(full || {}), ...summary, payload: full?.payload ?? null };
+        pre.textContent = JSON.stringify(record, null, 2);
+        if (!entry.hasPayload) {
+            const note = document.createElement('div');
+            note.className = 'field-description';
+            note.textContent = 'Payload capture was off for this request; only its hash and size were logged.';
+            cell.appendChild(note);
+        }
+        cell.appendChild(pre);
+
+        row.after(detailsRow);
+    }
+};
+
+// Export globally
+window.AuditView = AuditView;
@@ -0,0 +1,295 @@
+/**
+ * Chat Attachments
+ *
+ * Collects images for the next chat message from the workspace file picker,
+ * clipboard paste or a drag from the notes tree. Attachments are workspace
+ * paths; a small thumbnail is kept so the session history can show them.
+ * Text files (/attach) are attached as { path, kind: 'file' } and sent as
+ * context rather than as images.
+ */
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_FILE_CHARS = 200000;
+const THUMBNAIL_SIZE = 160;
+
+const ChatAttachments = {
+    pending: [],
+    container: null,
+    attachButton: null,
+    dropTarget: null,
+
+    /**
+     * Initialize attachment controls
+     * @param {HTMLTextAreaElement} inputField - Chat input (paste target)
+     */
+    init(inputField) {
+        this.container = document.getElementById('chat-attachments');
+        this.attachButton = document.getElementById('chat-attach');
+        this.dropTarget = document.querySelector('.chat-input-container');
+
+        this.attachButton?.addEventListener('click', () => this.chooseFromWorkspace());
+        inputField?.addEventListener('paste', (event) => this.handlePaste(event));
+
+        if (this.dropTarget) {
+            this.dropTarget.addEventListener('dragover', (event) => {
+                if (!this.isTreeFileDrag(event)) return;
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'move';
+                this.dropTarget.classList.add('drag-over');
+            });
+            this.dropTarget.addEventListener('dragleave', () => {
+                this.dropTarget.classList.remove('drag-over');
+            });
+            this.dropTarget.addEventListener('drop', (event) => this.handleDrop(event));
+        }
+
+        this.render();
+    },
+
+    isImagePath(filePath) {
+        const extension = String(filePath || '').split('.').pop().toLowerCase();
+        return IMAGE_EXTENSIONS.includes(extension);
+    },
+
+    isTreeFileDrag(event) {
+        return Array.from(event.dataTransfer?.types || []).includes('application/x-x0v3rt-node-type');
+    },
+
+    async chooseFromWorkspace() {
+        try {
+            const result = await window.IPC.chooseImages();
+            if (!result || result.canceled) return;
+
+            if (result.rejected?.length) {
+                alert('Only images inside the workspace can be attached.');
+            }
+
+            for (const filePath of result.paths || []) {
+                await this.addFromPath(filePath);
+            }
+        } catch (error) {
+            console.error('Choose image error:', error);
+            alert('Failed to attach image.');
+        }
+    },
+
+    /**
+     * Save a pasted image into screenshots/ and attach it
+     */
+    handlePaste(event) {
+        const items = event?.clipboardData?.items;
+        if (!items || items.length === 0) return;
+
+        const imageItem = Array.from(items).find((item) => item.type?.startsWith('image/'));
+        if (!imageItem) return;
+
+        const file = imageItem.getAsFile();
+        if (!file) return;
+
+        event.preventDefault();
+
+        file.arrayBuffer()
+            .then((buffer) => this.arrayBufferToBase64(buffer))
+            .then(async (base64) => {
+                const result = await window.IPC.saveClipboardImage({
+                    base64,
+                    mimeType: file.type || 'image/png',
+                    baseName: 'chat'
+                });
+                if (!result?.path) {
+                    throw new Error('Image save failed');
+                }
+                await this.addFromPath(result.path);
+            })
+            .catch((error) => {
+                console.error('[ChatAttachments] Paste image error:', error);
+                alert('Failed to paste image from clipboard.');
+            });
+    },
+
+    async handleDrop(event) {
+        this.dropTarget?.classList.remove('drag-over');
+        if (!this.isTreeFileDrag(event)) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const nodeType = event.dataTransfer.getData('application/x-x0v3rt-node-type');
+        const filePath = event.dataTransfer.getData('text/plain');
+        if (nodeType !== 'file' || !filePath) return;
+
+        if (!this.isImagePath(filePath)) {
+            alert('Only image files can be attached to a chat message.');
+            return;
+        }
+
+        await this.addFromPath(filePath);
+    },
+
+    async addFromPath(filePath) {
+        if (!this.isImagePath(filePath)) return;
+        if (this.pending.some((item) => item.path === filePath)) return;
+
+        try {
+            const { dataUrl, mime } = await window.IPC.readFileBinary(filePath);
+            const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+            if (Math.floor(base64.length * 3 / 4) > MAX_IMAGE_BYTES) {
+                alert(`${filePath} is larger than 5 MB and cannot be attached.`);
+                return;
+            }
+
+            const thumbnail = await this.createThumbnail(dataUrl);
+            this.pending.push({ path: filePath, mimeType: mime, thumbnail });
+            this.render();
+        } catch (error) {
+            console.error('Attach image error:', error);
+            alert(`Failed to attach ${filePath}`);
+        }
+    },
+
+    /**
+     * Attach a workspace text file; its content is read when the message is sent
+     */
+    addFile(filePath) {
+        if (this.isImagePath(filePath)) return this.addFromPath(filePath);
+        if (this.pending.some((item) => item.path === filePath)) return;
+
+        this.pending.push({ path: filePath, kind: 'file' });
+        this.render();
+    },
+
+    isFileAttachment(attachment) {
+        return attachment?.kind === 'file';
+    },
+
+    remove(filePath) {
+        this.pending = this.pending.filter((item) => item.path !== filePath);
+        this.render();
+    },
+
+    clear() {
+        this.pending = [];
+        this.render();
+    },
+
+    /**
+     * Attachments for the next message (path, mimeType, thumbnail)
+     */
+    getPending() {
+        return this.pending.map((item) => ({ ...item }));
+    },
+
+    /**
+     * Read attachments as inline image data for the provider
+     * @returns {Promise<Array<{path: string, mimeType: string, data: string}>>}
+     */
+    async loadImages(attachments) {
+        const images = [];
+        for (const attachment of attachments.filter((item) => !this.isFileAttachment(item))) {
+            const { dataUrl, mime } = await window.IPC.readFileBinary(attachment.path);
+            images.push({
+                path: attachment.path,
+                mimeType: mime,
+                data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+            });
+        }
+        return images;
+    },
+
+    /**
+     * Read attached text files for the provider
+     * @returns {Promise<Array<{path: string, content: string}>>}
+     */
+    async loadFiles(attachments) {
+        const files = [];
+        for (const attachment of attachments.filter((item) => this.isFileAttachment(item))) {
+            const content = String(await window.IPC.readFile(attachment.path) ?? '');
+            files.push({
+                path: attachment.path,
+                content: content.length > MAX_FILE_CHARS
+                    ? `${content.slice(0, MAX_FILE_CHARS)}\n…(truncated)`
+                    : content
+            });
+        }
+        return files;
+    },
+
+    /**
+     * Downscale an image to a JPEG thumbnail data URL
+     */
+    createThumbnail(dataUrl) {
+        return new Promise((resolve) => {
+            const image = new Image();
+            image.onload = () => {
+                const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.width * scale));
+                canvas.height = Math.max(1, Math.round(image.height * scale));
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/jpeg', 0.7));
+            };
+            image.onerror = () => resolve(null);
+            image.src = dataUrl;
+        });
+    },
+
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Render thumbnails for attachments
+     * @param {HTMLElement} target - Element to fill
+     * @param {Array} attachments
+     * @param {Function} [onRemove] - Adds a remove button per item when set
+     */
+    renderThumbnails(target, attachments, onRemove) {
+        target.innerHTML = '';
+
+        attachments.forEach((attachment) => {
+            const item = document.createElement('div');
+            item.className = 'chat-attachment';
+            item.title = attachment.path;
+
+            if (this.isFileAttachment(attachment)) {
+                item.classList.add('file');
+                item.textContent = `📄 ${attachment.path.split('/').pop()}`;
+            } else if (attachment.thumbnail) {
+                const img = document.createElement('img');
+                img.src = attachment.thumbnail;
+                img.alt = attachment.path;
+                item.appendChild(img);
+            } else {
+                item.textContent = '🖼';
+            }
+
+            if (onRemove) {
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'chat-attachment-remove';
+                removeBtn.title = 'Remove attachment';
+                removeBtn.textContent = '×';
+                removeBtn.addEventListener('click', () => onRemove(attachment.path));
+                item.appendChild(removeBtn);
+            }
+
+            target.appendChild(item);
+        });
+    },
+
+    render() {
+        if (!this.container) return;
+        this.renderThumbnails(this.container, this.pending, (filePath) => this.remove(filePath));
+        this.container.classList.toggle('hidden', this.pending.length === 0);
+    }
+};
+
+// Export globally
+window.ChatAttachments = ChatAttachments;
@@ -10,6 +10,10 @@ const ChatUI = {
     sendButton: null,
     modelSelect: null,
     modelLabel: null,
+    summaryIndicator: null,
+    profileSelect: null,
+    promptProfiles: [],
+    promptProfile: 'default',
     sessionId: null,
     workspacePath: null,
     isLoadingHistory: false,
@@ -27,6 +31,15 @@ const ChatUI = {
     modelRegistry: [],
     modelMap: new Map(),
     activeProviderId: 'vertex',
+    activeRequestId: null,
+    cancelledRequestId: null,
+    streamingMessage: null,
+    // requestAnimationFrame id of the pending streaming repaint
+    streamingFrame: null,
+    // Stored messages on the displayed branch, by id
+    chatMessages: new Map(),
+    // Header label while regenerating with a model other than the picker's
+    modelLabelOverride: null,
 
     /**
      * Initialize chat UI
@@ -36,7 +49,9 @@ const ChatUI = {
         this.inputField = document.getElementById('chat-input');
         this.sendButton = document.getElementById('chat-send');
         this.modelSelect = document.getElementById('model-select');
+        this.profileSelect = document.getElementById('profile-select');
         this.modelLabel = document.querySelector('.ai-model');
+        this.summaryIndicator = document.getElementById('chat-summary-indicator');
         this.aiConfigPanel = document.getElementById('ai-config-panel');
         this.aiSettingsToggle = document.getElementById('ai-settings-toggle');
         this.aiSettingsClose = document.getElementById('ai-config-close');
@@ -69,9 +84,19 @@ const ChatUI = {
         }
 
         // Set up event listeners
-        this.sendButton.addEventListener('click', () => this.sendMessage());
+        // The send button doubles as a stop button while a request is in flight
+        this.sendButton.addEventListener('click', () => {
+            if (this.activeRequestId) {
+                this.cancelMessage();
+            } else {
+                this.sendMessage();
+            }
+        });
 
         this.inputField.addEventListener('keydown', (e) => {
+            // The slash command menu takes arrows, Tab, Enter and Escape while open
+            if (window.SlashCommands?.handleKeydown(e)) return;
+
             // Send on Enter, allow Shift+Enter for newline
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
@@ -80,16 +105,24 @@ const ChatUI = {
         });
 
         this.inputField.addEventListener('input', () => this.autosizeInput());
+        document.getElementById('chat-preview')?.addEventListener('click', () => this.previewMessage());
         this.autosizeInput();
 
-        this.loadModelRegistry().finally(() => {
-            this.loadChatPreferences();
-            this.updateModelLabel();
-        });
+        window.ChatAttachments?.init(this.inputField);
+        window.SlashCommands?.init(this.inputField);
+
+        this.refreshModels();
         this.modelSelect?.addEventListener('change', () => {
             this.persistChatPreferences();
             this.updateModelLabel();
         });
+
+        this.refreshPromptProfiles();
+        this.profileSelect?.addEventListener('change', () => this.setPromptProfile(this.profileSelect.value));
+        document.getElementById('profile-edit-btn')?.addEventListener('click', () => this.editPromptProfile());
+        document.getElementById('profile-new-btn')?.addEventListener('click', () => this.createPromptProfile());
+        // Profiles are workspace files, so pick up edits, renames and deletions
+        window.IPC?.onNotesIndexUpdated?.(() => this.refreshPromptProfiles());
         this.temperatureInput?.addEventListener('change', () => this.persistChatPreferences());
         this.topPInput?.addEventListener('change', () => this.persistChatPreferences());
         this.maxOutputTokensInput?.addEventListener('change', () => this.persistChatPreferences());
@@ -102,6 +135,13 @@ const ChatUI = {
 
         this.initChatSearch();
 
+        if (window.IPC?.onAIMessageChunk) {
+            window.IPC.onAIMessageChunk((payload) => this.handleMessageChunk(payload));
+        }
+        if (window.IPC?.onAIToolRequest) {
+            window.IPC.onAIToolRequest((payload) => this.handleToolRequest(payload));
+        }
+
         this.initializeSession();
         this.loadSessionList();
 
@@ -126,6 +166,16 @@ const ChatUI = {
         }
     },
 
+    /**
+     * Reload the model picker (registry plus models discovered by the
+     * active provider) and restore the saved selection
+     */
+    async refreshModels() {
+        await this.loadModelRegistry();
+        this.loadChatPreferences();
+        this.updateModelLabel();
+    },
+
     async loadModelRegistry() {
         if (!this.modelSelect) return;
 
@@ -274,11 +324,16 @@ const ChatUI = {
                 return;
             }
 
-            if (existingCount > 0 && window.IPC?.updateChatSession) {
-                const suffix = existingCount + 1;
-                await window.IPC.updateChatSession(newSession.id, {
-                    title: `${baseTitle} (${suffix})`
-                });
+            // New chats start with the workspace's default profile
+            this.promptProfile = this.getDefaultPromptProfile();
+            this.syncProfileSelect();
+
+            if (window.IPC?.updateChatSession) {
+                const updates = { promptProfile: this.promptProfile };
+                if (existingCount > 0) {
+                    updates.title = `${baseTitle} (${existingCount + 1})`;
+                }
+                await window.IPC.updateChatSession(newSession.id, updates);
             }
 
             this.sessionId = newSession.id;
@@ -409,8 +464,21 @@ const ChatUI = {
         return option.text.replace('Model: ', '');
     },
 
+    /**
+     * Whether the selected model accepts image input.
+     * Models outside the registry (e.g. typed into provider settings) are not gated.
+     */
+    selectedModelSupportsVision(modelInfo = this.getSelectedModelInfo()) {
+        const model = modelInfo ? this.modelMap.get(modelInfo.modelId) : null;
+        if (!model) return true;
+        return model.supports_vision === true;
+    },
+
     getSelectedModelInfo() {
-        const modelId = this.modelSelect?.value;
+        return this.getModelInfo(this.modelSelect?.value);
+    },
+
+    getModelInfo(modelId) {
         if (!modelId) return null;
         const model = this.modelMap.get(modelId);
         if (!model) return { modelId };
@@ -460,9 +528,20 @@ const ChatUI = {
         try {
             const result = await window.IPC.getChatSession(this.sessionId);
             const session = result?.session;
-            const messages = session?.messages || [];
+            this.promptProfile = session?.promptProfile || this.getDefaultPromptProfile();
+            this.syncProfileSelect();
+
+            const messages = result?.thread || session?.messages || [];
+            this.updateSummaryIndicator(this.findThreadSummary(session?.summaries, messages));
             messages.forEach((message) => {
-                this.addMessage(message.role, message.content, message.meta, true);
+                const messageDiv = this.addMessage(message.role, message.content, message.meta, true);
+                this.bindStoredMessage(messageDiv, message);
+                if (message.attachments?.length) {
+                    this.renderMessageAttachments(messageDiv, message.attachments);
+                }
+                if (message.sources?.length) {
+                    this.renderMessageSources(messageDiv, message.sources);
+                }
             });
         } catch (error) {
             console.error('Failed to load chat history:', error);
@@ -471,52 +550,362 @@ const ChatUI = {
         }
     },
 
+    /**
+     * Latest cached model summary that lies on the displayed branch
+     */
+    findThreadSummary(summaries, messages) {
+        if (!Array.isArray(summaries) || !summaries.length) return null;
+        const positions = new Map(messages.map((message, index) => [message.id, index]));
+
+        let best = null;
+        summaries.forEach((summary) => {
+            const position = positions.get(summary.throughId);
+            if (position === undefined || (best && position < best.coveredCount - 1)) return;
+            best = { coveredCount: position + 1, model: summary.model, createdAt: summary.createdAt };
+        });
+        return best;
+    },
+
+    /**
+     * Show in the header that older messages are sent as a model summary
+     * @param {{coveredCount: number, model?: string, createdAt?: string}|null} summarized
+     */
+    updateSummaryIndicator(summarized) {
+        if (!this.summaryIndicator) return;
+        this.summaryIndicator.classList.toggle('hidden', !summarized);
+        if (!summarized) return;
+
+        const count = summarized.coveredCount;
+        const author = summarized.model ? ` by ${summarized.model}` : '';
+        this.summaryIndicator.textContent = `Summary · ${count}`;
+        this.summaryIndicator.title = `The first ${count} message${count !== 1 ? 's' : ''} of this chat are sent as a summary`
+            + ` written${author} (updated ${this.formatTimestamp(summarized.createdAt)})`;
+    },
+
+    /**
+     * Profile used for new chats (workspace state chat.agent)
+     */
+    getDefaultPromptProfile() {
+        return window.WorkspaceState?.get('chat.agent') || 'default';
+    },
+
+    async refreshPromptProfiles() {
+        if (!this.profileSelect || !window.IPC?.listPromptProfiles) return;
+
+        try {
+            this.promptProfiles = await window.IPC.listPromptProfiles() || [];
+        } catch (error) {
+            console.error('Failed to load prompt profiles:', error);
+            this.promptProfiles = [];
+        }
+
+        this.profileSelect.innerHTML = '';
+        this.promptProfiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.title = profile.description || profile.name;
+            this.profileSelect.appendChild(option);
+        });
+        this.syncProfileSelect();
+    },
+
+    /**
+     * Show the current chat's profile; a profile deleted from the workspace
+     * falls back to the default one
+     */
+    syncProfileSelect() {
+        if (!this.profileSelect || !this.promptProfiles.length) return;
+
+        if (!this.promptProfiles.some(profile => profile.id === this.promptProfile)) {
+            this.promptProfile = 'default';
+        }
+        this.profileSelect.value = this.promptProfile;
+
+        const profile = this.promptProfiles.find(item => item.id === this.promptProfile);
+        this.profileSelect.title = profile?.description
+            ? `Prompt profile: ${profile.description}`
+            : 'Prompt profile';
+    },
+
+    async setPromptProfile(profileId) {
+        this.promptProfile = profileId || 'default';
+        this.syncProfileSelect();
+
+        // Remember the choice for this chat and as the default for new chats
+        window.WorkspaceState?.update({ chat: { agent: this.promptProfile } });
+        if (!this.sessionId) return;
+
+        try {
+            await window.IPC.updateChatSession(this.sessionId, { promptProfile: this.promptProfile });
+        } catch (error) {
+            console.error('Failed to save chat prompt profile:', error);
+        }
+    },
+
+    /**
+     * Open the current profile in the editor; built-ins are copied into
+     * the workspace prompts/ folder first
+     */
+    async editPromptProfile() {
+        try {
+            const result = await window.IPC.editPromptProfile(this.promptProfile);
+            if (!result?.path) return;
+            await this.refreshPromptProfiles();
+            await window.NotesUI?.openFile(result.path);
+        } catch (error) {
+            console.error('Edit prompt profile error:', error);
+            alert(`Failed to open prompt profile: ${error.message}`);
+        }
+    },
+
+    async createPromptProfile() {
+        const name = await window.Dialog.showInput('New Prompt Profile', 'Profile name');
+        if (!name) return;
+
+        try {
+            const result = await window.IPC.createPromptProfile(name);
+            await this.refreshPromptProfiles();
+            await this.setPromptProfile(result.id);
+            await window.NotesUI?.openFile(result.path);
+        } catch (error) {
+            console.error('Create prompt profile error:', error);
+            alert(`Failed to create prompt profile: ${error.message}`);
+        }
+    },
+
+    /**
+     * Warn before sending once a soft usage budget is reached
+     * @returns {Promise<boolean>} Whether to send
+     */
+    async confirmUsageBudget() {
+        try {
+            const { warnings = [] } = await window.IPC.checkUsageBudget(this.sessionId) || {};
+            if (!warnings.length) return true;
+
+            return await window.Dialog.showConfirm(
+                'Usage budget reached',
+                `${warnings.join('<br>')}<br><br>Send this message anyway?`,
+                { confirmLabel: 'Send anyway' }
+            );
+        } catch (error) {
+            console.error('Usage budget check error:', error);
+            return true;
+        }
+    },
+
     /**
      * Send message to AI
+     * @param {object} [options]
+     * @param {boolean} [options.skipPreview] - Already previewed (aiChat.previewBeforeSend)
      */
-    async sendMessage() {
-        const message = this.inputField.value.trim();
+    async sendMessage(options = {}) {
+        if (this.activeRequestId) return;
+        let message = this.inputField.value.trim();
         if (!message) return;
 
+        // A slash command either becomes the prompt or does its work and sends nothing
+        if (window.SlashCommands?.isCommand(message)) {
+            const prompt = await window.SlashCommands.execute(message);
+            this.inputField.value = prompt || '';
+            this.autosizeInput();
+            if (!prompt) return;
+            message = prompt;
+        }
+
+        const attachments = window.ChatAttachments?.getPending() || [];
+        if (!this.checkAttachmentSupport(attachments)) return;
+
+        if (!options.skipPreview && await this.shouldPreviewBeforeSend()) {
+            this.previewMessage();
+            return;
+        }
+
+        if (!(await this.confirmUsageBudget())) return;
+
         // Clear input
         this.inputField.value = '';
         this.autosizeInput();
+        window.ChatAttachments?.clear();
+
+        await this.sendPrompt(message, { attachments });
+    },
+
+    /**
+     * Whether the model can take the attachments; explains in the chat if not
+     */
+    checkAttachmentSupport(attachments, modelInfo = this.getSelectedModelInfo(), modelLabel = null) {
+        const images = attachments.filter((attachment) => !window.ChatAttachments?.isFileAttachment(attachment));
+        if (!images.length || this.selectedModelSupportsVision(modelInfo)) return true;
+
+        const label = modelLabel || this.getSelectedModelLabel() || 'The selected model';
+        this.addMessage('system', `${label} does not accept images. Pick a vision-capable model or remove the attachments.`);
+        return false;
+    },
+
+    /**
+     * Add and persist a user message, then request the reply
+     * @param {string} message
+     * @param {object} [options]
+     * @param {Array} [options.attachments]
+     * @param {string|null} [options.parentId] - Branch point; defaults to the active branch
+     */
+    async sendPrompt(message, options = {}) {
+        const { attachments = [] } = options;
 
         // Add user message to UI
-        this.addMessage('user', message);
-        await this.persistMessage('user', message);
+        const userMessage = this.addMessage('user', message);
+        const extra = {};
+        if (attachments.length) {
+            this.renderMessageAttachments(userMessage, attachments);
+            extra.attachments = attachments;
+        }
+        if (options.parentId !== undefined) {
+            extra.parentId = options.parentId;
+        }
+        await this.persistMessage('user', message, undefined, extra, userMessage);
+
+        await this.requestResponse(message, { attachments });
+    },
+
+    async shouldPreviewBeforeSend() {
+        try {
+            const prefs = await window.SettingsIPC?.getSystemPreferences?.();
+            return prefs?.aiChat?.previewBeforeSend === true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Show what sending the input would send (after trimming to the
+     * context window) and its estimated size; the dialog can send it
+     */
+    async previewMessage() {
+        if (this.activeRequestId) return;
+        const message = this.inputField.value.trim();
+        const attachments = window.ChatAttachments?.getPending() || [];
+
+        try {
+            const context = await this.buildRequestContext();
+            await this.addAttachmentContext(context, attachments);
+            const preview = await window.IPC.previewAIContext(message, context);
+            const send = await window.Dialog.showContextPreview(preview, { sendLabel: message ? 'Send' : null });
+            if (send) {
+                await this.sendMessage({ skipPreview: true });
+            }
+        } catch (error) {
+            console.error('Context preview error:', error);
+            this.addMessage('system', `Preview failed: ${error.message}`);
+        }
+    },
 
-        // Build context
-        const context = await window.ContextBuilder.buildContext();
+    /**
+     * Context for a request: note, chat history, tools, generation settings and model
+     * @param {object} [options]
+     * @param {object} [options.model] - Defaults to the picker's model
+     * @param {string} [options.requestId] - Lets history be summarized under this request
+     */
+    async buildRequestContext(options = {}) {
+        const context = await window.ContextBuilder.buildContext({ requestId: options.requestId });
         const generation = this.getGenerationSettings();
         if (generation) {
             context.generation = generation;
-            this.applyContextWindow(context, generation.contextWindow);
         }
-        const modelOverride = this.getSelectedModelInfo();
+        const modelOverride = options.model || this.getSelectedModelInfo();
         if (modelOverride) {
             context.model = modelOverride;
         }
+        // Attributes usage to this chat in the ledger
+        context.sessionId = this.sessionId;
+        context.promptProfile = this.promptProfile;
+        return context;
+    },
+
+    /**
+     * Load attachments into a request context: images as inline data,
+     * text files (/attach) as attachedFiles
+     */
+    async addAttachmentContext(context, attachments = []) {
+        if (!attachments.length) return;
+        const images = await window.ChatAttachments.loadImages(attachments);
+        if (images.length) {
+            context.images = images;
+        }
+        const files = await window.ChatAttachments.loadFiles(attachments);
+        if (files.length) {
+            context.attachedFiles = files;
+        }
+    },
+
+    /**
+     * Ask the AI to answer a prompt that is already the tip of the active branch
+     * @param {string} message
+     * @param {object} [options]
+     * @param {Array} [options.attachments]
+     * @param {object} [options.model] - Model info; defaults to the picker's model
+     * @param {string} [options.modelLabel]
+     */
+    async requestResponse(message, options = {}) {
+        const { attachments = [] } = options;
+
+        const requestId = this.createRequestId();
+        this.activeRequestId = requestId;
+        this.streamingMessage = null;
+        this.modelLabelOverride = options.modelLabel || null;
 
         try {
-            // Show loading
-            this.sendButton.disabled = true;
-            this.sendButton.setAttribute('aria-busy', 'true');
-            const idleLabel = this.sendButton.dataset.icon || this.sendButton.textContent || '➤';
-            this.sendButton.dataset.icon = idleLabel;
-            this.sendButton.textContent = '⟳';
+            // Show stop button while the request is in flight
+            this.setSendButtonBusy(true);
+
+            // Build context (summarizing older history under this request);
+            // the main process trims it to the context window
+            const context = await this.buildRequestContext({ model: options.model, requestId });
+            this.updateSummaryIndicator(context.chat?.summarized);
+            await this.addAttachmentContext(context, attachments);
+
+            // Main has no controller for the request until it is streamed,
+            // so a Stop while building the context is honoured here
+            if (this.cancelledRequestId === requestId) {
+                this.addMessage('system', 'Generation stopped.');
+                await this.persistMessage('system', 'Generation stopped.');
+                return;
+            }
 
-            // Send to AI
-            const response = await window.IPC.sendAIMessage(message, context);
+            // Send to AI; text arrives through handleMessageChunk while streaming
+            const response = await window.IPC.streamAIMessage(requestId, message, context);
 
             // Handle function calls
             if (response.type === 'function_call' && response.functionCalls) {
+                await this.finalizeStreamingMessage(response.text || '', null);
                 await this.handleFunctionCalls(response);
             } else if (response.type === 'text') {
                 // Normal text response
                 const meta = this.buildMetaLine(response);
-                this.addMessage('ai', response.text || '', meta);
-                await this.persistMessage('ai', response.text || '', meta);
+                const extra = {
+                    provider: response.provider,
+                    model: response.model,
+                    fallback: response.fallback
+                };
+                if (response.stopReason) {
+                    extra.stopReason = response.stopReason;
+                }
+                if (response.sources?.length) {
+                    extra.sources = response.sources;
+                }
+                const messageDiv = await this.finalizeStreamingMessage(response.text || '', meta, extra);
+                if (messageDiv && extra.sources) {
+                    this.renderMessageSources(messageDiv, extra.sources);
+                }
+
+                if (response.stopReason === 'cancelled') {
+                    this.addMessage('system', 'Generation stopped.');
+                    await this.persistMessage('system', 'Generation stopped.');
+                } else if (response.stopReason === 'max_steps') {
+                    const notice = `Stopped after ${response.steps?.length || 0} tool steps (limit reached).`;
+                    this.addMessage('system', notice);
+                    await this.persistMessage('system', notice);
+                }
             } else {
                 // Legacy format (backward compatibility)
                 if (typeof response === 'string') {
@@ -531,22 +920,192 @@ const ChatUI = {
 
         } catch (error) {
             console.error('AI message error:', error);
+            await this.finalizeStreamingMessage(this.streamingMessage?.dataset.content || '', null);
             this.addMessage('system', `Error: ${error.message}`);
             await this.persistMessage('system', `Error: ${error.message}`);
         } finally {
-            this.sendButton.disabled = false;
-            this.sendButton.removeAttribute('aria-busy');
-            this.sendButton.textContent = this.sendButton.dataset.icon || '➤';
+            this.activeRequestId = null;
+            this.cancelledRequestId = null;
+            this.streamingMessage = null;
+            this.modelLabelOverride = null;
+            this.setSendButtonBusy(false);
             // Refresh session list to update title and timestamp
             await this.loadSessionList();
         }
     },
 
+    /**
+     * Whether requestId is the request in flight and Stop was not pressed
+     */
+    isRequestActive(requestId) {
+        return Boolean(requestId) && this.activeRequestId === requestId && this.cancelledRequestId !== requestId;
+    },
+
+    /**
+     * Ask the main process to abort the active request.
+     * sendMessage settles the partial response once the request resolves.
+     */
+    async cancelMessage() {
+        const requestId = this.activeRequestId;
+        if (!requestId) return;
+
+        // Stops a request still building its context before it is sent
+        this.cancelledRequestId = requestId;
+        this.sendButton.disabled = true;
+        // A tool approval still open for it is denied
+        window.Dialog?.cancelToolApproval();
+        try {
+            await window.IPC.cancelAIMessage(requestId);
+        } catch (error) {
+            console.error('Cancel AI request error:', error);
+            this.sendButton.disabled = false;
+        }
+    },
+
+    setSendButtonBusy(busy) {
+        if (!this.sendButton.dataset.icon) {
+            this.sendButton.dataset.icon = this.sendButton.textContent || '➤';
+        }
+
+        this.sendButton.disabled = false;
+        this.sendButton.classList.toggle('stop', busy);
+        this.sendButton.title = busy ? 'Stop' : 'Send';
+        this.sendButton.textContent = busy ? '■' : this.sendButton.dataset.icon;
+        if (busy) {
+            this.sendButton.setAttribute('aria-busy', 'true');
+        } else {
+            this.sendButton.removeAttribute('aria-busy');
+        }
+    },
+
+    createRequestId() {
+        const random = Math.random().toString(16).slice(2, 10);
+        return `req-${Date.now()}-${random}`;
+    },
+
+    /**
+     * Grow the live AI bubble for the active streaming request
+     * @param {{requestId: string, delta: string, text: string}} payload
+     */
+    handleMessageChunk(payload) {
+        if (!payload || payload.requestId !== this.activeRequestId) return;
+
+        if (!this.streamingMessage) {
+            this.streamingMessage = this.addMessage('ai', '');
+            this.streamingMessage.classList.add('streaming');
+        }
+
+        // Repainted at most once a frame, as plain text until finalized
+        this.streamingMessage.dataset.content = payload.text || '';
+        if (this.streamingFrame) return;
+        this.streamingFrame = requestAnimationFrame(() => {
+            this.streamingFrame = null;
+            const messageDiv = this.streamingMessage;
+            if (messageDiv) {
+                this.updateMessage(messageDiv, messageDiv.dataset.content || '');
+            }
+        });
+    },
+
+    /**
+     * Execute a tool call requested by the agent loop in the main process
+     * and hand the result back so the model can continue.
+     * @param {{requestId: string, callId: string, step: number, name: string, args: object}} payload
+     */
+    async handleToolRequest(payload) {
+        if (!payload?.callId) return;
+
+        let result = null;
+        if (payload.requestId !== this.activeRequestId) {
+            result = { success: false, error: 'Request is no longer active' };
+        } else {
+            // Text streamed before the tool call belongs to its own bubble
+            await this.finalizeStreamingMessage(this.streamingMessage?.dataset.content || '', null);
+            result = await this.executeFunctionCall({ name: payload.name, args: payload.args }, payload.step);
+        }
+
+        try {
+            await window.IPC.sendToolResult(payload.callId, result);
+        } catch (error) {
+            console.error('[ChatUI] Failed to return tool result:', error);
+        }
+    },
+
+    /**
+     * Settle the streamed bubble with the final text and persist it once.
+     * Creates the bubble when nothing was streamed (e.g. non-streaming providers).
+     */
+    async finalizeStreamingMessage(text, meta, extra = {}) {
+        let messageDiv = this.streamingMessage;
+        this.streamingMessage = null;
+        cancelAnimationFrame(this.streamingFrame);
+        this.streamingFrame = null;
+
+        if (!text) {
+            messageDiv?.remove();
+            return null;
+        }
+
+        if (messageDiv) {
+            messageDiv.classList.remove('streaming');
+            this.updateMessage(messageDiv, text, meta);
+        } else {
+            messageDiv = this.addMessage('ai', text, meta);
+        }
+        await this.persistMessage('ai', text, meta, extra, messageDiv);
+        return messageDiv;
+    },
+
+    /**
+     * Show attachment thumbnails under a message
+     */
+    renderMessageAttachments(messageDiv, attachments) {
+        const bodyDiv = messageDiv?.querySelector('.message-body');
+        if (!bodyDiv || !window.ChatAttachments) return;
+
+        const attachmentsDiv = document.createElement('div');
+        attachmentsDiv.className = 'chat-attachments message-attachments';
+        window.ChatAttachments.renderThumbnails(attachmentsDiv, attachments);
+
+        const contentDiv = bodyDiv.querySelector('.message-content');
+        bodyDiv.insertBefore(attachmentsDiv, contentDiv?.nextSibling || null);
+    },
+
+    /**
+     * List the workspace notes retrieved for an answer; each opens the note
+     */
+    renderMessageSources(messageDiv, sources) {
+        const bodyDiv = messageDiv?.querySelector('.message-body');
+        if (!bodyDiv) return;
+
+        const sourcesDiv = document.createElement('div');
+        sourcesDiv.className = 'message-sources';
+
+        const label = document.createElement('span');
+        label.className = 'message-sources-label';
+        label.textContent = 'Sources:';
+        sourcesDiv.appendChild(label);
+
+        sources.forEach((source) => {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'message-source';
+            link.textContent = `[${source.index}] ${source.path}`;
+            link.title = source.heading ? `${source.path} — ${source.heading}` : source.path;
+            link.addEventListener('click', () => window.NotesUI?.openFile(source.path));
+            sourcesDiv.appendChild(link);
+        });
+
+        const contentDiv = bodyDiv.querySelector('.message-content');
+        bodyDiv.insertBefore(sourcesDiv, contentDiv?.nextSibling || null);
+    },
+
     /**
      * Add message to chat
      * @param {string} role - 'user', 'ai', or 'system'
      * @param {string} content - Message content
      * @param {string} [meta] - Optional metadata line
+     * @returns {HTMLElement} The message element
      */
     addMessage(role, content, meta, skipPersist = false) {
         const messageDiv = document.createElement('details');
@@ -566,7 +1125,7 @@ const ChatUI = {
         headerDiv.textContent = role === 'user'
             ? 'You'
             : role === 'ai'
-                ? (modelLabel || 'AI')
+                ? (this.modelLabelOverride || modelLabel || 'AI')
                 : 'System';
 
         const actionsDiv = document.createElement('div');
@@ -580,10 +1139,13 @@ const ChatUI = {
         copyBtn.addEventListener('click', (event) => {
             event.preventDefault();
             event.stopPropagation();
-            this.copyMessageContent(content, copyBtn);
+            this.copyMessageContent(messageDiv.dataset.content || '', copyBtn);
         });
 
         actionsDiv.appendChild(copyBtn);
+        if (role === 'ai') {
+            actionsDiv.appendChild(this.createMessageAction('¶', 'Show plain text', (button) => this.togglePlainText(messageDiv, button)));
+        }
         summaryDiv.appendChild(headerDiv);
         summaryDiv.appendChild(actionsDiv);
 
@@ -592,7 +1154,6 @@ const ChatUI = {
 
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
-        contentDiv.textContent = content;
         bodyDiv.appendChild(contentDiv);
 
         if (meta && role === 'ai') {
@@ -604,11 +1165,139 @@ const ChatUI = {
 
         messageDiv.appendChild(summaryDiv);
         messageDiv.appendChild(bodyDiv);
+        this.renderMessageContent(messageDiv, content);
 
         this.messagesContainer.appendChild(messageDiv);
 
         // Scroll to bottom
         this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+        return messageDiv;
+    },
+
+    /**
+     * Replace the content (and optionally meta line) of an existing message
+     * @param {HTMLElement} messageDiv
+     * @param {string} content
+     * @param {string} [meta]
+     */
+    updateMessage(messageDiv, content, meta) {
+        if (!messageDiv) return;
+        const container = this.messagesContainer;
+        const pinnedToBottom = container
+            && container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+
+        messageDiv.dataset.content = content;
+        this.renderMessageContent(messageDiv, content);
+
+        if (meta && messageDiv.dataset.role === 'ai') {
+            let metaDiv = messageDiv.querySelector('.message-meta');
+            if (!metaDiv) {
+                metaDiv = document.createElement('div');
+                metaDiv.className = 'message-meta';
+                messageDiv.querySelector('.message-body')?.appendChild(metaDiv);
+            }
+            metaDiv.textContent = meta;
+        }
+
+        if (pinnedToBottom) {
+            container.scrollTop = container.scrollHeight;
+        }
+    },
+
+    /**
+     * Fill a message's content. AI replies are rendered as sanitized markdown
+     * (the editor's live preview pipeline) unless switched to plain text;
+     * everything else stays plain text.
+     */
+    renderMessageContent(messageDiv, content) {
+        const contentDiv = messageDiv.querySelector('.message-content');
+        if (!contentDiv) return;
+
+        // Markdown is rendered once the reply is complete (finalizeStreamingMessage)
+        const markdown = messageDiv.dataset.role === 'ai'
+            && !messageDiv.classList.contains('streaming')
+            && messageDiv.dataset.plain !== 'true'
+            && Boolean(window.MarkdownLivePreview);
+        contentDiv.classList.toggle('cm-live-preview', markdown);
+        contentDiv.classList.toggle('message-markdown', markdown);
+
+        if (markdown) {
+            try {
+                window.MarkdownLivePreview.render(contentDiv, content);
+                this.addCodeBlockActions(contentDiv);
+                return;
+            } catch (error) {
+                console.error('Markdown render error:', error);
+                contentDiv.classList.remove('cm-live-preview', 'message-markdown');
+            }
+        }
+        contentDiv.textContent = content;
+    },
+
+    togglePlainText(messageDiv, button) {
+        const plain = messageDiv.dataset.plain !== 'true';
+        messageDiv.dataset.plain = String(plain);
+        button.title = plain ? 'Show formatted' : 'Show plain text';
+        button.classList.toggle('active', plain);
+        this.renderMessageContent(messageDiv, messageDiv.dataset.content || '');
+    },
+
+    /**
+     * Copy, insert-at-cursor and send-to-terminal buttons on rendered code blocks
+     */
+    addCodeBlockActions(contentDiv) {
+        contentDiv.querySelectorAll('pre > code').forEach((codeElement) => {
+            const pre = codeElement.parentElement;
+            const code = codeElement.textContent || '';
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'chat-code-block';
+            pre.parentNode.insertBefore(wrapper, pre);
+            wrapper.appendChild(pre);
+
+            const actions = document.createElement('div');
+            actions.className = 'chat-code-actions';
+            actions.appendChild(this.createCodeAction('⧉', 'Copy code', (button) => this.copyMessageContent(code, button)));
+            actions.appendChild(this.createCodeAction('⤓', 'Insert at cursor', () => this.insertCodeAtCursor(code)));
+            actions.appendChild(this.createCodeAction('>_', 'Paste into terminal (does not run it)', () => this.sendCodeToTerminal(code)));
+            wrapper.appendChild(actions);
+        });
+    },
+
+    createCodeAction(icon, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'message-action-btn chat-code-btn';
+        button.title = title;
+        button.textContent = icon;
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            onClick(button);
+        });
+        return button;
+    },
+
+    insertCodeAtCursor(code) {
+        const editor = window.Editor;
+        if (!editor?.view || !editor.currentFile) {
+            this.addMessage('system', 'Open a note to insert the code into.');
+            return;
+        }
+        window.ViewManager?.showEditor();
+        editor.insertTextAtCursor(editor.view, code);
+    },
+
+    async sendCodeToTerminal(code) {
+        try {
+            const pasted = await window.TerminalUI?.pasteText(code);
+            if (!pasted) {
+                this.addMessage('system', 'No terminal is available.');
+            }
+        } catch (error) {
+            console.error('Terminal paste error:', error);
+            this.addMessage('system', `Failed to paste into the terminal: ${error.message}`);
+        }
     },
 
     getGenerationSettings() {
@@ -626,15 +1315,6 @@ const ChatUI = {
         return Object.keys(generation).length ? generation : null;
     },
 
-    applyContextWindow(context, contextWindow) {
-        if (!contextWindow || !context?.currentNote) return;
-        const maxChars = Math.max(0, Math.floor(contextWindow * 4));
-        if (!maxChars || context.currentNote.length <= maxChars) return;
-
-        const truncated = context.currentNote.slice(-maxChars);
-        context.currentNote = `…(truncated to fit context window)\n${truncated}`;
-    },
-
     async copyMessageContent(content, button) {
         try {
             if (navigator.clipboard?.writeText) {
@@ -663,17 +1343,294 @@ const ChatUI = {
         }
     },
 
-    async persistMessage(role, content, meta) {
-        if (this.isLoadingHistory) return;
-        if (!this.sessionId) return;
+    /**
+     * Save a message to the session; the stored copy is bound to messageDiv
+     * so it can be edited or regenerated
+     * @returns {Promise<object|null>} Stored message
+     */
+    async persistMessage(role, content, meta, extra = {}, messageDiv = null) {
+        if (this.isLoadingHistory) return null;
+        if (!this.sessionId) return null;
         try {
-            await window.IPC.appendChatMessage(this.sessionId, {
+            const result = await window.IPC.appendChatMessage(this.sessionId, {
+                ...extra,
                 role,
                 content,
                 meta
             });
+            if (result?.message) {
+                this.bindStoredMessage(messageDiv, result.message);
+            }
+            return result?.message || null;
         } catch (error) {
             console.error('Failed to persist chat message:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Link a rendered message to its stored copy and add the actions that
+     * need it: edit (user), regenerate (AI) and branch navigation
+     */
+    bindStoredMessage(messageDiv, message) {
+        if (!message?.id) return;
+        this.chatMessages.set(message.id, message);
+        if (!messageDiv) return;
+
+        messageDiv.dataset.chatId = message.id;
+        const actionsDiv = messageDiv.querySelector('.message-actions');
+        if (!actionsDiv) return;
+
+        if (message.siblingIds?.length > 1) {
+            actionsDiv.insertBefore(this.createBranchControls(message), actionsDiv.firstChild);
+        }
+
+        if (message.role === 'user') {
+            actionsDiv.appendChild(this.createMessageAction('✎', 'Edit and resend', () => this.editMessage(messageDiv)));
+        } else if (message.role === 'ai') {
+            actionsDiv.appendChild(this.createMessageAction('↻', 'Regenerate', (button) => this.showRegenerateMenu(button, messageDiv)));
+        }
+    },
+
+    createMessageAction(icon, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'message-action-btn';
+        button.title = title;
+        button.textContent = icon;
+        button.addEventListener('click', (event) => {
+            // Buttons live in the <summary>, which would toggle the message
+            event.preventDefault();
+            event.stopPropagation();
+            if (this.activeRequestId) return;
+            onClick(button);
+        });
+        return button;
+    },
+
+    /**
+     * ‹ 2/3 › switcher between alternative versions of a message
+     */
+    createBranchControls(message) {
+        const siblings = message.siblingIds;
+        const index = siblings.indexOf(message.id);
+
+        const container = document.createElement('span');
+        container.className = 'message-branch';
+
+        const previous = this.createMessageAction('‹', 'Previous version', () => this.switchBranch(siblings[index - 1]));
+        previous.disabled = index <= 0;
+
+        const position = document.createElement('span');
+        position.className = 'message-branch-position';
+        position.textContent = `${index + 1}/${siblings.length}`;
+
+        const next = this.createMessageAction('›', 'Next version', () => this.switchBranch(siblings[index + 1]));
+        next.disabled = index >= siblings.length - 1;
+
+        container.appendChild(previous);
+        container.appendChild(position);
+        container.appendChild(next);
+        return container;
+    },
+
+    async switchBranch(messageId) {
+        if (!messageId || !this.sessionId) return;
+        try {
+            await window.IPC.selectChatBranch(this.sessionId, messageId);
+            await this.loadSessionHistory();
+        } catch (error) {
+            console.error('Switch branch error:', error);
+        }
+    },
+
+    /**
+     * Edit a user message in place and resend it as a new branch
+     */
+    async editMessage(messageDiv) {
+        const original = this.chatMessages.get(messageDiv.dataset.chatId);
+        if (!original) return;
+
+        const content = await this.openInlineEditor(messageDiv, original.content || '');
+        if (!content || this.activeRequestId) return;
+
+        const attachments = original.attachments || [];
+        if (!this.checkAttachmentSupport(attachments)) return;
+        if (!(await this.confirmUsageBudget())) return;
+
+        this.removeMessagesFrom(messageDiv);
+        await this.sendPrompt(content, { attachments, parentId: original.parentId ?? null });
+        await this.loadSessionHistory();
+    },
+
+    /**
+     * Swap a message's text for a textarea
+     * @returns {Promise<string|null>} The edited text, or null when cancelled
+     */
+    openInlineEditor(messageDiv, content) {
+        const contentDiv = messageDiv.querySelector('.message-content');
+        if (!contentDiv || messageDiv.classList.contains('editing')) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            messageDiv.classList.add('editing');
+            messageDiv.open = true;
+
+            const editor = document.createElement('div');
+            editor.className = 'message-editor';
+
+            const textarea = document.createElement('textarea');
+            textarea.className = 'message-editor-input';
+            textarea.value = content;
+            textarea.rows = Math.min(10, content.split('\n').length + 1);
+
+            const actions = document.createElement('div');
+            actions.className = 'message-editor-actions';
+
+            const cancelBtn = document.createElement('button');
+            cancelBtn.type = 'button';
+            cancelBtn.className = 'btn-secondary';
+            cancelBtn.textContent = 'Cancel';
+
+            const sendBtn = document.createElement('button');
+            sendBtn.type = 'button';
+            sendBtn.className = 'btn-primary';
+            sendBtn.textContent = 'Send';
+
+            const finish = (value) => {
+                editor.remove();
+                messageDiv.classList.remove('editing');
+                resolve(value);
+            };
+
+            cancelBtn.addEventListener('click', () => finish(null));
+            sendBtn.addEventListener('click', () => finish(textarea.value.trim() || null));
+            textarea.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' && !event.shiftKey) {
+                    event.preventDefault();
+                    finish(textarea.value.trim() || null);
+                } else if (event.key === 'Escape') {
+                    event.preventDefault();
+                    finish(null);
+                }
+            });
+
+            actions.appendChild(cancelBtn);
+            actions.appendChild(sendBtn);
+            editor.appendChild(textarea);
+            editor.appendChild(actions);
+
+            contentDiv.parentNode.insertBefore(editor, contentDiv.nextSibling);
+            textarea.focus();
+        });
+    },
+
+    /**
+     * Pick a model from the picker to regenerate an AI reply with
+     */
+    showRegenerateMenu(button, messageDiv) {
+        document.querySelector('.message-menu')?.remove();
+        const options = Array.from(this.modelSelect?.options || []);
+        if (options.length <= 1) {
+            this.regenerateMessage(messageDiv);
+            return;
+        }
+
+        const menu = document.createElement('div');
+        menu.className = 'message-menu';
+
+        const title = document.createElement('div');
+        title.className = 'message-menu-title';
+        title.textContent = 'Regenerate with';
+        menu.appendChild(title);
+
+        const close = () => {
+            menu.remove();
+            document.removeEventListener('mousedown', onOutside, true);
+            document.removeEventListener('keydown', onKeydown, true);
+        };
+        const onOutside = (event) => {
+            if (!menu.contains(event.target)) close();
+        };
+        const onKeydown = (event) => {
+            if (event.key === 'Escape') close();
+        };
+
+        options.forEach((option) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'message-menu-item';
+            item.textContent = option.selected ? `${option.text} (current)` : option.text;
+            item.addEventListener('click', () => {
+                close();
+                this.regenerateMessage(messageDiv, option.value);
+            });
+            menu.appendChild(item);
+        });
+
+        document.body.appendChild(menu);
+        const rect = button.getBoundingClientRect();
+        menu.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - menu.offsetHeight - 8)}px`;
+        menu.style.left = `${Math.max(8, rect.right - menu.offsetWidth)}px`;
+
+        document.addEventListener('mousedown', onOutside, true);
+        document.addEventListener('keydown', onKeydown, true);
+    },
+
+    /**
+     * Answer the prompt behind an AI reply again, as a sibling of that reply
+     * @param {HTMLElement} messageDiv - The AI reply
+     * @param {string} [modelId] - Defaults to the picker's model
+     */
+    async regenerateMessage(messageDiv, modelId = null) {
+        if (this.activeRequestId || !this.sessionId) return;
+        const prompt = this.findPromptMessage(messageDiv.dataset.chatId);
+        if (!prompt) return;
+
+        const model = modelId ? this.getModelInfo(modelId) : this.getSelectedModelInfo();
+        const modelLabel = modelId
+            ? Array.from(this.modelSelect?.options || []).find(option => option.value === modelId)?.text
+            : null;
+        const attachments = prompt.attachments || [];
+        if (!this.checkAttachmentSupport(attachments, model, modelLabel)) return;
+        if (!(await this.confirmUsageBudget())) return;
+
+        try {
+            // The prompt becomes the tip, so the new reply branches off beside the old one
+            await window.IPC.selectChatBranch(this.sessionId, prompt.id, { exact: true });
+        } catch (error) {
+            console.error('Regenerate error:', error);
+            return;
+        }
+
+        const promptDiv = this.messagesContainer.querySelector(`[data-chat-id="${prompt.id}"]`);
+        if (promptDiv?.nextSibling) {
+            this.removeMessagesFrom(promptDiv.nextSibling);
+        }
+
+        await this.requestResponse(prompt.content || '', { attachments, model, modelLabel });
+        await this.loadSessionHistory();
+    },
+
+    /**
+     * Closest user message above a stored message
+     */
+    findPromptMessage(messageId) {
+        let message = this.chatMessages.get(messageId);
+        while (message && message.role !== 'user') {
+            message = this.chatMessages.get(message.parentId);
+        }
+        return message || null;
+    },
+
+    /**
+     * Remove a rendered message and everything after it
+     */
+    removeMessagesFrom(messageDiv) {
+        let node = messageDiv;
+        while (node) {
+            const next = node.nextSibling;
+            node.remove();
+            node = next;
         }
     },
 
@@ -698,6 +1655,8 @@ const ChatUI = {
     clearChat() {
         this.messagesContainer.innerHTML = '';
         this.messageCounter = 0;
+        this.chatMessages.clear();
+        this.updateSummaryIndicator(null);
         this.hideChatSearchResults();
     },
 
@@ -886,8 +1845,23 @@ const ChatUI = {
         const tokens = response?.usage?.totalTokens;
         const tokensLabel = typeof tokens === 'number' ? `${tokens} tokens` : 'tokens: n/a';
         const elapsedLabel = this.formatElapsed(response?.elapsedMs);
+        const stepCount = response?.steps?.length || 0;
+        const stepsLabel = stepCount ? ` | ${stepCount} tool step${stepCount !== 1 ? 's' : ''}` : '';
+        const cancelledLabel = response?.stopReason === 'cancelled' ? ' | cancelled' : '';
+        const redacted = response?.redacted || 0;
+        const redactedLabel = redacted ? ` | ${redacted} secret${redacted !== 1 ? 's' : ''} redacted` : '';
+        const providerLabel = this.formatProviderLabel(response);
+
+        return `${timestamp} | ${tokensLabel} | ${elapsedLabel}${stepsLabel}${cancelledLabel}${redactedLabel}${providerLabel}`;
+    },
 
-        return `${timestamp} | ${tokensLabel} | ${elapsedLabel}`;
+    /**
+     * Which provider answered, e.g. " | via ollama (llama3.1, fallback)"
+     */
+    formatProviderLabel(response) {
+        if (!response?.provider) return '';
+        const details = [response.model, response.fallback ? 'fallback' : null].filter(Boolean);
+        return ` | via ${response.provider}${details.length ? ` (${details.join(', ')})` : ''}`;
     },
 
     /**
@@ -897,49 +1871,74 @@ const ChatUI = {
         console.log('[ChatUI] Handling function calls:', response.functionCalls);
 
         for (const functionCall of response.functionCalls) {
-            const { name, args } = functionCall;
+            await this.executeFunctionCall(functionCall);
+        }
+    },
 
-            try {
-                // Show tool execution status
-                this.addMessage('system', `⚙️ Executing tool: ${name}...`);
-
-                // Execute the tool via Extension Registry
-                const result = await window.ExtensionRegistry.executeTool(name, args);
-
-                if (result.success) {
-                    let successMsg = `✅ ${result.message}`;
-
-                    if (result.filename) {
-                        successMsg += `\n\nArtifact: \`${result.filename}\``;
-                    }
-
-                    if (result.content) {
-                        successMsg += `\n\n${result.content}`;
-                    }
-
-                    if (Array.isArray(result.artifacts)) {
-                        const list = result.artifacts.map((item) => `- ${item.name}`).join('\n');
-                        successMsg += `\n\nArtifacts:\n${list || 'None'}`;
-                    }
-
-                    if (Array.isArray(result.results)) {
-                        const list = result.results.map((item) => {
-                            if (typeof item === 'string') return `- ${item}`;
-                            if (item?.name) return `- ${item.name}`;
-                            if (item?.path) return `- ${item.path}`;
-                            return `- ${JSON.stringify(item)}`;
-                        }).join('\n');
-                        successMsg += `\n\nResults:\n${list || 'None'}`;
-                    }
-                    this.addMessage('system', successMsg);
-                    await this.persistMessage('system', successMsg);
-                } else {
-                    this.addMessage('system', `❌ Tool execution failed: ${result.error || 'Unknown error'}`);
+    /**
+     * Execute a single tool call, render its status and record it in the
+     * session transcript
+     * @param {{name: string, args: object}} functionCall
+     * @param {number} [step] - Agent loop step the call belongs to
+     * @returns {Promise<object>} Tool result passed back to the model
+     */
+    async executeFunctionCall(functionCall, step = null) {
+        const { name, args } = functionCall;
+        const toolCall = { step, name, args };
+
+        try {
+            // Show tool execution status
+            this.addMessage('system', `⚙️ Executing tool: ${name}...`);
+
+            // Execute the tool via Extension Registry
+            const result = await window.ExtensionRegistry.executeTool(name, args, { requestId: this.activeRequestId });
+
+            if (result.success) {
+                let successMsg = `✅ ${result.message}`;
+
+                if (result.filename) {
+                    successMsg += `\n\nArtifact: \`${result.filename}\``;
                 }
-            } catch (error) {
-                console.error('[ChatUI] Tool execution error:', error);
-                this.addMessage('system', `❌ Failed to execute ${name}: ${error.message}`);
+
+                if (result.content) {
+                    successMsg += `\n\n${result.content}`;
+                }
+
+                if (Array.isArray(result.artifacts)) {
+                    const list = result.artifacts.map((item) => `- ${item.name}`).join('\n');
+                    successMsg += `\n\nArtifacts:\n${list || 'None'}`;
+                }
+
+                if (Array.isArray(result.results)) {
+                    const list = result.results.map((item) => {
+                        if (typeof item === 'string') return `- ${item}`;
+                        if (item?.name) return `- ${item.name}`;
+                        if (item?.path) return `- ${item.path}`;
+                        return `- ${JSON.stringify(item)}`;
+                    }).join('\n');
+                    successMsg += `\n\nResults:\n${list || 'None'}`;
+                }
+                this.addMessage('system', successMsg);
+                await this.persistMessage('system', successMsg, undefined, {
+                    toolCall: { ...toolCall, success: true }
+                });
+            } else {
+                const failureMsg = `❌ Tool execution failed: ${result.error || 'Unknown error'}`;
+                this.addMessage('system', failureMsg);
+                await this.persistMessage('system', failureMsg, undefined, {
+                    toolCall: { ...toolCall, success: false }
+                });
             }
+
+            return result;
+        } catch (error) {
+            console.error('[ChatUI] Tool execution error:', error);
+            const failureMsg = `❌ Failed to execute ${name}: ${error.message}`;
+            this.addMessage('system', failureMsg);
+            await this.persistMessage('system', failureMsg, undefined, {
+                toolCall: { ...toolCall, success: false }
+            });
+            return { success: false, error: error.message };
         }
     },
 
@@ -12,9 +12,12 @@ const ContextBuilder = {
 
     /**
      * Build context for AI message
+     * @param {object} [options]
+     * @param {string} [options.requestId] - Chat request that may summarize
+     *   older history (cancelled with it); without one only a cached summary is used
      * @returns {Promise<object>} Context object
      */
-    async buildContext() {
+    async buildContext(options = {}) {
         // Get active file information
         let activeFile = null;
         try {
@@ -27,7 +30,7 @@ const ContextBuilder = {
 
         let chatContext = null;
         try {
-            chatContext = await this.buildChatContext();
+            chatContext = await this.buildChatContext(options);
         } catch (error) {
             console.warn('Could not build chat context:', error);
         }
@@ -55,7 +58,7 @@ const ContextBuilder = {
         return context;
     },
 
-    async buildChatContext() {
+    async buildChatContext(options = {}) {
         if (!window.ChatUI?.sessionId || !window.IPC?.getChatSession) return null;
 
         let chatPrefs = null;
@@ -73,7 +76,8 @@ const ContextBuilder = {
         const session = result?.session;
         if (!session?.messages || !Array.isArray(session.messages)) return null;
 
-        const messages = session.messages;
+        // Only the active branch of the message tree is sent
+        const messages = result.thread || session.messages;
         const maxRecent = Number.isFinite(aiChat.recentMessageCount)
             ? Math.max(0, aiChat.recentMessageCount)
             : 20;
@@ -85,13 +89,42 @@ const ContextBuilder = {
         const summaryMaxChars = Number.isFinite(aiChat.summaryMaxChars)
             ? Math.max(0, aiChat.summaryMaxChars)
             : 2000;
-        const summary = summaryMaxChars > 0
-            ? this.buildChatSummary(olderMessages, summaryMaxChars)
+
+        // The model summary covers the start of the older messages; the rest
+        // are sent as a plain transcript until the summary is rolled forward
+        let modelSummary = null;
+        if (summaryMaxChars > 0 && olderMessages.length && aiChat.summarizeHistory !== false) {
+            try {
+                modelSummary = await window.IPC.getChatSummary(sessionId, {
+                    recentCount: maxRecent,
+                    maxChars: summaryMaxChars,
+                    model: window.ChatUI.getSelectedModelInfo?.() || undefined,
+                    requestId: options.requestId || undefined,
+                    cachedOnly: !options.requestId
+                });
+            } catch (error) {
+                console.warn('Chat summary failed, sending plain history:', error);
+            }
+        }
+
+        const uncovered = olderMessages.slice(modelSummary?.coveredCount || 0);
+        const transcript = summaryMaxChars > 0
+            ? this.buildChatSummary(uncovered, summaryMaxChars)
             : '';
+        const summary = modelSummary && transcript
+            ? `${modelSummary.text}\n\nLater messages:\n${transcript}`
+            : (modelSummary?.text || transcript);
 
         return {
             sessionId,
             summary,
+            summarized: modelSummary
+                ? {
+                    coveredCount: modelSummary.coveredCount,
+                    model: modelSummary.model,
+                    createdAt: modelSummary.createdAt
+                }
+                : null,
             recentMessages: recentMessages.map((msg) => ({
                 role: msg.role,
                 content: msg.content,
@@ -0,0 +1,488 @@
+/**
+ * Slash Commands
+ *
+ * Commands typed in the chat input (/summarize, /attach <file>, ...). A
+ * command returns a prompt to send in place of what was typed, or does its
+ * work directly (IPC, attachments, model picker) and returns nothing.
+ * Extensions add commands through ExtensionRegistry.registerCommand.
+ * Typing "/" opens an autocomplete list of commands, then of arguments for
+ * commands that offer completions.
+ */
+
+const MAX_SUGGESTIONS = 12;
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const SlashCommands = {
+    commands: new Map(),
+    inputField: null,
+    menu: null,
+    suggestions: [],
+    selectedIndex: 0,
+    // Drops argument completions that resolve after the input has changed
+    completionToken: 0,
+
+    /**
+     * Attach autocomplete to the chat input and register built-in commands
+     * @param {HTMLTextAreaElement} inputField
+     */
+    init(inputField) {
+        this.inputField = inputField;
+        if (!inputField) return;
+
+        this.menu = document.createElement('div');
+        this.menu.className = 'slash-menu hidden';
+        this.menu.setAttribute('role', 'listbox');
+        inputField.parentElement?.insertBefore(this.menu, inputField);
+
+        inputField.addEventListener('input', () => this.updateMenu());
+        inputField.addEventListener('blur', () => this.closeMenu());
+
+        this.registerBuiltIns();
+    },
+
+    /**
+     * Register a command
+     * @param {object} command
+     * @param {string} command.name - Lowercase, without the slash
+     * @param {string} command.description
+     * @param {string} [command.usage] - Argument hint, e.g. '<file>'
+     * @param {Function} [command.run] - (args, api) => prompt string or nothing
+     * @param {string} [command.prompt] - Template used when there is no run();
+     *   {{args}}, {{note}} and {{selection}} are filled in
+     * @param {Function} [command.complete] - (argText) => [{ value, label?, detail? }]
+     */
+    register(command) {
+        this.validate(command);
+        this.commands.set(command.name, { source: 'built-in', ...command });
+    },
+
+    /**
+     * Throw unless the command has a valid name and run() or a prompt
+     * template (also used for extension commands)
+     */
+    validate(command) {
+        if (!COMMAND_NAME_PATTERN.test(command?.name || '')) {
+            throw new Error(`Invalid command name: ${command?.name}`);
+        }
+        if (typeof command.run !== 'function' && typeof command.prompt !== 'string') {
+            throw new Error(`Command /${command.name} needs run() or a prompt template`);
+        }
+    },
+
+    /**
+     * Built-in commands plus those of enabled extensions (built-ins win on a clash)
+     */
+    getCommands() {
+        const commands = new Map();
+        (window.ExtensionRegistry?.getEnabledCommands?.() || []).forEach((command) => {
+            commands.set(command.name, { ...command, source: command.extensionId });
+        });
+        this.commands.forEach((command, name) => commands.set(name, command));
+        return Array.from(commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    findCommand(name) {
+        return this.getCommands().find((command) => command.name === name) || null;
+    },
+
+    /**
+     * Whether the text starts with a registered command. Anything else that
+     * starts with "/" (paths, routes) is an ordinary message.
+     */
+    isCommand(text) {
+        const parsed = this.parse(text);
+        return Boolean(parsed && this.findCommand(parsed.name));
+    },
+
+    /**
+     * Split "/name args" into its parts
+     */
+    parse(text) {
+        const match = String(text || '').trim().match(/^\/([\w-]+)(?:\s+([\s\S]*))?$/);
+        if (!match) return null;
+        return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+    },
+
+    /**
+     * Run the command typed in the input
+     * @returns {Promise<string|null>} Prompt to send, or null when there is nothing to send
+     */
+    async execute(text) {
+        const parsed = this.parse(text);
+        const command = parsed ? this.findCommand(parsed.name) : null;
+        if (!command) {
+            this.reply(`Unknown command /${parsed?.name || ''}. Type /help to list commands.`);
+            return null;
+        }
+
+        try {
+            const result = typeof command.run === 'function'
+                ? await command.run(parsed.args, this.createApi())
+                : this.expandTemplate(command.prompt, parsed.args);
+            return typeof result === 'string' && result.trim() ? result.trim() : null;
+        } catch (error) {
+            console.error('Slash command error:', error);
+            this.reply(`/${command.name} failed: ${error.message}`);
+            return null;
+        }
+    },
+
+    /**
+     * What a command handler can use besides the globals
+     */
+    createApi() {
+        return {
+            ChatUI: window.ChatUI,
+            ContextBuilder: window.ContextBuilder,
+            IPC: window.IPC,
+            reply: (text) => this.reply(text),
+            attachFile: (filePath) => window.ChatAttachments?.addFile(filePath),
+            getCurrentNote: () => this.getCurrentNote(),
+            getSelection: () => this.getSelection()
+        };
+    },
+
+    reply(text) {
+        window.ChatUI?.addMessage('system', text);
+    },
+
+    getCurrentNote() {
+        return {
+            path: window.Editor?.currentFile || null,
+            content: window.ContextBuilder?.getContent?.() || ''
+        };
+    },
+
+    /**
+     * Text selected in the editor, or an empty string
+     */
+    getSelection() {
+        const state = window.Editor?.view?.state;
+        if (!state) return '';
+        const { from, to } = state.selection.main;
+        return from === to ? '' : state.sliceDoc(from, to);
+    },
+
+    expandTemplate(template, args) {
+        const values = {
+            args,
+            note: this.getCurrentNote().path || '',
+            selection: this.getSelection()
+        };
+        return String(template || '').replace(/\{\{(args|note|selection)\}\}/g, (_match, key) => values[key]);
+    },
+
+    /**
+     * Wrap text in a code fence longer than any backtick run inside it
+     */
+    fence(text) {
+        let fence = '```';
+        while (text.includes(fence)) fence += '`';
+        return `${fence}\n${text}\n${fence}`;
+    },
+
+    slugify(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60);
+    },
+
+    registerBuiltIns() {
+        this.register({
+            name: 'help',
+            description: 'List the available commands',
+            run: (_args, api) => {
+                const lines = this.getCommands().map((command) => {
+                    const usage = command.usage ? ` ${command.usage}` : '';
+                    const source = command.source !== 'built-in' ? ` (${command.source})` : '';
+                    return `/${command.name}${usage} — ${command.description || ''}${source}`;
+                });
+                api.reply(lines.join('\n'));
+            }
+        });
+
+        this.register({
+            name: 'summarize',
+            description: 'Summarize the current note',
+            usage: '[focus]',
+            run: (args, api) => {
+                const note = api.getCurrentNote();
+                if (!note.content.trim()) {
+                    api.reply('Open a note to summarize first.');
+                    return null;
+                }
+                const focus = args ? `, focusing on ${args}` : '';
+                return `Summarize the current note${note.path ? ` (${note.path})` : ''}${focus}. `
+                    + 'Keep the key findings, affected assets and open questions.';
+            }
+        });
+
+        this.register({
+            name: 'report',
+            description: 'Draft a vulnerability report from the current note',
+            usage: '[title]',
+            run: (args, api) => {
+                if (!api.getCurrentNote().content.trim()) {
+                    api.reply('Open the note with your findings first.');
+                    return null;
+                }
+                const title = args ? ` titled "${args}"` : '';
+                return `Write a vulnerability report${title} from the current note. `
+                    + 'Use these sections: Title, Severity, Summary, Affected Asset, Steps to Reproduce, '
+                    + 'Impact, Remediation, References. Only state what the note supports and mark missing details as TODO.';
+            }
+        });
+
+        this.register({
+            name: 'explain-selection',
+            description: 'Explain the text selected in the editor',
+            usage: '[question]',
+            run: (args, api) => {
+                const selection = api.getSelection();
+                if (!selection.trim()) {
+                    api.reply('Select some text in the editor first.');
+                    return null;
+                }
+                const source = api.getCurrentNote().path || 'the current note';
+                const question = args ? ` ${args}` : '';
+                return `Explain this excerpt from ${source}.${question}\n\n${this.fence(selection)}`;
+            }
+        });
+
+        this.register({
+            name: 'new-finding',
+            description: 'Create a finding note from a template and open it',
+            usage: '<title>',
+            run: async (args, api) => {
+                const slug = this.slugify(args);
+                if (!slug) {
+                    api.reply('Usage: /new-finding <title>');
+                    return null;
+                }
+
+                const result = await api.IPC.createFile(`findings/${slug}`);
+                const filename = result?.filename || `findings/${slug}.md`;
+                const frontMatter = await api.IPC.readFile(filename) || '';
+                const sections = ['Severity', 'Affected Asset', 'Description', 'Steps to Reproduce', 'Impact', 'Remediation', 'Evidence'];
+                const body = sections.map((section) => `## ${section}\n\n`).join('');
+                await api.IPC.writeFile(filename, `${frontMatter.trimEnd()}\n\n# ${args}\n\n${body}`);
+
+                await window.NotesUI?.refresh();
+                await window.NotesUI?.openFile(filename, window.NotesUI.findItemByName?.(filename));
+                api.reply(`Created ${filename}.`);
+                return null;
+            }
+        });
+
+        this.register({
+            name: 'attach',
+            description: 'Attach a workspace file to the next message',
+            usage: '<file>',
+            complete: async (argText) => {
+                const { files = [] } = await window.IPC.listFiles() || {};
+                const query = argText.toLowerCase();
+                return files
+                    .filter((filePath) => filePath.toLowerCase().includes(query))
+                    .map((filePath) => ({ value: filePath }));
+            },
+            run: async (args, api) => {
+                if (!args) {
+                    api.reply('Usage: /attach <file>');
+                    return null;
+                }
+                const { files = [] } = await api.IPC.listFiles() || {};
+                if (!files.includes(args)) {
+                    api.reply(`${args} is not a file in this workspace.`);
+                    return null;
+                }
+                await api.attachFile(args);
+                return null;
+            }
+        });
+
+        this.register({
+            name: 'model',
+            description: 'Switch the chat model',
+            usage: '<id>',
+            complete: (argText) => {
+                const query = argText.toLowerCase();
+                return Array.from(window.ChatUI?.modelSelect?.options || [])
+                    .filter((option) => option.value.toLowerCase().includes(query)
+                        || option.text.toLowerCase().includes(query))
+                    .map((option) => ({ value: option.value, label: option.value, detail: option.text }));
+            },
+            run: (args, api) => {
+                const select = api.ChatUI?.modelSelect;
+                const option = Array.from(select?.options || []).find((item) => item.value === args);
+                if (!option) {
+                    api.reply(args ? `Unknown model ${args}.` : 'Usage: /model <id>');
+                    return null;
+                }
+                select.value = option.value;
+                select.dispatchEvent(new Event('change'));
+                api.reply(`Model set to ${api.ChatUI.getSelectedModelLabel() || option.value}.`);
+                return null;
+            }
+        });
+    },
+
+    /**
+     * Refresh suggestions for the current input: command names while the
+     * name is typed, then the command's argument completions
+     */
+    async updateMenu() {
+        const text = this.inputField?.value || '';
+        const token = ++this.completionToken;
+
+        if (!text.startsWith('/') || text.includes('\n')) {
+            this.closeMenu();
+            return;
+        }
+
+        const spaceIndex = text.indexOf(' ');
+        let suggestions = [];
+
+        if (spaceIndex === -1) {
+            const prefix = text.slice(1).toLowerCase();
+            suggestions = this.getCommands()
+                .filter((command) => command.name.startsWith(prefix))
+                .map((command) => ({
+                    label: `/${command.name}${command.usage ? ` ${command.usage}` : ''}`,
+                    detail: command.description,
+                    source: command.source !== 'built-in' ? command.source : '',
+                    value: command.usage ? `/${command.name} ` : `/${command.name}`
+                }));
+        } else {
+            const command = this.findCommand(text.slice(1, spaceIndex).toLowerCase());
+            if (typeof command?.complete !== 'function') {
+                this.closeMenu();
+                return;
+            }
+            try {
+                const values = await command.complete(text.slice(spaceIndex + 1).trimStart()) || [];
+                suggestions = values.map((item) => ({
+                    label: item.label || item.value,
+                    detail: item.detail || '',
+                    value: `/${command.name} ${item.value}`
+                }));
+            } catch (error) {
+                console.error('Slash command completion error:', error);
+            }
+        }
+
+        // The input changed while completions were loading
+        if (token !== this.completionToken) return;
+
+        this.suggestions = suggestions.slice(0, MAX_SUGGESTIONS);
+        this.selectedIndex = 0;
+        this.renderMenu();
+    },
+
+    renderMenu() {
+        if (!this.menu) return;
+        this.menu.innerHTML = '';
+
+        if (!this.suggestions.length) {
+            this.menu.classList.add('hidden');
+            return;
+        }
+
+        this.suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('div');
+            item.className = `slash-menu-item ${index === this.selectedIndex ? 'selected' : ''}`;
+            item.setAttribute('role', 'option');
+
+            const label = document.createElement('span');
+            label.className = 'slash-menu-label';
+            label.textContent = suggestion.label;
+            item.appendChild(label);
+
+            if (suggestion.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'slash-menu-detail';
+                detail.textContent = suggestion.detail;
+                item.appendChild(detail);
+            }
+
+            if (suggestion.source) {
+                const source = document.createElement('span');
+                source.className = 'slash-menu-source';
+                source.textContent = suggestion.source;
+                item.appendChild(source);
+            }
+
+            // mousedown so the input keeps focus
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this.accept(suggestion);
+            });
+            this.menu.appendChild(item);
+        });
+
+        this.menu.classList.remove('hidden');
+        this.menu.children[this.selectedIndex]?.scrollIntoView({ block: 'nearest' });
+    },
+
+    closeMenu() {
+        this.suggestions = [];
+        this.menu?.classList.add('hidden');
+    },
+
+    isMenuOpen() {
+        return Boolean(this.menu && !this.menu.classList.contains('hidden') && this.suggestions.length);
+    },
+
+    accept(suggestion) {
+        this.inputField.value = suggestion.value;
+        this.inputField.focus();
+        this.inputField.setSelectionRange(suggestion.value.length, suggestion.value.length);
+        // Resizes the input and lists the argument completions, if any
+        this.inputField.dispatchEvent(new Event('input'));
+    },
+
+    /**
+     * Menu navigation from the input's keydown handler
+     * @returns {boolean} Whether the key was handled (ChatUI then ignores it)
+     */
+    handleKeydown(event) {
+        if (!this.isMenuOpen()) return false;
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                const count = this.suggestions.length;
+                this.selectedIndex = (this.selectedIndex + step + count) % count;
+                this.renderMenu();
+                break;
+            }
+            case 'Tab':
+                this.accept(this.suggestions[this.selectedIndex]);
+                break;
+            case 'Enter': {
+                if (event.shiftKey) return false;
+                const suggestion = this.suggestions[this.selectedIndex];
+                // Already typed out: let Enter send it
+                if (suggestion.value.trim() === this.inputField.value.trim()) {
+                    this.closeMenu();
+                    return false;
+                }
+                this.accept(suggestion);
+                break;
+            }
+            case 'Escape':
+                this.closeMenu();
+                break;
+            default:
+                return false;
+        }
+
+        event.preventDefault();
+        return true;
+    }
+};
+
+// Export globally
+window.SlashCommands = SlashCommands;
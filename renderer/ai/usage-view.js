@@ -0,0 +1,151 @@
+/**
+ * AI Usage View
+ *
+ * Center view with token and cost totals from the workspace usage ledger,
+ * broken down per day, per model and per chat.
+ */
+
+const UsageView = {
+    openButton: null,
+    rangeSelect: null,
+    refreshButton: null,
+    content: null,
+
+    init() {
+        this.openButton = document.getElementById('ai-usage-btn');
+        this.rangeSelect = document.getElementById('usage-range');
+        this.refreshButton = document.getElementById('usage-refresh');
+        this.content = document.getElementById('usage-main-content');
+
+        this.openButton?.addEventListener('click', () => this.open());
+        this.rangeSelect?.addEventListener('change', () => this.load());
+        this.refreshButton?.addEventListener('click', () => this.load());
+    },
+
+    async open() {
+        window.ViewManager?.showUsage();
+        await this.load();
+    },
+
+    /**
+     * ISO timestamp for the selected range, or null for all time
+     */
+    getSince() {
+        const days = Number(this.rangeSelect?.value);
+        if (!days) return null;
+        const since = new Date();
+        since.setHours(0, 0, 0, 0);
+        since.setDate(since.getDate() - (days - 1));
+        return since.toISOString();
+    },
+
+    async load() {
+        if (!this.content) return;
+
+        try {
+            const summary = await window.IPC.getUsageSummary({ since: this.getSince() });
+            this.render(summary);
+        } catch (error) {
+            console.error('Usage summary error:', error);
+            this.content.textContent = 'Failed to load usage.';
+        }
+    },
+
+    formatCost(bucket) {
+        if (bucket.requests > 0 && bucket.unpricedRequests === bucket.requests) return '—';
+        const cost = `$${bucket.cost.toFixed(bucket.cost < 1 ? 4 : 2)}`;
+        return bucket.unpricedRequests ? `${cost}*` : cost;
+    },
+
+    formatNumber(value) {
+        return Number(value || 0).toLocaleString();
+    },
+
+    getSessionTitle(sessionId) {
+        if (sessionId === 'none') return 'No chat';
+        const session = window.ChatUI?.sessions?.find(item => item.id === sessionId);
+        return session?.title || sessionId;
+    },
+
+    render(summary) {
+        this.content.innerHTML = '';
+
+        if (!summary?.total?.requests) {
+            const empty = document.createElement('div');
+            empty.className = 'usage-empty';
+            empty.textContent = 'No AI requests recorded for this period.';
+            this.content.appendChild(empty);
+            return;
+        }
+
+        const totals = document.createElement('div');
+        totals.className = 'usage-totals';
+        [
+            ['Requests', this.formatNumber(summary.total.requests)],
+            ['Tokens', this.formatNumber(summary.total.totalTokens)],
+            ['Cost', this.formatCost(summary.total)],
+            ['Avg latency', `${(summary.total.elapsedMs / summary.total.requests / 1000).toFixed(1)}s`]
+        ].forEach(([label, value]) => {
+            const card = document.createElement('div');
+            card.className = 'usage-total';
+            const valueEl = document.createElement('div');
+            valueEl.className = 'usage-total-value';
+            valueEl.textContent = value;
+            const labelEl = document.createElement('div');
+            labelEl.className = 'usage-total-label';
+            labelEl.textContent = label;
+            card.appendChild(valueEl);
+            card.appendChild(labelEl);
+            totals.appendChild(card);
+        });
+        this.content.appendChild(totals);
+
+        this.renderTable('Per day', 'Day', summary.byDay);
+        this.renderTable('Per model', 'Model', summary.byModel);
+        this.renderTable('Per chat', 'Chat', summary.bySession, (key) => this.getSessionTitle(key));
+
+        if (summary.total.unpricedRequests) {
+            const note = document.createElement('div');
+            note.className = 'field-description';
+            note.textContent = '* Some requests have no pricing. Set prices in System Preferences → AI Usage.';
+            this.content.appendChild(note);
+        }
+    },
+
+    renderTable(title, keyLabel, buckets, formatKey = (key) => key) {
+        const heading = document.createElement('div');
+        heading.className = 'extensions-detail-section-title';
+        heading.textContent = title;
+        this.content.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.className = 'usage-table';
+
+        const headRow = table.createTHead().insertRow();
+        [keyLabel, 'Requests', 'Input', 'Output', 'Total', 'Cost'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        buckets.forEach(bucket => {
+            const row = body.insertRow();
+            [
+                formatKey(bucket.key),
+                this.formatNumber(bucket.requests),
+                this.formatNumber(bucket.promptTokens),
+                this.formatNumber(bucket.responseTokens),
+                this.formatNumber(bucket.totalTokens),
+                this.formatCost(bucket)
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+
+        this.content.appendChild(table);
+    }
+};
+
+// Export globally
+window.UsageView = UsageView;
@@ -20,6 +20,8 @@ import { tags as t } from '@lezer/highlight';
 import IPC from '../utils/ipc-client.js';
 import Dialog from '../utils/dialog.js';
 import MarkdownLivePreview from './markdown-live-preview.js';
+import InlineDiff from './inline-diff.js';
+import InlineCompletion from './inline-completion.js';
 
 const customTheme = EditorView.theme({
     '&': {
@@ -94,6 +96,8 @@ const CodeMirrorEditor = {
     isDirty: false,
     autoSaveTimer: null,
     onChangeCallback: null,
+    pendingReviews: new Map(), // proposalId -> { filename, remaining, accepted, rejected, resolve }
+    reviewCounter: 0,
 
     /**
      * Initialize CodeMirror 6 editor
@@ -123,6 +127,8 @@ const CodeMirrorEditor = {
             customTheme,
             syntaxHighlighting(markdownHighlightStyle, { fallback: true }),
             this.previewCompartment.of(MarkdownLivePreview.extension),
+            InlineDiff.extension,
+            InlineCompletion.extension,
             this.languageCompartment.of([]),
             this.wrapCompartment.of(EditorView.lineWrapping),
             keymap.of([
@@ -229,6 +235,13 @@ const CodeMirrorEditor = {
 
         // Initialize live preview helpers
         MarkdownLivePreview.init();
+        InlineDiff.init({
+            onResolve: (hunk, accepted) => this.handleHunkResolved(hunk, accepted)
+        });
+        InlineCompletion.init();
+
+        // Kept for the states of newly opened tabs
+        this.extensions = extensions;
 
         // Create editor state
         const state = EditorState.create({
@@ -327,7 +340,9 @@ const CodeMirrorEditor = {
 
             // If content is provided and different (e.g. external update), we might want to update the doc
             // But checking differences is expensive. Let's assume passed content is authoritative for "loadFile"
-            if (content !== undefined) {
+            if (content !== undefined && content !== this.getContent()) {
+                // Pending AI edits no longer match the reloaded text
+                this.cancelReviews(filename);
                 const view = this.view;
                 if (view) {
                     const length = view.state.doc.length;
@@ -344,33 +359,16 @@ const CodeMirrorEditor = {
                 // We don't remove it, just update state
             }
 
-            // Create new state for new file
-            // We need to use existing extensions
-            // Be careful: some extensions might be instance specific?
-            // Extensions like 'EditorView.updateListener' close over 'this'.
-            // That's fine as 'this' is the singleton CodeMirrorEditor.
-
-            // Helper to get extensions (recreate or reuse?)
-            // We can reuse the same extensions array from init() if we stored it?
-            // But we didn't store it. Let's extract extensions creation or just grab current state's extensions?
-            // State.create({ extensions: [...] })
-            // Better to factor out extension creation.
-            // For now, let's grab them from current view if possible, or re-create simple ones.
-            // Actually, best to just update key fields and doc.
-
-            // Logic:
-            // 1. Add to orderedTabs
             this.orderedTabs.push(filename);
-            this.tabs.set(filename, { state: null }); // Placeholder
-
-            // 2. Set current file
             this.currentFile = filename;
 
-            // 3. Update editor content (this will effectively "create" the state in the view)
+            // A fresh state, so the previous tab's history and pending
+            // review hunks stay with that tab
             if (this.view) {
-                this.setContent(content);
-                // Now capture this new state
+                this.view.setState(this.createTabState(content));
                 this.tabs.set(filename, { state: this.view.state });
+            } else {
+                this.tabs.set(filename, { state: null });
             }
 
             this.isDirty = false;
@@ -406,6 +404,25 @@ const CodeMirrorEditor = {
         this.persistTabsState();
     },
 
+    /**
+     * Editor state for a newly opened tab, with the current wrap and preview
+     * settings
+     */
+    createTabState(content) {
+        const state = EditorState.create({
+            doc: content || '',
+            extensions: this.extensions
+        });
+        return state.update({
+            effects: [
+                this.wrapCompartment.reconfigure(this.wrapEnabled ? EditorView.lineWrapping : []),
+                this.previewCompartment.reconfigure(
+                    this.previewEnabled && this.pendingReviews.size === 0 ? MarkdownLivePreview.extension : []
+                )
+            ]
+        }).state;
+    },
+
     switchTab(filename) {
         if (filename === this.currentFile) return;
 
@@ -446,6 +463,8 @@ const CodeMirrorEditor = {
     },
 
     closeTab(filename) {
+        this.cancelReviews(filename);
+
         // Remove from data
         this.tabs.delete(filename);
         const idx = this.orderedTabs.indexOf(filename);
@@ -474,6 +493,7 @@ const CodeMirrorEditor = {
     },
 
     closeAllTabs() {
+        this.cancelReviews();
         this.tabs.clear();
         this.orderedTabs = [];
         this.currentFile = null;
@@ -487,7 +507,10 @@ const CodeMirrorEditor = {
     closeOtherTabs(filename) {
         const keep = new Set([filename]);
         for (const key of Array.from(this.tabs.keys())) {
-            if (!keep.has(key)) this.tabs.delete(key);
+            if (!keep.has(key)) {
+                this.cancelReviews(key);
+                this.tabs.delete(key);
+            }
         }
         this.orderedTabs = this.orderedTabs.filter((tab) => keep.has(tab));
         if (this.currentFile !== filename) {
@@ -805,8 +828,9 @@ const CodeMirrorEditor = {
     updatePreviewMode() {
         if (this.view) {
             this.view.dispatch({
+                // Rendered blocks would hide the lines of a pending diff
                 effects: this.previewCompartment.reconfigure(
-                    this.previewEnabled ? MarkdownLivePreview.extension : []
+                    this.previewEnabled && this.pendingReviews.size === 0 ? MarkdownLivePreview.extension : []
                 )
             });
         }
@@ -818,6 +842,94 @@ const CodeMirrorEditor = {
         previewBtn.textContent = this.previewEnabled ? 'Preview: On' : 'Preview: Off';
     },
 
+    /**
+     * Let the user review an AI edit to a note hunk by hunk. Resolves once
+     * every hunk is accepted or rejected; only accepted hunks are saved.
+     * @param {string} filename
+     * @param {object} edit - See file:preview-edit
+     * @param {string} [label] - Shown on each hunk
+     * @returns {Promise<{filename, accepted, rejected}>}
+     */
+    async reviewEdit(filename, edit, label = '') {
+        let preview = await IPC.previewNoteEdit(filename, edit);
+
+        if (this.currentFile !== preview.filename) {
+            await window.NotesUI.openFile(preview.filename);
+        } else if (this.isDirty) {
+            await this.autoSave();
+        }
+
+        if (this.currentFile !== preview.filename) {
+            throw new Error(`Could not open ${preview.filename}`);
+        }
+
+        // The editor must match the text the edit was computed from
+        if (this.getContent() !== preview.original) {
+            preview = await IPC.previewNoteEdit(preview.filename, edit);
+            if (this.getContent() !== preview.original) {
+                throw new Error(`${preview.filename} has unsaved changes`);
+            }
+        }
+
+        this.reviewCounter += 1;
+        const proposalId = `edit-${this.reviewCounter}`;
+        const hunkCount = InlineDiff.propose(this.view, proposalId, preview.proposed, label);
+        if (!hunkCount) {
+            return { filename: preview.filename, accepted: 0, rejected: 0 };
+        }
+
+        return new Promise((resolve) => {
+            this.pendingReviews.set(proposalId, {
+                filename: preview.filename,
+                remaining: hunkCount,
+                accepted: 0,
+                rejected: 0,
+                resolve
+            });
+            this.updatePreviewMode();
+        });
+    },
+
+    async handleHunkResolved(hunk, accepted) {
+        const review = this.pendingReviews.get(hunk.proposalId);
+        if (!review) return;
+
+        review.remaining -= 1;
+        if (accepted) {
+            review.accepted += 1;
+        } else {
+            review.rejected += 1;
+        }
+        if (review.remaining > 0) return;
+
+        this.pendingReviews.delete(hunk.proposalId);
+        if (review.accepted && this.isDirty && this.currentFile === review.filename) {
+            clearTimeout(this.autoSaveTimer);
+            await this.autoSave();
+        }
+        this.updatePreviewMode();
+        review.resolve({ filename: review.filename, accepted: review.accepted, rejected: review.rejected });
+    },
+
+    /**
+     * Reject the unreviewed hunks of a file (or every file) whose tab is closed
+     */
+    cancelReviews(filename = null) {
+        for (const [proposalId, review] of this.pendingReviews) {
+            if (filename && review.filename !== filename) continue;
+            this.pendingReviews.delete(proposalId);
+            if (this.view) {
+                InlineDiff.discard(this.view, proposalId);
+            }
+            review.resolve({
+                filename: review.filename,
+                accepted: review.accepted,
+                rejected: review.rejected + review.remaining
+            });
+        }
+        this.updatePreviewMode();
+    },
+
     /**
      * Undo last saved version (file history)
      */
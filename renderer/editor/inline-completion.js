@@ -0,0 +1,246 @@
+/**
+ * Inline Completion
+ * After a pause in typing at the end of a line, asks the active AI provider
+ * for a short continuation and shows it as ghost text at the cursor. Tab
+ * accepts it, Escape or moving the cursor drops it, and typing what it
+ * suggests keeps the rest. A newer keystroke cancels the request in flight.
+ * Opt-in through the aiCompletion system preferences.
+ */
+
+import { Decoration, EditorView, ViewPlugin, WidgetType, keymap } from '@codemirror/view';
+import { Prec, StateEffect, StateField } from '@codemirror/state';
+import IPC from '../utils/ipc-client.js';
+import SettingsIPC from '../utils/settings-ipc.js';
+
+const DEFAULT_DEBOUNCE_MS = 800;
+const PREFIX_CHARS = 4000;
+const SUFFIX_CHARS = 1000;
+
+const setSuggestionEffect = StateEffect.define();
+
+let settings = { enabled: false, debounceMs: DEFAULT_DEBOUNCE_MS };
+let requestCounter = 0;
+
+class GhostTextWidget extends WidgetType {
+    constructor(text) {
+        super();
+        this.text = text;
+    }
+
+    eq(other) {
+        return other.text === this.text;
+    }
+
+    toDOM() {
+        const span = document.createElement('span');
+        span.className = 'cm-ghost-text';
+        span.textContent = this.text;
+        return span;
+    }
+
+    ignoreEvent() {
+        return false;
+    }
+}
+
+/**
+ * The suggestion shown at the cursor: { pos, text } or null
+ */
+const suggestionField = StateField.define({
+    create() {
+        return null;
+    },
+    update(value, transaction) {
+        for (const effect of transaction.effects) {
+            if (effect.is(setSuggestionEffect)) return effect.value;
+        }
+        if (!value) return value;
+
+        if (transaction.docChanged) {
+            // Typing the start of the suggestion keeps the rest of it
+            let typed = null;
+            let changeCount = 0;
+            transaction.changes.iterChanges((fromA, toA, _fromB, _toB, inserted) => {
+                changeCount += 1;
+                if (fromA === value.pos && toA === value.pos) typed = inserted.toString();
+            });
+            if (changeCount === 1 && typed && value.text.length > typed.length && value.text.startsWith(typed)) {
+                return { pos: value.pos + typed.length, text: value.text.slice(typed.length) };
+            }
+            return null;
+        }
+
+        if (transaction.selection && transaction.state.selection.main.head !== value.pos) {
+            return null;
+        }
+        return value;
+    },
+    provide: (field) => EditorView.decorations.from(field, (value) => (value
+        ? Decoration.set([Decoration.widget({ widget: new GhostTextWidget(value.text), side: 1 }).range(value.pos)])
+        : Decoration.none))
+});
+
+function getFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+    return match ? match[1] : '';
+}
+
+/**
+ * Headings that contain the cursor, outermost first
+ */
+function getHeadingTrail(text) {
+    const trail = [];
+    let inFence = false;
+    text.split('\n').forEach((line) => {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        if (inFence) return;
+        const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (!match) return;
+        const level = match[1].length;
+        while (trail.length && trail[trail.length - 1].level >= level) trail.pop();
+        trail.push({ level, text: match[2] });
+    });
+    return trail.map((heading) => `${'#'.repeat(heading.level)} ${heading.text}`);
+}
+
+/**
+ * Completion request for the cursor, or null when the cursor is not at the
+ * end of a line with text before it (or is inside the front matter)
+ */
+function buildRequest(state) {
+    const range = state.selection.main;
+    if (!range.empty) return null;
+
+    const line = state.doc.lineAt(range.head);
+    if (line.text.slice(range.head - line.from).trim()) return null;
+
+    const before = state.sliceDoc(0, range.head);
+    if (!before.trim()) return null;
+
+    const frontMatter = getFrontMatter(before);
+    const frontMatterEnd = frontMatter ? before.indexOf('\n---', 3) + 4 : 0;
+    if (frontMatter && range.head <= frontMatterEnd) return null;
+    // Inside an unterminated front matter block
+    if (!frontMatter && /^---\r?\n/.test(before)) return null;
+
+    return {
+        prefix: before.slice(Math.max(frontMatterEnd, before.length - PREFIX_CHARS)),
+        suffix: state.sliceDoc(range.head, range.head + SUFFIX_CHARS),
+        frontMatter,
+        headings: getHeadingTrail(before.slice(frontMatterEnd)),
+        filename: window.Editor?.currentFile || null,
+        model: window.ChatUI?.getSelectedModelInfo?.() || null
+    };
+}
+
+const completionPlugin = ViewPlugin.fromClass(class {
+    constructor(view) {
+        this.view = view;
+        this.timer = null;
+        this.requestId = null;
+    }
+
+    update(update) {
+        if (!update.docChanged && !update.selectionSet) return;
+        this.cancel();
+
+        const typed = update.transactions.some((transaction) => transaction.isUserEvent('input')
+            || transaction.isUserEvent('delete'));
+        if (update.docChanged && typed && settings.enabled) {
+            this.timer = setTimeout(() => this.request(), settings.debounceMs);
+        }
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.requestId) {
+            IPC.cancelAIMessage(this.requestId).catch(() => { });
+            this.requestId = null;
+        }
+    }
+
+    async request() {
+        this.timer = null;
+        const { state } = this.view;
+        const request = buildRequest(state);
+        if (!request) return;
+
+        const requestId = `completion-${Date.now()}-${++requestCounter}`;
+        this.requestId = requestId;
+
+        try {
+            const result = await IPC.completeInline(requestId, request);
+            // Superseded, or the document or cursor changed meanwhile
+            if (this.requestId !== requestId || this.view.state.doc !== state.doc) return;
+            this.requestId = null;
+
+            const pos = state.selection.main.head;
+            if (!result?.text || this.view.state.selection.main.head !== pos) return;
+            this.view.dispatch({ effects: setSuggestionEffect.of({ pos, text: result.text }) });
+        } catch (error) {
+            console.error('Inline completion error:', error);
+        } finally {
+            if (this.requestId === requestId) this.requestId = null;
+        }
+    }
+
+    destroy() {
+        this.cancel();
+    }
+});
+
+function acceptSuggestion(view) {
+    const suggestion = view.state.field(suggestionField, false);
+    if (!suggestion) return false;
+
+    const end = suggestion.pos + suggestion.text.length;
+    view.dispatch({
+        changes: { from: suggestion.pos, insert: suggestion.text },
+        selection: { anchor: end },
+        effects: setSuggestionEffect.of(null),
+        userEvent: 'input.complete'
+    });
+    return true;
+}
+
+function dismissSuggestion(view) {
+    if (!view.state.field(suggestionField, false)) return false;
+    view.dispatch({ effects: setSuggestionEffect.of(null) });
+    return true;
+}
+
+const InlineCompletion = {
+    extension: [
+        suggestionField,
+        completionPlugin,
+        Prec.highest(keymap.of([
+            { key: 'Tab', run: acceptSuggestion },
+            { key: 'Escape', run: dismissSuggestion }
+        ]))
+    ],
+
+    async init() {
+        await this.refreshSettings();
+    },
+
+    /**
+     * Reload aiCompletion preferences (called after preferences are saved)
+     */
+    async refreshSettings() {
+        try {
+            const prefs = await SettingsIPC.getSystemPreferences();
+            const aiCompletion = prefs?.aiCompletion || {};
+            settings = {
+                enabled: aiCompletion.enabled === true,
+                debounceMs: Math.max(200, Number(aiCompletion.debounceMs) || DEFAULT_DEBOUNCE_MS)
+            };
+        } catch (error) {
+            console.warn('Failed to load inline completion settings:', error);
+        }
+    }
+};
+
+window.InlineCompletion = InlineCompletion;
+
+export default InlineCompletion;
@@ -0,0 +1,265 @@
+/**
+ * Inline Diff
+ * Shows a proposed edit as hunks in the editor: removed lines are highlighted
+ * in place and their replacement is rendered below with Accept / Reject.
+ * The document only changes when a hunk is accepted.
+ */
+
+import { Decoration, EditorView, WidgetType } from '@codemirror/view';
+import { StateEffect, StateField } from '@codemirror/state';
+
+// Above this many line comparisons the changed region becomes a single hunk
+const MAX_DIFF_CELLS = 4000000;
+
+const addHunksEffect = StateEffect.define();
+const removeHunkEffect = StateEffect.define();
+const discardProposalEffect = StateEffect.define();
+
+let resolveHandler = () => { };
+
+/**
+ * Lines including their line break, so offsets add up to the text length
+ */
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Pairs of equal line indexes (longest common subsequence)
+ */
+function matchLines(a, b, start, endA, endB) {
+    const n = endA - start;
+    const m = endB - start;
+    const matches = [];
+    if (n === 0 || m === 0 || n * m > MAX_DIFF_CELLS) return matches;
+
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i -= 1) {
+        for (let j = m - 1; j >= 0; j -= 1) {
+            table[i][j] = a[start + i] === b[start + j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[start + i] === b[start + j]) {
+            matches.push([start + i, start + j]);
+            i += 1;
+            j += 1;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            i += 1;
+        } else {
+            j += 1;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Line diff of two texts
+ * @returns {Array<{from: number, to: number, insert: string}>} Offsets into original
+ */
+function computeHunks(original, proposed) {
+    const a = splitLines(original);
+    const b = splitLines(proposed);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA -= 1;
+        endB -= 1;
+    }
+
+    const offsets = [0];
+    a.forEach(line => offsets.push(offsets[offsets.length - 1] + line.length));
+
+    const hunks = [];
+    let prevA = start;
+    let prevB = start;
+    [...matchLines(a, b, start, endA, endB), [endA, endB]].forEach(([indexA, indexB]) => {
+        if (indexA > prevA || indexB > prevB) {
+            hunks.push({
+                from: offsets[prevA],
+                to: offsets[indexA],
+                insert: b.slice(prevB, indexB).join('')
+            });
+        }
+        prevA = indexA + 1;
+        prevB = indexB + 1;
+    });
+    return hunks;
+}
+
+class HunkWidget extends WidgetType {
+    constructor(hunk) {
+        super();
+        this.hunk = hunk;
+    }
+
+    eq(other) {
+        return other.hunk.id === this.hunk.id;
+    }
+
+    toDOM(view) {
+        const container = document.createElement('div');
+        container.className = 'cm-diff-hunk';
+
+        if (this.hunk.insert) {
+            const inserted = document.createElement('pre');
+            inserted.className = 'cm-diff-inserted';
+            inserted.textContent = this.hunk.insert.replace(/\n$/, '');
+            container.appendChild(inserted);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'cm-diff-actions';
+
+        const label = document.createElement('span');
+        label.className = 'cm-diff-label';
+        label.textContent = this.hunk.label || 'AI edit';
+        actions.appendChild(label);
+
+        [['Accept', true], ['Reject', false]].forEach(([text, accept]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = accept ? 'cm-diff-accept' : 'cm-diff-reject';
+            button.textContent = text;
+            button.addEventListener('click', () => InlineDiff.resolveHunk(view, this.hunk.id, accept));
+            actions.appendChild(button);
+        });
+
+        container.appendChild(actions);
+        return container;
+    }
+
+    ignoreEvent() {
+        return true;
+    }
+}
+
+function buildDecorations(state, hunks) {
+    const ranges = [];
+    hunks.forEach(hunk => {
+        let pos = hunk.from;
+        while (pos < hunk.to) {
+            const line = state.doc.lineAt(pos);
+            ranges.push(Decoration.line({ class: 'cm-diff-deleted' }).range(line.from));
+            pos = line.to + 1;
+        }
+
+        // Below the removed lines, or above the line the text is inserted before
+        const endsMidLine = hunk.to > 0 && state.doc.sliceString(hunk.to - 1, hunk.to) !== '\n';
+        const widget = Decoration.widget({ widget: new HunkWidget(hunk), block: true, side: endsMidLine ? 1 : -1 });
+        ranges.push(widget.range(hunk.to));
+    });
+    return Decoration.set(ranges, true);
+}
+
+const inlineDiffField = StateField.define({
+    create() {
+        return { hunks: [], decorations: Decoration.none };
+    },
+    update(value, transaction) {
+        let hunks = value.hunks;
+        let changed = false;
+
+        if (transaction.docChanged && hunks.length) {
+            hunks = hunks.map(hunk => {
+                const from = transaction.changes.mapPos(hunk.from, 1);
+                const to = Math.max(from, transaction.changes.mapPos(hunk.to, -1));
+                return { ...hunk, from, to };
+            });
+            changed = true;
+        }
+
+        transaction.effects.forEach(effect => {
+            if (effect.is(addHunksEffect)) {
+                hunks = [...hunks, ...effect.value].sort((x, y) => x.from - y.from);
+                changed = true;
+            } else if (effect.is(removeHunkEffect)) {
+                hunks = hunks.filter(hunk => hunk.id !== effect.value);
+                changed = true;
+            } else if (effect.is(discardProposalEffect)) {
+                hunks = hunks.filter(hunk => hunk.proposalId !== effect.value);
+                changed = true;
+            }
+        });
+
+        if (!changed) return value;
+        return { hunks, decorations: buildDecorations(transaction.state, hunks) };
+    },
+    provide: (field) => EditorView.decorations.from(field, (value) => value.decorations)
+});
+
+const InlineDiff = {
+    extension: [inlineDiffField],
+    computeHunks,
+
+    /**
+     * @param {object} options
+     * @param {Function} options.onResolve - (hunk, accepted) => void
+     */
+    init(options = {}) {
+        resolveHandler = options.onResolve || (() => { });
+    },
+
+    /**
+     * Show the difference between the document and a proposed text
+     * @returns {number} Number of hunks added
+     */
+    propose(view, proposalId, proposed, label = '') {
+        const original = view.state.doc.toString();
+        const hunks = computeHunks(original, proposed).map((hunk, index) => ({
+            ...hunk,
+            id: `${proposalId}:${index}`,
+            proposalId,
+            label
+        }));
+        if (!hunks.length) return 0;
+
+        view.dispatch({
+            effects: [
+                addHunksEffect.of(hunks),
+                EditorView.scrollIntoView(hunks[0].from, { y: 'center' })
+            ]
+        });
+        return hunks.length;
+    },
+
+    /**
+     * Accept (apply) or reject (drop) a hunk
+     */
+    resolveHunk(view, hunkId, accept) {
+        const hunk = view.state.field(inlineDiffField, false)?.hunks.find(item => item.id === hunkId);
+        if (!hunk) return;
+
+        const spec = { effects: removeHunkEffect.of(hunkId) };
+        if (accept) {
+            spec.changes = { from: hunk.from, to: hunk.to, insert: hunk.insert };
+        }
+        view.dispatch(spec);
+        resolveHandler(hunk, accept);
+    },
+
+    /**
+     * Drop a proposal's remaining hunks without resolving them
+     */
+    discard(view, proposalId) {
+        if (!this.getHunks(view.state).some(hunk => hunk.proposalId === proposalId)) return;
+        view.dispatch({ effects: discardProposalEffect.of(proposalId) });
+    },
+
+    /**
+     * Pending hunks in an editor state
+     */
+    getHunks(state) {
+        return state?.field(inlineDiffField, false)?.hunks || [];
+    }
+};
+
+export default InlineDiff;
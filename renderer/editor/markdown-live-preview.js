@@ -51,6 +51,45 @@ const md = new MarkdownIt({
     }
 });
 
+const SANITIZE_OPTIONS = {
+    ALLOWED_TAGS: ['p', 'br', 'strong', 'em', 'u', 'code', 'pre', 'a', 'img', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'hr', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'span', 'div'],
+    ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class', 'style'],
+    ALLOW_DATA_ATTR: false
+};
+
+// Chat replies can be steered by injected note or tool content, so they get
+// no inline styles (overlays over dialogs), only highlight.js classes, and
+// images only from data: or workspace-relative sources
+const CHAT_SANITIZE_OPTIONS = {
+    ALLOWED_TAGS: SANITIZE_OPTIONS.ALLOWED_TAGS,
+    ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class'],
+    ALLOW_DATA_ATTR: false
+};
+const CHAT_CLASS_PATTERN = /^(hljs(-[\w-]+)?|language-[\w-]+)$/;
+const CHAT_DATA_IMAGE_PATTERN = /^data:image\/(png|jpe?g|gif|webp|bmp);base64,/i;
+
+// Separate instance, so its hooks do not apply to the editor preview
+const chatPurify = DOMPurify(window);
+chatPurify.addHook('uponSanitizeAttribute', (node, data) => {
+    if (data.attrName === 'class') {
+        const classes = data.attrValue.split(/\s+/).filter((name) => CHAT_CLASS_PATTERN.test(name));
+        data.attrValue = classes.join(' ');
+        data.keepAttr = classes.length > 0;
+    } else if (data.attrName === 'src') {
+        data.keepAttr = node.nodeName === 'IMG' && isChatImageSource(data.attrValue);
+    }
+});
+
+function isChatImageSource(src) {
+    const value = String(src || '').trim();
+    if (CHAT_DATA_IMAGE_PATTERN.test(value)) return true;
+    // Relative to the workspace: no scheme, not rooted, no way out of it
+    return Boolean(value)
+        && !/^[a-z][a-z0-9+.-]*:/i.test(value)
+        && !/^[\\/]/.test(value)
+        && !value.split(/[\\/]/).includes('..');
+}
+
 let workspacePath = null;
 let activeView = null;
 
@@ -71,11 +110,7 @@ class MarkdownBlockWidget extends WidgetType {
         const wrapper = document.createElement('div');
         wrapper.className = 'cm-live-preview';
         // Sanitize HTML to prevent XSS attacks
-        wrapper.innerHTML = DOMPurify.sanitize(this.html, {
-            ALLOWED_TAGS: ['p', 'br', 'strong', 'em', 'u', 'code', 'pre', 'a', 'img', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'hr', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'span', 'div'],
-            ALLOWED_ATTR: ['href', 'src', 'alt', 'title', 'class', 'style'],
-            ALLOW_DATA_ATTR: false
-        });
+        wrapper.innerHTML = DOMPurify.sanitize(this.html, SANITIZE_OPTIONS);
         wrapper.style.display = 'inline-block';
         wrapper.style.width = '100%';
         wrapper.setAttribute('contenteditable', 'false');
@@ -88,31 +123,7 @@ class MarkdownBlockWidget extends WidgetType {
         addCopyButtonsToCodeBlocks(wrapper);
 
         // Handle link clicks
-        wrapper.addEventListener('click', (event) => {
-            const target = event.target.closest('a');
-            if (target && target.href) {
-                event.preventDefault();
-                event.stopPropagation();
-
-                const parent = null; // TODO: Get the path to the parent file
-                const href = target.getAttribute('href');
-
-                // External URLs - open in default browser
-                if (href.startsWith('http://') || href.startsWith('https://')) {
-                    window.IPC.invoke('shell:open-external', href);
-                }
-                // Wiki links [[filename]] - navigate to file
-                else if (!href.startsWith('#')) {
-                    // Handle relative file paths
-                    let resolvedPath = href;
-                    if (window.NotesUI?.resolveFilePath) {
-                        resolvedPath = window.NotesUI.resolveFilePath(href);
-                    }
-                    window.NotesUI?.openFile(resolvedPath);
-                }
-                return;
-            }
-        });
+        wrapper.addEventListener('click', handleLinkClick);
 
         wrapper.addEventListener('pointerdown', (event) => {
             if (event.target && event.target.matches && event.target.matches('input.cm-task-checkbox')) {
@@ -474,6 +485,33 @@ function applyTaskCheckboxes(container, tasks, view, baseOffset) {
     }
 }
 
+/**
+ * Open rendered links: external URLs in the browser, others as workspace notes
+ */
+function handleLinkClick(event) {
+    const target = event.target.closest('a');
+    if (target && target.href) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const href = target.getAttribute('href');
+
+        // External URLs - open in default browser
+        if (href.startsWith('http://') || href.startsWith('https://')) {
+            window.IPC.invoke('shell:open-external', href);
+        }
+        // Wiki links [[filename]] - navigate to file
+        else if (!href.startsWith('#')) {
+            // Handle relative file paths
+            let resolvedPath = href;
+            if (window.NotesUI?.resolveFilePath) {
+                resolvedPath = window.NotesUI.resolveFilePath(href);
+            }
+            window.NotesUI?.openFile(resolvedPath);
+        }
+    }
+}
+
 function isRenderableToken(token) {
     if (token.type === 'fence' || token.type === 'code_block') return true;
     if (token.type.endsWith('_open')) return true;
@@ -625,6 +663,25 @@ function addCopyButtonsToCodeBlocks(container) {
 const MarkdownLivePreview = {
     extension: [livePreviewField, livePreviewViewTracker],
 
+    /**
+     * Render chat messages with the live preview's parser and highlighting,
+     * under the stricter chat sanitizer
+     * @param {HTMLElement} container - Filled with the sanitized HTML
+     * @param {string} markdown
+     */
+    render(container, markdown) {
+        container.innerHTML = chatPurify.sanitize(md.render(preprocess(markdown)), CHAT_SANITIZE_OPTIONS);
+        // Images whose source was refused keep only their alt text
+        container.querySelectorAll('img:not([src])').forEach((img) => {
+            img.replaceWith(document.createTextNode(img.getAttribute('alt') || ''));
+        });
+        resolveImages(container);
+        container.querySelectorAll('a').forEach((link) => {
+            link.addEventListener('click', handleLinkClick);
+        });
+        return container;
+    },
+
     async init() {
         try {
             workspacePath = await IPC.getWorkspacePath();
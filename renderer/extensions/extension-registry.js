@@ -1,16 +1,60 @@
 /**
  * Extension Registry
  *
- * Manages extension lifecycle, configuration, and tool registration.
+ * Manages extension lifecycle, configuration, and tool and slash command registration.
  * Central hub for all extension functionality in the frontend.
  */
 
 import ExtensionsIPC from '../utils/extensions-ipc.js';
 
+const TOOL_POLICIES = ['allow', 'ask', 'deny'];
+
+// Used when extensions.json has no policy for a tool
+const DEFAULT_TOOL_POLICIES = {
+    run_command: 'ask'
+};
+
+const MCP_EXTENSION_PREFIX = 'mcp-';
+
+function getMcpExtensionId(serverId) {
+    return `${MCP_EXTENSION_PREFIX}${serverId}`;
+}
+
+/**
+ * Tool name offered to the model for an MCP tool; providers only accept
+ * [a-zA-Z0-9_-] up to 64 characters
+ */
+function getMcpToolName(serverId, toolName) {
+    return `mcp__${serverId}__${toolName}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+/**
+ * Tool parameters from an MCP inputSchema
+ */
+function toToolParameters(schema) {
+    const { $schema: _schema, $id: _id, ...rest } = schema && typeof schema === 'object' ? schema : {};
+    return { type: 'object', properties: {}, ...rest };
+}
+
+/**
+ * Plain text from MCP tool result content or resource contents
+ */
+function formatMcpContent(items) {
+    return (items || []).map((item) => {
+        if (typeof item?.text === 'string') return item.text;
+        if (item?.type === 'resource') return item.resource?.text ?? `[resource ${item.resource?.uri}]`;
+        if (item?.type === 'resource_link') return `[resource ${item.uri}]`;
+        return `[${item?.type || 'binary'}${item?.mimeType ? ` ${item.mimeType}` : ''}]`;
+    }).join('\n\n');
+}
+
 class ExtensionRegistry {
     constructor() {
         this.extensions = new Map(); // extensionId -> extension object
         this.tools = new Map(); // toolId -> tool definition
+        this.commands = new Map(); // command name -> { extensionId, ...command }
+        this.mcpTools = new Map(); // offered tool name -> { extensionId, serverId, toolName, definition, ... }
+        this.sessionAllowances = new Map(); // chat sessionId -> Set of allowance keys (see getAllowanceKey)
         this.config = null;
         this.initialized = false;
     }
@@ -59,6 +103,8 @@ class ExtensionRegistry {
         this.initialized = false;
         this.extensions.clear();
         this.tools.clear();
+        this.mcpTools.clear();
+        this.sessionAllowances.clear();
         await this.initialize();
 
         // Re-render Extensions UI if it exists
@@ -101,6 +147,40 @@ class ExtensionRegistry {
                 deactivateHandler: null
             });
         });
+
+        await this.registerMcpServers();
+    }
+
+    /**
+     * One extension per MCP server in extensions.json; the server is
+     * launched when its extension is activated
+     */
+    async registerMcpServers() {
+        let servers = [];
+        try {
+            servers = await ExtensionsIPC.listMcpServers();
+        } catch (error) {
+            console.warn('[ExtensionRegistry] Failed to load MCP servers:', error);
+        }
+
+        (servers || []).forEach(server => {
+            const id = getMcpExtensionId(server.serverId);
+            this.extensions.set(id, {
+                id,
+                name: server.serverId,
+                description: server.description || `MCP server: ${server.command}`,
+                icon: '🔌',
+                mcp: true,
+                serverId: server.serverId,
+                command: server.command,
+                tools: [],
+                resources: [],
+                error: null,
+                activated: false,
+                activateHandler: null,
+                deactivateHandler: null
+            });
+        });
     }
 
     /**
@@ -143,6 +223,26 @@ class ExtensionRegistry {
             this.registerAITools();
         }
 
+        if (extension.mcp) {
+            try {
+                const status = await ExtensionsIPC.startMcpServer(extension.serverId);
+                this.applyMcpStatus(extension, status);
+            } catch (error) {
+                console.error('[ExtensionRegistry] MCP server error:', error);
+                extension.error = error.message;
+                return;
+            }
+        }
+
+        // Prompt-template commands declared by the extension
+        (extension.commands || []).forEach(command => {
+            try {
+                this.registerCommand(extensionId, command);
+            } catch (error) {
+                console.warn('[ExtensionRegistry] Skipping command:', error.message);
+            }
+        });
+
         extension.activated = true;
     }
 
@@ -160,6 +260,20 @@ class ExtensionRegistry {
             this.tools.clear();
         }
 
+        if (extension.mcp) {
+            this.removeMcpTools(extensionId);
+            await ExtensionsIPC.stopMcpServer(extension.serverId).catch(error =>
+                console.error('[ExtensionRegistry] MCP stop error:', error)
+            );
+        }
+
+        // Registered again from extension.commands on activation
+        this.commands.forEach((command, name) => {
+            if (command.extensionId === extensionId) {
+                this.unregisterCommand(name);
+            }
+        });
+
         extension.activated = false;
     }
 
@@ -564,6 +678,108 @@ class ExtensionRegistry {
                         }
                     }
                 }
+            },
+            {
+                name: 'read_note',
+                description: 'Read a note from the workspace by its path.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'Workspace-relative note path (e.g., targets/example-com.md)'
+                        }
+                    },
+                    required: ['path']
+                }
+            },
+            {
+                name: 'search_notes',
+                description: 'Search the content of workspace notes. Returns matching note paths with snippets.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: {
+                            type: 'string',
+                            description: 'Search query'
+                        },
+                        limit: {
+                            type: 'number',
+                            description: 'Max results to return'
+                        }
+                    },
+                    required: ['query']
+                }
+            },
+            {
+                name: 'append_to_note',
+                description: 'Propose appending markdown to a note, at the end or at the end of a section. The user reviews the change in the editor before it is saved.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'Workspace-relative note path'
+                        },
+                        content: {
+                            type: 'string',
+                            description: 'Markdown to append'
+                        },
+                        heading: {
+                            type: 'string',
+                            description: 'Optional heading text; content is added at the end of that section'
+                        }
+                    },
+                    required: ['path', 'content']
+                }
+            },
+            {
+                name: 'replace_in_note',
+                description: 'Propose replacing exact text in a note. The user reviews the change in the editor before it is saved.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: {
+                            type: 'string',
+                            description: 'Workspace-relative note path'
+                        },
+                        find: {
+                            type: 'string',
+                            description: 'Exact text to replace; must occur once unless all is true'
+                        },
+                        replace: {
+                            type: 'string',
+                            description: 'Replacement text'
+                        },
+                        all: {
+                            type: 'boolean',
+                            description: 'Replace every occurrence'
+                        }
+                    },
+                    required: ['path', 'find', 'replace']
+                }
+            },
+            {
+                name: 'run_command',
+                description: 'Propose a shell command to run in a new terminal tab, subject to the user\'s approval. Returns the exit code and the captured output (long output is truncated in the middle).',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        command: {
+                            type: 'string',
+                            description: 'Shell command to run (non-interactive)'
+                        },
+                        cwd: {
+                            type: 'string',
+                            description: 'Optional working directory, relative to the workspace'
+                        },
+                        timeoutSeconds: {
+                            type: 'number',
+                            description: 'Optional timeout; capped by the configured limit'
+                        }
+                    },
+                    required: ['command']
+                }
             }
         ];
 
@@ -574,6 +790,249 @@ class ExtensionRegistry {
         console.log('[ExtensionRegistry] Registered AI Tools:', tools.map(t => t.name));
     }
 
+    /**
+     * Register the tools of a started MCP server. Its resources are offered
+     * through one read_resource tool per server.
+     */
+    applyMcpStatus(extension, status) {
+        this.removeMcpTools(extension.id);
+        const { serverId } = extension;
+
+        (status?.tools || []).forEach(tool => {
+            const name = getMcpToolName(serverId, tool.name);
+            if (this.mcpTools.has(name)) {
+                console.warn('[ExtensionRegistry] Duplicate MCP tool name, skipping:', name);
+                return;
+            }
+            this.mcpTools.set(name, {
+                extensionId: extension.id,
+                serverId,
+                toolName: tool.name,
+                defaultPolicy: 'ask',
+                definition: {
+                    name,
+                    description: `[${serverId}] ${tool.description || tool.title || tool.name}`,
+                    parameters: toToolParameters(tool.inputSchema)
+                }
+            });
+        });
+
+        const resources = status?.resources || [];
+        if (resources.length > 0) {
+            const name = getMcpToolName(serverId, 'read_resource');
+            const listed = resources.slice(0, 25)
+                .map(resource => `${resource.uri}${resource.name !== resource.uri ? ` (${resource.name})` : ''}`)
+                .join(', ');
+            this.mcpTools.set(name, {
+                extensionId: extension.id,
+                serverId,
+                resource: true,
+                defaultPolicy: 'allow',
+                definition: {
+                    name,
+                    description: `[${serverId}] Read a resource from the ${serverId} MCP server. Available: ${listed}`,
+                    parameters: {
+                        type: 'object',
+                        properties: {
+                            uri: {
+                                type: 'string',
+                                description: 'Resource URI'
+                            }
+                        },
+                        required: ['uri']
+                    }
+                }
+            });
+        }
+
+        extension.tools = (status?.tools || []).map(tool => ({
+            name: tool.name,
+            description: tool.description || ''
+        }));
+        extension.resources = resources;
+        extension.serverInfo = status?.serverInfo || null;
+        extension.error = status?.error || null;
+    }
+
+    removeMcpTools(extensionId) {
+        for (const [name, entry] of this.mcpTools.entries()) {
+            if (entry.extensionId === extensionId) {
+                this.mcpTools.delete(name);
+            }
+        }
+    }
+
+    /**
+     * A server restarted, changed its tool list or exited
+     */
+    handleMcpServerChanged(serverId, status) {
+        const extension = this.extensions.get(getMcpExtensionId(serverId));
+        if (!extension?.activated) return;
+
+        if (status?.running) {
+            this.applyMcpStatus(extension, status);
+        } else {
+            this.removeMcpTools(extension.id);
+            extension.activated = false;
+            extension.error = status?.error || 'Server stopped';
+        }
+    }
+
+    /**
+     * Stop and relaunch an enabled MCP server, e.g. after editing its config
+     */
+    async restartMcpServer(extensionId) {
+        const extension = this.extensions.get(extensionId);
+        if (!extension?.mcp) return;
+
+        await this.deactivateExtension(extensionId);
+        extension.error = null;
+        if (this.isEnabled(extensionId)) {
+            await this.activateExtension(extensionId);
+        }
+    }
+
+    /**
+     * Tool definitions registered by an active extension
+     */
+    getExtensionTools(extensionId) {
+        const extension = this.extensions.get(extensionId);
+        if (!extension?.activated) return [];
+        if (extension.mcp) {
+            return Array.from(this.mcpTools.values())
+                .filter(entry => entry.extensionId === extensionId)
+                .map(entry => entry.definition);
+        }
+        if (extensionId !== 'ai-tools') return [];
+        return Array.from(this.tools.values());
+    }
+
+    /**
+     * Register a chat slash command for an extension. It is offered while
+     * the extension is enabled; see SlashCommands.register for the shape.
+     */
+    registerCommand(extensionId, command) {
+        if (!this.extensions.has(extensionId)) {
+            throw new Error(`Unknown extension: ${extensionId}`);
+        }
+        window.SlashCommands.validate(command);
+        this.commands.set(command.name, { ...command, extensionId });
+    }
+
+    unregisterCommand(name) {
+        this.commands.delete(name);
+    }
+
+    /**
+     * Slash commands of enabled, active extensions
+     */
+    getEnabledCommands() {
+        return Array.from(this.commands.values()).filter(command => {
+            const extension = this.extensions.get(command.extensionId);
+            return extension?.activated && this.isEnabled(command.extensionId);
+        });
+    }
+
+    /**
+     * Approval policy for a tool: 'allow', 'ask' or 'deny'
+     * (settings['ai-tools'].toolPolicies in extensions.json)
+     */
+    getToolPolicy(toolName) {
+        const policy = this.config?.settings?.['ai-tools']?.toolPolicies?.[toolName];
+        if (TOOL_POLICIES.includes(policy)) return policy;
+        return DEFAULT_TOOL_POLICIES[toolName] || this.mcpTools.get(toolName)?.defaultPolicy || 'allow';
+    }
+
+    async setToolPolicy(toolName, policy) {
+        if (!TOOL_POLICIES.includes(policy)) {
+            throw new Error(`Unknown tool policy: ${policy}`);
+        }
+
+        const config = this.config || { enabled: [] };
+        const settings = config.settings || {};
+        const toolSettings = settings['ai-tools'] || {};
+        this.config = {
+            ...config,
+            settings: {
+                ...settings,
+                'ai-tools': {
+                    ...toolSettings,
+                    toolPolicies: { ...(toolSettings.toolPolicies || {}), [toolName]: policy }
+                }
+            }
+        };
+        await ExtensionsIPC.saveConfig(this.config);
+    }
+
+    /**
+     * Extra lines for the approval dialog
+     */
+    async describeToolCall(toolName, parameters) {
+        if (toolName === 'run_command') {
+            const plan = await window.IPC.prepareCommandRun(parameters);
+            return [
+                `Terminal: new tab in the terminal panel (${plan.shell})`,
+                `Working directory: ${plan.cwd}`,
+                `Timeout: ${plan.timeoutSeconds}s`
+            ];
+        }
+        const mcpTool = this.mcpTools.get(toolName);
+        if (mcpTool) {
+            const extension = this.extensions.get(mcpTool.extensionId);
+            return [
+                `MCP server: ${mcpTool.serverId} (${extension?.command || 'stdio'})`,
+                `Tool: ${mcpTool.resource ? 'resources/read' : mcpTool.toolName}`
+            ];
+        }
+        return [];
+    }
+
+    /**
+     * What "Allow for this session" covers: the tool, or for run_command
+     * only the exact command in the same working directory
+     */
+    getAllowanceKey(toolName, parameters) {
+        if (toolName !== 'run_command') return toolName;
+        const command = String(parameters?.command || '').trim();
+        return `${toolName}\n${parameters?.cwd || ''}\n${command}`;
+    }
+
+    /**
+     * Apply the tool's policy, asking the user when needed.
+     * "Allow for this session" is remembered per chat session until the
+     * workspace changes.
+     * @returns {Promise<{allowed: boolean, error?: string}>}
+     */
+    async authorizeToolCall(toolName, parameters) {
+        const policy = this.getToolPolicy(toolName);
+        if (policy === 'allow') return { allowed: true };
+        if (policy === 'deny') {
+            return { allowed: false, error: `Tool ${toolName} is denied by the workspace tool policy` };
+        }
+
+        const sessionKey = window.ChatUI?.sessionId || 'default';
+        const allowanceKey = this.getAllowanceKey(toolName, parameters);
+        if (this.sessionAllowances.get(sessionKey)?.has(allowanceKey)) {
+            return { allowed: true };
+        }
+
+        const details = await this.describeToolCall(toolName, parameters);
+        const decision = await window.Dialog.showToolApproval(toolName, parameters, {
+            details,
+            sessionLabel: toolName === 'run_command' ? 'Allow this command for this session' : undefined
+        });
+        if (decision === 'deny') {
+            return { allowed: false, error: `The user denied ${toolName}` };
+        }
+        if (decision === 'session') {
+            if (!this.sessionAllowances.has(sessionKey)) {
+                this.sessionAllowances.set(sessionKey, new Set());
+            }
+            this.sessionAllowances.get(sessionKey).add(allowanceKey);
+        }
+        return { allowed: true };
+    }
+
     /**
      * Generate unique filename for artifact
      */
@@ -597,15 +1056,37 @@ class ExtensionRegistry {
         return `${baseName}-${timestamp}.md`;
     }
 
+    /**
+     * Whether the chat request a tool call belongs to is no longer running
+     * (Stop was pressed while it waited for approval)
+     */
+    isRequestCancelled(requestId) {
+        return Boolean(requestId) && !window.ChatUI?.isRequestActive(requestId);
+    }
+
     /**
      * Execute a tool
+     * @param {object} [options]
+     * @param {string} [options.requestId] - AI request it runs for; cancelling it stops run_command
      */
-    async executeTool(toolName, parameters) {
-        const tool = this.tools.get(toolName);
+    async executeTool(toolName, parameters, options = {}) {
+        const tool = this.tools.get(toolName) || this.mcpTools.get(toolName);
         if (!tool) {
             throw new Error(`Tool not found: ${toolName}`);
         }
 
+        const authorization = await this.authorizeToolCall(toolName, parameters);
+        if (!authorization.allowed) {
+            return { success: false, tool: toolName, error: authorization.error };
+        }
+        if (this.isRequestCancelled(options.requestId)) {
+            return { success: false, tool: toolName, error: 'The request was cancelled' };
+        }
+
+        if (this.mcpTools.has(toolName)) {
+            return await this.executeMcpTool(toolName, this.mcpTools.get(toolName), parameters || {});
+        }
+
         console.log('[ExtensionRegistry] Executing tool:', toolName, parameters);
 
         const aliasMap = {
@@ -728,6 +1209,83 @@ class ExtensionRegistry {
             };
         }
 
+        if (toolName === 'read_note') {
+            const result = await window.IPC.readNote(parameters.path);
+            return {
+                success: Boolean(result),
+                tool: toolName,
+                path: result?.filename || parameters.path,
+                content: result?.content || null,
+                message: result ? `Read ${result.filename}` : undefined,
+                error: result ? undefined : `Note not found: ${parameters.path}`
+            };
+        }
+
+        if (toolName === 'search_notes') {
+            const query = String(parameters.query || '').trim();
+            const limit = Number.isFinite(parameters.limit) ? Number(parameters.limit) : 10;
+            const results = await window.IPC.invoke('search:query', query, { mode: 'hybrid' });
+            const matches = (results || []).slice(0, limit).map((item) => ({
+                path: item.path,
+                snippet: String(item.snippet || '').replace(/<[^>]+>/g, '')
+            }));
+            return {
+                success: true,
+                tool: toolName,
+                results: matches,
+                message: `Found ${matches.length} matching notes`
+            };
+        }
+
+        if (toolName === 'append_to_note' || toolName === 'replace_in_note') {
+            const edit = toolName === 'append_to_note'
+                ? { type: 'append', content: parameters.content, heading: parameters.heading }
+                : { type: 'replace', find: parameters.find, replace: parameters.replace, all: Boolean(parameters.all) };
+            const review = await window.Editor.reviewEdit(parameters.path, edit, `AI edit · ${toolName}`);
+            const total = review.accepted + review.rejected;
+
+            if (total === 0) {
+                return { success: true, tool: toolName, path: review.filename, message: `No changes to ${review.filename}` };
+            }
+            if (review.accepted === 0) {
+                return { success: false, tool: toolName, path: review.filename, error: `The user rejected the edit to ${review.filename}` };
+            }
+            return {
+                success: true,
+                tool: toolName,
+                path: review.filename,
+                accepted: review.accepted,
+                rejected: review.rejected,
+                message: `Applied ${review.accepted} of ${total} changes to ${review.filename}`
+            };
+        }
+
+        if (toolName === 'run_command') {
+            // Approval happens through the tool policy (ask by default)
+            const plan = await window.IPC.prepareCommandRun(parameters);
+            if (this.isRequestCancelled(options.requestId)) {
+                return { success: false, tool: toolName, error: 'The request was cancelled' };
+            }
+            const result = await window.TerminalUI.runCommand({
+                command: plan.command,
+                cwd: plan.cwd,
+                timeoutSeconds: plan.timeoutSeconds,
+                requestId: options.requestId
+            });
+            let status = `exited with code ${result.exitCode}`;
+            if (result.cancelled) {
+                status = 'was stopped with the request';
+            } else if (result.timedOut) {
+                status = `timed out after ${plan.timeoutSeconds}s`;
+            }
+            return {
+                success: true,
+                tool: toolName,
+                ...result,
+                message: `\`${plan.command}\` ${status}`
+            };
+        }
+
         // Map tool names to base filenames
         const baseNameMap = {
             'create_plan': 'plan',
@@ -766,6 +1324,40 @@ class ExtensionRegistry {
         };
     }
 
+    /**
+     * Route a tool call to the MCP server that provides it
+     */
+    async executeMcpTool(toolName, mcpTool, parameters) {
+        const { serverId } = mcpTool;
+        console.log('[ExtensionRegistry] Calling MCP tool:', serverId, mcpTool.toolName || 'read_resource');
+
+        if (mcpTool.resource) {
+            const result = await ExtensionsIPC.readMcpResource(serverId, parameters.uri);
+            return {
+                success: true,
+                tool: toolName,
+                content: formatMcpContent(result?.contents),
+                message: `Read ${parameters.uri} from ${serverId}`
+            };
+        }
+
+        const result = await ExtensionsIPC.callMcpTool(serverId, mcpTool.toolName, parameters);
+        let content = formatMcpContent(result?.content);
+        if (!content && result?.structuredContent) {
+            content = JSON.stringify(result.structuredContent, null, 2);
+        }
+
+        if (result?.isError) {
+            return { success: false, tool: toolName, error: content || `${mcpTool.toolName} failed on ${serverId}` };
+        }
+        return {
+            success: true,
+            tool: toolName,
+            content,
+            message: `${serverId} · ${mcpTool.toolName}`
+        };
+    }
+
     /**
      * Get all enabled tools (for AI context)
      */
@@ -780,8 +1372,9 @@ class ExtensionRegistry {
             const extension = this.extensions.get(extensionId);
             if (!extension || !extension.activated) continue;
 
-            // Get tools from this extension
-            for (const [toolName, tool] of this.tools.entries()) {
+            // Get tools from this extension; denied tools are not offered
+            for (const tool of this.getExtensionTools(extensionId)) {
+                if (this.getToolPolicy(tool.name) === 'deny') continue;
                 enabledTools.push(tool);
             }
         }
@@ -842,4 +1435,8 @@ window.IPC.on('notes:folder-changed', async () => {
     await registry.reinitialize();
 });
 
+window.IPC.on('mcp:server-changed', (serverId, status) => {
+    registry.handleMcpServerChanged(serverId, status);
+});
+
 export default registry;
@@ -16,7 +16,11 @@ import './utils/workspace-state.js';
 import './utils/view-manager.js';
 import './extensions/extension-registry.js';
 import './extensions/extensions-ui.js';
+import './ai/chat-attachments.js';
+import './ai/slash-commands.js';
 import './ai/chat-ui.js';
+import './ai/usage-view.js';
+import './ai/audit-view.js';
 import './ai/context-builder.js';
 import './terminal/terminal-ui.js';
 import PreferencesManager from './preferences-manager.js';
@@ -51,6 +55,8 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize AI chat UI
     window.ChatUI.init();
+    window.UsageView.init();
+    window.AuditView.init();
 
     // Initialize terminal UI
     window.TerminalUI.init();
@@ -10,6 +10,7 @@ class SystemPreferencesDialog extends PreferencesDialog {
         super('system-preferences', 'System Preferences');
         this.preferences = null;
         this.providers = [];
+        this.redactionDetectors = [];
     }
 
     /**
@@ -24,6 +25,9 @@ class SystemPreferencesDialog extends PreferencesDialog {
         // Add tabs
         this.addTab('ai-provider', 'AI Provider', () => this.renderAIProviderTab());
         this.addTab('ai-chat', 'AI Chat', () => this.renderAIChatTab());
+        this.addTab('ai-usage', 'AI Usage', () => this.renderAIUsageTab());
+        this.addTab('ai-privacy', 'AI Privacy', () => this.renderAIPrivacyTab());
+        this.addTab('search', 'Search', () => this.renderSearchTab());
         this.addTab('extensions', 'Extensions', () => this.renderExtensionsTab());
         this.addTab('front-matter', 'Front Matter', () => this.renderFrontMatterTab());
         this.addTab('advanced', 'Advanced', () => this.renderAdvancedTab());
@@ -38,6 +42,7 @@ class SystemPreferencesDialog extends PreferencesDialog {
 
             // Load available AI providers
             this.providers = await window.IPC.invoke('ai:list-providers');
+            this.redactionDetectors = await window.IPC.invoke('ai:list-redaction-detectors');
         } catch (error) {
             console.error('Failed to load system preferences:', error);
             alert('Failed to load preferences');
@@ -66,6 +71,10 @@ class SystemPreferencesDialog extends PreferencesDialog {
                 await this.applyProviderChange(formData.aiProvider);
             }
 
+            if (formData.aiCompletion) {
+                await window.InlineCompletion?.refreshSettings?.();
+            }
+
             this.markClean();
             alert('System preferences saved successfully');
         } catch (error) {
@@ -85,6 +94,9 @@ class SystemPreferencesDialog extends PreferencesDialog {
             // Call backend to switch provider
             const result = await window.IPC.invoke('ai:switch-provider', providerId, providerConfig);
             console.log('Provider switched:', result);
+
+            // Discovered models depend on the active provider
+            await window.ChatUI?.refreshModels?.();
         } catch (error) {
             console.error('Failed to switch provider:', error);
             throw error;
@@ -113,23 +125,106 @@ class SystemPreferencesDialog extends PreferencesDialog {
             const configInputs = content.querySelectorAll('.provider-config-field');
             configInputs.forEach(input => {
                 const field = input.dataset.field;
-                const value = input.type === 'password' ? input.value : input.value;
+                const value = input.type === 'number' && input.value !== ''
+                    ? Number(input.value)
+                    : input.value;
                 if (!formData.aiProvider.providers[providerId]) {
                     formData.aiProvider.providers[providerId] = {};
                 }
                 formData.aiProvider.providers[providerId][field] = value;
             });
+
+            const fallbackChain = content.querySelector('#ai-fallback-chain');
+            const fallbackRetries = content.querySelector('#ai-fallback-retries');
+            const fallbackDelay = content.querySelector('#ai-fallback-delay');
+            formData.aiProvider.fallback = {
+                ...this.preferences.aiProvider.fallback,
+                chain: this.parseFallbackChain(fallbackChain?.value),
+                maxRetries: Math.max(0, parseInt(fallbackRetries?.value, 10) || 0),
+                retryBaseDelayMs: Math.max(0, parseInt(fallbackDelay?.value, 10) || 0)
+            };
         }
 
         // AI Chat tab
         const includeChatHistory = content.querySelector('#ai-chat-include-history');
         const recentCount = content.querySelector('#ai-chat-recent-count');
         const summaryChars = content.querySelector('#ai-chat-summary-chars');
+        const summarizeHistory = content.querySelector('#ai-chat-summarize-history');
+        const previewBeforeSend = content.querySelector('#ai-chat-preview-before-send');
+        const maxAgentSteps = content.querySelector('#ai-chat-max-agent-steps');
+        const retrieveNotes = content.querySelector('#ai-chat-retrieve-notes');
+        const retrievalChunks = content.querySelector('#ai-chat-retrieval-chunks');
+        const retrievalBudget = content.querySelector('#ai-chat-retrieval-budget');
+        const commandTimeout = content.querySelector('#ai-chat-command-timeout');
+        const commandOutputLimit = content.querySelector('#ai-chat-command-output-limit');
         if (includeChatHistory || recentCount || summaryChars) {
             formData.aiChat = {
+                ...this.preferences.aiChat,
                 includeChatHistory: includeChatHistory?.checked ?? true,
                 recentMessageCount: Number(recentCount?.value) || 0,
-                summaryMaxChars: Number(summaryChars?.value) || 0
+                summaryMaxChars: Number(summaryChars?.value) || 0,
+                summarizeHistory: summarizeHistory?.checked ?? true,
+                previewBeforeSend: previewBeforeSend?.checked ?? false,
+                maxAgentSteps: Math.max(1, Number(maxAgentSteps?.value) || 5),
+                retrieveNotes: retrieveNotes?.checked ?? false,
+                retrievalMaxChunks: Math.max(1, Number(retrievalChunks?.value) || 6),
+                retrievalTokenBudget: Math.max(100, Number(retrievalBudget?.value) || 1500),
+                commandTimeoutSeconds: Math.max(1, Number(commandTimeout?.value) || 120),
+                commandOutputLimit: Math.max(1000, Number(commandOutputLimit?.value) || 16000)
+            };
+        }
+
+        const completionEnabled = content.querySelector('#ai-completion-enabled');
+        if (completionEnabled) {
+            formData.aiCompletion = {
+                ...this.preferences.aiCompletion,
+                enabled: completionEnabled.checked,
+                cloudProviders: content.querySelector('#ai-completion-cloud')?.checked ?? false,
+                debounceMs: Math.max(200, Number(content.querySelector('#ai-completion-debounce')?.value) || 800),
+                maxOutputTokens: Math.max(8, Number(content.querySelector('#ai-completion-max-tokens')?.value) || 64)
+            };
+        }
+
+        // AI Usage tab
+        const pricing = content.querySelector('#ai-usage-pricing');
+        if (pricing) {
+            const readBudget = (selector) => {
+                const value = Number(content.querySelector(selector)?.value);
+                return Number.isFinite(value) && value > 0 ? value : null;
+            };
+            formData.aiUsage = {
+                ...this.preferences.aiUsage,
+                pricing: this.parsePricing(pricing.value),
+                budgets: {
+                    dailyCost: readBudget('#ai-usage-daily-cost'),
+                    sessionCost: readBudget('#ai-usage-session-cost'),
+                    dailyTokens: readBudget('#ai-usage-daily-tokens')
+                }
+            };
+        }
+
+        // AI Privacy tab
+        const privacyData = this.collectPrivacyData(content);
+        if (privacyData) {
+            formData.aiPrivacy = privacyData;
+            formData.aiAudit = {
+                ...this.preferences.aiAudit,
+                capturePayloads: content.querySelector('#ai-audit-capture')?.checked ?? true
+            };
+        }
+
+        // Search tab
+        const semanticEnabled = content.querySelector('#search-semantic-enabled');
+        if (semanticEnabled) {
+            formData.search = {
+                ...this.preferences.search,
+                semantic: {
+                    ...(this.preferences.search?.semantic || {}),
+                    enabled: semanticEnabled.checked,
+                    provider: content.querySelector('#search-semantic-provider')?.value || 'ollama',
+                    model: content.querySelector('#search-semantic-model')?.value.trim() || '',
+                    baseUrl: content.querySelector('#search-semantic-base-url')?.value.trim() || ''
+                }
             };
         }
 
@@ -186,9 +281,9 @@ class SystemPreferencesDialog extends PreferencesDialog {
                 <div class="pref-field">
                     <label for="ai-provider-select">AI Provider</label>
                     <select id="ai-provider-select">
-                        <option value="vertex" ${activeProvider === 'vertex' ? 'selected' : ''}>Vertex AI (GCP)</option>
-                        <option value="openai-compatible" ${activeProvider === 'openai-compatible' ? 'selected' : ''}>OpenAI-Compatible</option>
-                        <option value="google-ai-studio" ${activeProvider === 'google-ai-studio' ? 'selected' : ''}>Google AI Studio</option>
+                        ${this.getProviderOptions().map(provider => `
+                            <option value="${provider.id}" ${activeProvider === provider.id ? 'selected' : ''}>${provider.name}</option>
+                        `).join('')}
                     </select>
                     <span class="field-description">Select which AI provider to use</span>
                 </div>
@@ -201,6 +296,41 @@ class SystemPreferencesDialog extends PreferencesDialog {
                 </div>
             </div>
 
+            <div class="pref-section">
+                <h3>Fallback</h3>
+                <div class="pref-field">
+                    <label for="ai-fallback-chain">Fallback chain</label>
+                    <textarea
+                        id="ai-fallback-chain"
+                        rows="3"
+                        placeholder="google-ai-studio:gemini-2.5-flash&#10;ollama:llama3.1"
+                    >${this.formatFallbackChain(aiConfig.fallback?.chain)}</textarea>
+                    <span class="field-description">One provider[:model] per line, tried in order when the active provider fails. Each uses its saved configuration.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="ai-fallback-retries">Retries per provider</label>
+                    <input
+                        type="number"
+                        id="ai-fallback-retries"
+                        min="0"
+                        step="1"
+                        value="${aiConfig.fallback?.maxRetries ?? 2}"
+                    >
+                    <span class="field-description">Retries on rate limits (429) and server errors (5xx) before failing over.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="ai-fallback-delay">Initial retry delay (ms)</label>
+                    <input
+                        type="number"
+                        id="ai-fallback-delay"
+                        min="0"
+                        step="100"
+                        value="${aiConfig.fallback?.retryBaseDelayMs ?? 1000}"
+                    >
+                    <span class="field-description">Doubles after each retry.</span>
+                </div>
+            </div>
+
             <div class="pref-section">
                 <div class="button-group">
                     <button id="test-connection-btn" class="primary">Test Connection</button>
@@ -218,6 +348,10 @@ class SystemPreferencesDialog extends PreferencesDialog {
             this.markDirty();
         });
 
+        container.querySelectorAll('#ai-fallback-chain, #ai-fallback-retries, #ai-fallback-delay').forEach(input => {
+            input.addEventListener('input', () => this.markDirty());
+        });
+
         // Handle test connection
         const testBtn = container.querySelector('#test-connection-btn');
         testBtn.addEventListener('click', () => this.testConnection());
@@ -233,6 +367,7 @@ class SystemPreferencesDialog extends PreferencesDialog {
         container.className = 'pref-tab-content';
 
         const aiChat = this.preferences.aiChat || {};
+        const aiCompletion = this.preferences.aiCompletion || {};
 
         container.innerHTML = `
             <div class="pref-section">
@@ -270,6 +405,151 @@ class SystemPreferencesDialog extends PreferencesDialog {
                     >
                     <span class="field-description">Max characters for compact summary of older messages.</span>
                 </div>
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            id="ai-chat-summarize-history"
+                            ${aiChat.summarizeHistory !== false ? 'checked' : ''}
+                        >
+                        Summarize older messages with the chat model
+                    </label>
+                    <span class="field-description">Once older messages exceed the limit above, the model condenses them into a summary stored with the chat and updated as it grows. Otherwise only their last characters are sent.</span>
+                </div>
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            id="ai-chat-preview-before-send"
+                            ${aiChat.previewBeforeSend === true ? 'checked' : ''}
+                        >
+                        Preview context before sending
+                    </label>
+                    <span class="field-description">Show each request's parts and estimated tokens, trimmed to the model's context window, and confirm before it is sent.</span>
+                </div>
+            </div>
+
+            <div class="pref-section">
+                <h3>Agent</h3>
+                <div class="pref-field">
+                    <label for="ai-chat-max-agent-steps">Max tool steps per request</label>
+                    <input
+                        type="number"
+                        id="ai-chat-max-agent-steps"
+                        min="1"
+                        step="1"
+                        value="${aiChat.maxAgentSteps ?? 5}"
+                    >
+                    <span class="field-description">How many rounds of tool calls the model may chain before it must answer.</span>
+                </div>
+            </div>
+
+            <div class="pref-section">
+                <h3>Workspace Retrieval</h3>
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            id="ai-chat-retrieve-notes"
+                            ${aiChat.retrieveNotes === true ? 'checked' : ''}
+                        >
+                        Retrieve relevant notes
+                    </label>
+                    <span class="field-description">Search the workspace index with each message and send matching note excerpts, cited as sources.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="ai-chat-retrieval-chunks">Max excerpts</label>
+                    <input
+                        type="number"
+                        id="ai-chat-retrieval-chunks"
+                        min="1"
+                        step="1"
+                        value="${aiChat.retrievalMaxChunks ?? 6}"
+                    >
+                </div>
+                <div class="pref-field">
+                    <label for="ai-chat-retrieval-budget">Token budget</label>
+                    <input
+                        type="number"
+                        id="ai-chat-retrieval-budget"
+                        min="100"
+                        step="100"
+                        value="${aiChat.retrievalTokenBudget ?? 1500}"
+                    >
+                    <span class="field-description">Upper bound on tokens spent on retrieved excerpts per request.</span>
+                </div>
+            </div>
+
+            <div class="pref-section">
+                <h3>Commands</h3>
+                <div class="pref-field">
+                    <label for="ai-chat-command-timeout">Command timeout (seconds)</label>
+                    <input
+                        type="number"
+                        id="ai-chat-command-timeout"
+                        min="1"
+                        step="1"
+                        value="${aiChat.commandTimeoutSeconds ?? 120}"
+                    >
+                    <span class="field-description">Approved run_command calls are stopped after this long.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="ai-chat-command-output-limit">Output sent to the model (characters)</label>
+                    <input
+                        type="number"
+                        id="ai-chat-command-output-limit"
+                        min="1000"
+                        step="1000"
+                        value="${aiChat.commandOutputLimit ?? 16000}"
+                    >
+                    <span class="field-description">Longer output keeps its beginning and end; the terminal tab always shows everything.</span>
+                </div>
+            </div>
+
+            <div class="pref-section">
+                <h3>Editor Completion</h3>
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            id="ai-completion-enabled"
+                            ${aiCompletion.enabled === true ? 'checked' : ''}
+                        >
+                        Suggest continuations while typing
+                    </label>
+                    <span class="field-description">After a pause at the end of a line, the active provider's suggestion appears as ghost text. Tab accepts it, Escape dismisses it.</span>
+                </div>
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            id="ai-completion-cloud"
+                            ${aiCompletion.cloudProviders === true ? 'checked' : ''}
+                        >
+                        Allow cloud providers
+                    </label>
+                    <span class="field-description">Off: suggestions only come from a provider on this machine. On: the text around the cursor is sent to the active provider on every pause.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="ai-completion-debounce">Pause before suggesting (ms)</label>
+                    <input
+                        type="number"
+                        id="ai-completion-debounce"
+                        min="200"
+                        step="100"
+                        value="${aiCompletion.debounceMs ?? 800}"
+                    >
+                </div>
+                <div class="pref-field">
+                    <label for="ai-completion-max-tokens">Max suggestion tokens</label>
+                    <input
+                        type="number"
+                        id="ai-completion-max-tokens"
+                        min="8"
+                        step="8"
+                        value="${aiCompletion.maxOutputTokens ?? 64}"
+                    >
+                </div>
             </div>
         `;
 
@@ -282,33 +562,387 @@ class SystemPreferencesDialog extends PreferencesDialog {
     }
 
     /**
-     * Render provider-specific config fields
+     * Render Search tab
      */
-    renderProviderConfig(container, providerId) {
+    renderSearchTab() {
+        const container = document.createElement('div');
+        container.className = 'pref-tab-content';
+
+        const semantic = this.preferences.search?.semantic || {};
+
+        container.innerHTML = `
+            <div class="pref-section">
+                <h3>Semantic Search</h3>
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            id="search-semantic-enabled"
+                            ${semantic.enabled ? 'checked' : ''}
+                        >
+                        Enable semantic search
+                    </label>
+                    <span class="field-description">Embed note chunks into the workspace search index so search matches meaning, not just words.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="search-semantic-provider">Embeddings server</label>
+                    <select id="search-semantic-provider">
+                        <option value="ollama" ${semantic.provider !== 'openai-compatible' ? 'selected' : ''}>Ollama</option>
+                        <option value="openai-compatible" ${semantic.provider === 'openai-compatible' ? 'selected' : ''}>OpenAI-compatible</option>
+                    </select>
+                    <span class="field-description">Uses the base URL and API key from that provider's settings.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="search-semantic-model">Embedding model</label>
+                    <input type="text" id="search-semantic-model" placeholder="nomic-embed-text / text-embedding-3-small">
+                    <span class="field-description">Changing the model re-embeds the workspace.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="search-semantic-base-url">Base URL override</label>
+                    <input type="text" id="search-semantic-base-url" placeholder="Same as provider">
+                </div>
+                <div class="pref-field">
+                    <span id="search-semantic-status" class="field-description"></span>
+                </div>
+            </div>
+        `;
+
+        container.querySelector('#search-semantic-model').value = semantic.model || '';
+        container.querySelector('#search-semantic-base-url').value = semantic.baseUrl || '';
+
+        container.querySelectorAll('input, select').forEach(input => {
+            input.addEventListener('input', () => this.markDirty());
+            input.addEventListener('change', () => this.markDirty());
+        });
+
+        window.IPC.invoke('search:status')
+            .then(status => {
+                const statusEl = container.querySelector('#search-semantic-status');
+                if (!statusEl) return;
+                statusEl.textContent = status?.enabled
+                    ? `${status.chunks} chunks embedded with ${status.model}${status.pending ? `, ${status.pending} files pending` : ''}.`
+                    : 'Semantic search is off.';
+            })
+            .catch(error => console.error('Failed to load search status:', error));
+
+        return container;
+    }
+
+    /**
+     * Render AI Usage tab
+     */
+    renderAIUsageTab() {
+        const container = document.createElement('div');
+        container.className = 'pref-tab-content';
+
+        const aiUsage = this.preferences.aiUsage || {};
+        const budgets = aiUsage.budgets || {};
+
+        container.innerHTML = `
+            <div class="pref-section">
+                <h3>Pricing</h3>
+                <div class="pref-field">
+                    <label for="ai-usage-pricing">Price per 1M tokens (USD)</label>
+                    <textarea
+                        id="ai-usage-pricing"
+                        rows="6"
+                        spellcheck="false"
+                        placeholder="gemini-2.5-flash: 0.30, 2.50&#10;ollama: 0, 0"
+                    ></textarea>
+                    <span class="field-description">One "model: input, output" line per model. A provider id prices every model of that provider.</span>
+                </div>
+            </div>
+
+            <div class="pref-section">
+                <h3>Budgets</h3>
+                <div class="pref-field">
+                    <label for="ai-usage-daily-cost">Daily spend (USD)</label>
+                    <input type="number" id="ai-usage-daily-cost" min="0" step="0.5" value="${budgets.dailyCost ?? ''}">
+                </div>
+                <div class="pref-field">
+                    <label for="ai-usage-session-cost">Spend per chat (USD)</label>
+                    <input type="number" id="ai-usage-session-cost" min="0" step="0.5" value="${budgets.sessionCost ?? ''}">
+                </div>
+                <div class="pref-field">
+                    <label for="ai-usage-daily-tokens">Daily tokens</label>
+                    <input type="number" id="ai-usage-daily-tokens" min="0" step="10000" value="${budgets.dailyTokens ?? ''}">
+                    <span class="field-description">Soft limits: you are asked to confirm before sending once one is reached. Leave empty for no limit.</span>
+                </div>
+            </div>
+        `;
+
+        container.querySelector('#ai-usage-pricing').value = this.formatPricing(aiUsage.pricing);
+
+        container.querySelectorAll('input, textarea').forEach(input => {
+            input.addEventListener('input', () => this.markDirty());
+        });
+
+        return container;
+    }
+
+    /**
+     * Render AI Privacy tab
+     */
+    renderAIPrivacyTab() {
+        const container = document.createElement('div');
+        container.className = 'pref-tab-content';
+
+        const aiPrivacy = this.preferences.aiPrivacy || {};
+        const redactProviders = aiPrivacy.redactProviders || { ollama: false };
+        const detectors = aiPrivacy.detectors || {};
+
+        const providerRows = this.getProviderOptions()
+            .map(provider => `
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            class="ai-privacy-provider"
+                            data-provider="${provider.id}"
+                            ${redactProviders[provider.id] !== false ? 'checked' : ''}
+                        >
+                        ${provider.name}
+                    </label>
+                </div>
+            `)
+            .join('');
+
+        const detectorRows = (this.redactionDetectors || [])
+            .map(detector => `
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            class="ai-privacy-detector"
+                            data-detector="${detector.id}"
+                            ${detectors[detector.id] !== false ? 'checked' : ''}
+                        >
+                        ${detector.label}
+                    </label>
+                </div>
+            `)
+            .join('');
+
+        container.innerHTML = `
+            <div class="pref-section">
+                <h3>Redact Secrets For</h3>
+                <span class="field-description">Secrets in messages, notes, chat history and tool results are replaced with placeholders like [REDACTED:jwt:1a2b3c4d] before a request reaches these providers, and mapped back in the reply. Uncheck local models that may see raw data.</span>
+                ${providerRows}
+            </div>
+
+            <div class="pref-section">
+                <h3>Detectors</h3>
+                ${detectorRows}
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            id="ai-privacy-entropy"
+                            ${aiPrivacy.entropyDetection !== false ? 'checked' : ''}
+                        >
+                        Long random-looking strings
+                    </label>
+                    <span class="field-description">Catches keys and session ids without a known format. May also hide hashes.</span>
+                </div>
+                <div class="pref-field">
+                    <label for="ai-privacy-custom">Custom patterns</label>
+                    <textarea
+                        id="ai-privacy-custom"
+                        rows="4"
+                        spellcheck="false"
+                        placeholder="internal-token: itk_[A-Za-z0-9]{32}&#10;db-password: DB_PASS=([^ ]+)"
+                    ></textarea>
+                    <span class="field-description">One "name: regex" line per pattern. When the regex has a capture group, only the group is redacted.</span>
+                </div>
+            </div>
+
+            <div class="pref-section">
+                <h3>Audit Log</h3>
+                <div class="pref-field">
+                    <label>
+                        <input
+                            type="checkbox"
+                            id="ai-audit-capture"
+                            ${this.preferences.aiAudit?.capturePayloads !== false ? 'checked' : ''}
+                        >
+                        Capture full payloads
+                    </label>
+                    <span class="field-description">Every request sent to a provider is logged to .x0v3rt/audit/outbound.jsonl (open it with 🛡️ in the chat header). When off, only the hash and size of what was sent are kept.</span>
+                </div>
+            </div>
+
+            <div class="pref-section">
+                <h3>Test</h3>
+                <div class="pref-field">
+                    <textarea id="ai-privacy-test-input" rows="4" spellcheck="false" placeholder="Paste text to see what would be sent"></textarea>
+                    <button type="button" class="btn-secondary" id="ai-privacy-test-btn">Test Redaction</button>
+                    <pre id="ai-privacy-test-output" class="field-description"></pre>
+                </div>
+            </div>
+        `;
+
+        container.querySelector('#ai-privacy-custom').value = this.formatCustomPatterns(aiPrivacy.customPatterns);
+
+        container.querySelectorAll('input, textarea:not(#ai-privacy-test-input)').forEach(input => {
+            input.addEventListener('input', () => this.markDirty());
+            input.addEventListener('change', () => this.markDirty());
+        });
+
+        container.querySelector('#ai-privacy-test-btn').addEventListener('click', async () => {
+            const output = container.querySelector('#ai-privacy-test-output');
+            try {
+                const result = await window.IPC.invoke(
+                    'ai:test-redaction',
+                    container.querySelector('#ai-privacy-test-input').value,
+                    this.collectPrivacyData(container)
+                );
+                output.textContent = `${result.count} secret${result.count !== 1 ? 's' : ''} found\n\n${result.text}`;
+            } catch (error) {
+                console.error('Redaction test error:', error);
+                output.textContent = `Error: ${error.message}`;
+            }
+        });
+
+        return container;
+    }
+
+    /**
+     * aiPrivacy settings from the AI Privacy tab, or null when it is not shown
+     */
+    collectPrivacyData(content) {
+        const customPatterns = content.querySelector('#ai-privacy-custom');
+        if (!customPatterns) return null;
+
+        const redactProviders = { ...(this.preferences.aiPrivacy?.redactProviders || {}) };
+        content.querySelectorAll('.ai-privacy-provider').forEach(input => {
+            redactProviders[input.dataset.provider] = input.checked;
+        });
+
+        const detectors = {};
+        content.querySelectorAll('.ai-privacy-detector').forEach(input => {
+            if (!input.checked) detectors[input.dataset.detector] = false;
+        });
+
+        return {
+            ...this.preferences.aiPrivacy,
+            redactProviders,
+            detectors,
+            entropyDetection: content.querySelector('#ai-privacy-entropy')?.checked ?? true,
+            customPatterns: this.parseCustomPatterns(customPatterns.value)
+        };
+    }
+
+    /**
+     * Custom redaction patterns as "name: regex" lines
+     */
+    formatCustomPatterns(patterns) {
+        return (Array.isArray(patterns) ? patterns : [])
+            .map(entry => (entry.name ? `${entry.name}: ${entry.pattern}` : entry.pattern))
+            .join('\n');
+    }
+
+    /**
+     * Parse "name: regex" lines; a line without a name is just a regex
+     */
+    parseCustomPatterns(text) {
+        return String(text || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const match = line.match(/^([\w-]+):\s+(.+)$/);
+                return match ? { name: match[1], pattern: match[2] } : { name: '', pattern: line };
+            });
+    }
+
+    /**
+     * Pricing entries as "model: input, output" lines
+     */
+    formatPricing(pricing) {
+        return Object.entries(pricing || {})
+            .map(([model, price]) => `${model}: ${price.input ?? 0}, ${price.output ?? 0}`)
+            .join('\n');
+    }
+
+    /**
+     * Parse "model: input, output" lines. Model ids may contain ':' so the
+     * last one separates the prices.
+     */
+    parsePricing(text) {
+        const pricing = {};
+        String(text || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .forEach(line => {
+                const separator = line.lastIndexOf(':');
+                if (separator < 0) return;
+                const model = line.slice(0, separator).trim();
+                const [input, output] = line.slice(separator + 1).split(',').map(value => Number(value.trim()));
+                if (!model || !Number.isFinite(input)) return;
+                pricing[model] = { input, output: Number.isFinite(output) ? output : input };
+            });
+        return pricing;
+    }
+
+    /**
+     * Fallback chain entries as "provider:model" lines
+     */
+    formatFallbackChain(chain) {
+        if (!Array.isArray(chain)) return '';
+        return chain
+            .map(entry => (entry.model ? `${entry.provider}:${entry.model}` : entry.provider))
+            .join('\n');
+    }
+
+    /**
+     * Parse "provider:model" lines. The model may itself contain ':' (e.g. llama3.1:8b).
+     */
+    parseFallbackChain(text) {
+        return String(text || '')
+            .split(/[\n,]/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const separator = line.indexOf(':');
+                if (separator < 0) return { provider: line, model: null };
+                return {
+                    provider: line.slice(0, separator).trim(),
+                    model: line.slice(separator + 1).trim() || null
+                };
+            });
+    }
+
+    /**
+     * Providers for the select, discovered from electron/ai/providers
+     */
+    getProviderOptions() {
+        if (Array.isArray(this.providers) && this.providers.length) {
+            return this.providers;
+        }
+        return [{ id: 'vertex', name: 'Vertex AI' }];
+    }
+
+    /**
+     * Render provider-specific config fields from the provider's getConfigSchema
+     */
+    async renderProviderConfig(container, providerId) {
         const configContainer = container.querySelector('#provider-config-container');
         configContainer.innerHTML = '';
 
         const providerConfig = this.preferences.aiProvider.providers[providerId] || {};
 
-        // Get config schema from provider
-        const schemas = {
-            'vertex': [
-                { name: 'projectId', label: 'GCP Project ID', type: 'text', required: true, description: 'Google Cloud project ID' },
-                { name: 'location', label: 'Region', type: 'text', required: false, description: 'GCP region (default: us-central1)' },
-                { name: 'modelName', label: 'Model', type: 'text', required: false, description: 'Vertex AI model name' }
-            ],
-            'openai-compatible': [
-                { name: 'baseUrl', label: 'Base URL', type: 'text', required: true, description: 'API endpoint URL (e.g., http://your-server:8000/v1)' },
-                { name: 'apiKey', label: 'API Key', type: 'password', required: false, description: 'Optional API key' },
-                { name: 'model', label: 'Model', type: 'text', required: false, description: 'Model name' }
-            ],
-            'google-ai-studio': [
-                { name: 'apiKey', label: 'API Key', type: 'password', required: true, description: 'Get from aistudio.google.com' },
-                { name: 'model', label: 'Model', type: 'text', required: false, description: 'Gemini model (default: gemini-2.0-flash-exp)' }
-            ]
-        };
+        let fields = [];
+        try {
+            const info = await window.IPC.invoke('ai:get-provider-info', providerId);
+            fields = info?.configSchema?.fields || [];
+        } catch (error) {
+            console.error('Failed to load provider config schema:', error);
+        }
 
-        const fields = schemas[providerId] || [];
+        // The provider may have changed while the schema was loading
+        const providerSelect = container.querySelector('#ai-provider-select');
+        if (providerSelect && providerSelect.value !== providerId) return;
 
         fields.forEach(field => {
             const fieldDiv = document.createElement('div');
@@ -316,18 +950,21 @@ class SystemPreferencesDialog extends PreferencesDialog {
             fieldDiv.innerHTML = `
                 <label for="provider-${field.name}">${field.label}${field.required ? ' *' : ''}</label>
                 <input
-                    type="${field.type}"
+                    type="${field.type || 'text'}"
                     id="provider-${field.name}"
                     class="provider-config-field"
                     data-field="${field.name}"
-                    value="${providerConfig[field.name] || ''}"
                     ${field.required ? 'required' : ''}
-                    placeholder="${field.description}"
+                    ${field.min !== undefined ? `min="${field.min}"` : ''}
+                    ${field.max !== undefined ? `max="${field.max}"` : ''}
+                    ${field.step !== undefined ? `step="${field.step}"` : ''}
                 >
-                <span class="field-description">${field.description}</span>
+                <span class="field-description">${field.description || ''}</span>
             `;
 
             const input = fieldDiv.querySelector('input');
+            input.value = providerConfig[field.name] ?? '';
+            input.placeholder = field.placeholder || field.description || '';
             input.addEventListener('input', () => this.markDirty());
 
             configContainer.appendChild(fieldDiv);
@@ -188,6 +188,17 @@ const TerminalUI = {
         const terminalId = response?.terminalId;
         if (!terminalId) return;
 
+        const sessionNumber = ++this.sessionCounter;
+        this.createSession(paneId, terminalId, `bash ${sessionNumber}`);
+    },
+
+    /**
+     * Create the tab and xterm instance for a pty started in main
+     */
+    createSession(paneId, terminalId, title) {
+        const pane = this.panes[paneId];
+        if (!pane) return null;
+
         const terminal = new Terminal({
             fontFamily: "'Cascadia Mono', 'Consolas', 'Monaco', 'Courier New', monospace",
             fontSize: 13,
@@ -208,12 +219,11 @@ const TerminalUI = {
         pane.contentEl.appendChild(instanceEl);
         terminal.open(instanceEl);
 
-        const sessionNumber = ++this.sessionCounter;
-        const title = `bash ${sessionNumber}`;
-
         const tabEl = document.createElement('div');
         tabEl.className = 'terminal-tab';
-        tabEl.innerHTML = `<span>${title}</span>`;
+        const titleEl = document.createElement('span');
+        titleEl.textContent = title;
+        tabEl.appendChild(titleEl);
         const closeBtn = document.createElement('button');
         closeBtn.className = 'terminal-tab-close';
         closeBtn.textContent = '×';
@@ -251,6 +261,56 @@ const TerminalUI = {
         this.sessionsById.set(terminalId, session);
         this.activateTerminal(terminalId);
         this.fitSession(session);
+        return session;
+    },
+
+    /**
+     * Run an approved command in a new terminal tab and wait for it to exit
+     * @param {{command: string, cwd?: string, timeoutSeconds?: number, requestId?: string}} options
+     * @returns {Promise<object>} Exit code and captured output (see terminal:wait)
+     */
+    async runCommand(options) {
+        await this.show();
+
+        const paneId = this.activePaneId;
+        const current = this.sessionsById.get(this.panes[paneId]?.activeId);
+        const response = await window.IPC.runCommand({
+            ...options,
+            cols: current?.terminal.cols,
+            rows: current?.terminal.rows
+        });
+
+        const name = response.command.split(/\s+/)[0];
+        const session = this.createSession(paneId, response.terminalId, `ai: ${name}`);
+        session?.terminal.write(`\x1b[2m${response.cwd}\r\n$ ${response.command}\x1b[0m\r\n`);
+
+        const result = await window.IPC.waitForCommand(response.terminalId);
+        if (result.cancelled) {
+            session?.terminal.write('\r\n[stopped: request cancelled]\r\n');
+        } else if (result.timedOut) {
+            session?.terminal.write(`\r\n[timed out after ${response.timeoutSeconds}s]\r\n`);
+        }
+        return result;
+    },
+
+    /**
+     * Paste text into the active terminal without running it. Multi-line
+     * text needs a shell with bracketed paste on; otherwise every line
+     * would run as it arrives, so it is refused.
+     * @returns {Promise<boolean>} Whether a terminal took the text
+     */
+    async pasteText(text) {
+        await this.show();
+        const session = this.sessionsById.get(this.panes[this.activePaneId]?.activeId);
+        if (!session) return false;
+        // A trailing newline would run the command
+        const value = String(text || '').replace(/[\r\n]+$/, '');
+        if (/[\r\n]/.test(value) && !session.terminal.modes.bracketedPasteMode) {
+            throw new Error('this shell would run each line as it is pasted; paste multi-line code by hand or one line at a time');
+        }
+        session.terminal.paste(value);
+        session.terminal.focus();
+        return true;
     },
 
     async show() {
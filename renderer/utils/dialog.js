@@ -3,6 +3,9 @@
  */
 
 const Dialog = {
+    // finish() of the open tool approval
+    pendingToolApproval: null,
+
     removeOverlays() {
         document.querySelectorAll('.dialog-overlay').forEach((node) => node.remove());
     },
@@ -139,6 +142,180 @@ const Dialog = {
                 }
             });
         });
+    },
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Ask whether an AI tool call may run
+     * @param {string} toolName
+     * @param {object} args - Shown as JSON
+     * @param {object} [options]
+     * @param {string[]} [options.details] - Extra plain-text lines (e.g. resolved paths)
+     * @param {string} [options.sessionLabel] - Label of the 'session' button
+     * @returns {Promise<'once'|'session'|'deny'>}
+     */
+    /**
+     * Deny and close the open tool approval, if any (its request was cancelled)
+     */
+    cancelToolApproval() {
+        this.pendingToolApproval?.('deny');
+    },
+
+    async showToolApproval(toolName, args = {}, options = {}) {
+        const { details = [], sessionLabel = 'Allow for this session' } = options;
+
+        return new Promise((resolve) => {
+            this.cancelToolApproval();
+            this.removeOverlays();
+
+            const overlay = document.createElement('div');
+            overlay.className = 'dialog-overlay';
+
+            const dialog = document.createElement('div');
+            dialog.className = 'dialog-box';
+
+            const detailsHtml = details
+                .map(line => `<div class="dialog-detail">${this.escapeHtml(line)}</div>`)
+                .join('');
+
+            dialog.innerHTML = `
+                <div class="dialog-header">Allow ${this.escapeHtml(toolName)}?</div>
+                <div class="dialog-body">
+                    <div class="dialog-message">The AI wants to run this tool with these arguments:</div>
+                    <pre class="dialog-code">${this.escapeHtml(JSON.stringify(args, null, 2))}</pre>
+                    ${detailsHtml}
+                </div>
+                <div class="dialog-actions">
+                    <button class="btn-secondary dialog-cancel">Deny</button>
+                    <button class="btn-secondary dialog-session">${this.escapeHtml(sessionLabel)}</button>
+                    <button class="btn-primary dialog-ok">Allow once</button>
+                </div>
+            `;
+
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish('deny');
+                }
+            };
+
+            const finish = (decision) => {
+                if (this.pendingToolApproval === finish) this.pendingToolApproval = null;
+                document.removeEventListener('keydown', onKeydown);
+                overlay.remove();
+                resolve(decision);
+            };
+            this.pendingToolApproval = finish;
+
+            dialog.querySelector('.dialog-ok').addEventListener('click', () => finish('once'));
+            dialog.querySelector('.dialog-session').addEventListener('click', () => finish('session'));
+            dialog.querySelector('.dialog-cancel').addEventListener('click', () => finish('deny'));
+            document.addEventListener('keydown', onKeydown);
+
+            setTimeout(() => dialog.querySelector('.dialog-ok')?.focus(), 50);
+        });
+    },
+
+    /**
+     * Show the estimated size of an AI request per part, and its full text
+     * @param {object} preview - From ai:preview-context
+     * @param {object} [options]
+     * @param {string} [options.sendLabel] - Adds a send button when set
+     * @returns {Promise<boolean>} Whether to send
+     */
+    async showContextPreview(preview, options = {}) {
+        const { sendLabel = null } = options;
+        const budget = preview?.budget || {};
+        const format = (value) => Number(value || 0).toLocaleString();
+
+        return new Promise((resolve) => {
+            this.removeOverlays();
+
+            const overlay = document.createElement('div');
+            overlay.className = 'dialog-overlay';
+
+            const dialog = document.createElement('div');
+            dialog.className = 'dialog-box dialog-wide';
+
+            const rows = (budget.sections || [])
+                .filter(section => section.tokens || section.originalTokens)
+                .map(section => `
+                    <tr class="${section.trimmed ? 'trimmed' : ''}">
+                        <td>${this.escapeHtml(section.label)}</td>
+                        <td class="context-preview-detail">${this.escapeHtml(section.detail || '')}</td>
+                        <td class="context-preview-tokens">${format(section.tokens)}${section.trimmed
+                            ? ` <span class="context-preview-trimmed">(trimmed from ${format(section.originalTokens)})</span>`
+                            : ''}</td>
+                    </tr>
+                `)
+                .join('');
+
+            const transcript = [
+                `[system]\n${preview?.system || ''}`,
+                ...(preview?.messages || []).map(msg => {
+                    const images = msg.images ? ` (+${msg.images} image${msg.images !== 1 ? 's' : ''})` : '';
+                    return `[${msg.role}]${images}\n${msg.content || ''}`;
+                })
+            ].join('\n\n');
+
+            dialog.innerHTML = `
+                <div class="dialog-header">Context preview</div>
+                <div class="dialog-body">
+                    <div class="dialog-message">
+                        ~${format(budget.total)} of ${format(budget.budget)} tokens
+                        (${format(budget.contextWindow)} context window, ${format(budget.outputReserve)} reserved for the reply;
+                        estimated for ${this.escapeHtml(budget.family || 'unknown')} models)
+                    </div>
+                    ${budget.overBudget ? '<div class="dialog-detail context-preview-warning">The request is still over budget after trimming.</div>' : ''}
+                    ${preview?.redacted ? `<div class="dialog-detail">${preview.redacted} secret${preview.redacted !== 1 ? 's' : ''} will be replaced with placeholders.</div>` : ''}
+                    <table class="context-preview-table">${rows}</table>
+                    <details class="context-preview-full">
+                        <summary>Full request</summary>
+                        <pre class="dialog-code">${this.escapeHtml(transcript)}</pre>
+                    </details>
+                </div>
+                <div class="dialog-actions">
+                    <button class="btn-secondary dialog-cancel">${sendLabel ? 'Cancel' : 'Close'}</button>
+                    ${sendLabel ? `<button class="btn-primary dialog-ok">${this.escapeHtml(sendLabel)}</button>` : ''}
+                </div>
+            `;
+
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(false);
+                }
+            };
+
+            const finish = (send) => {
+                document.removeEventListener('keydown', onKeydown);
+                this.removeOverlays();
+                resolve(send);
+            };
+
+            dialog.querySelector('.dialog-ok')?.addEventListener('click', () => finish(true));
+            dialog.querySelector('.dialog-cancel').addEventListener('click', () => finish(false));
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) finish(false);
+            });
+            document.addEventListener('keydown', onKeydown);
+
+            setTimeout(() => (dialog.querySelector('.dialog-ok') || dialog.querySelector('.dialog-cancel'))?.focus(), 50);
+        });
     }
 };
 
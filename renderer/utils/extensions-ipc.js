@@ -61,6 +61,32 @@ const ExtensionsIPC = {
      */
     async listArtifacts() {
         return await IPC.invoke('extensions:list-artifacts');
+    },
+
+    /**
+     * List MCP servers configured in extensions.json
+     */
+    async listMcpServers() {
+        return await IPC.invoke('mcp:list-servers');
+    },
+
+    /**
+     * Start an MCP server; resolves with its tools and resources
+     */
+    async startMcpServer(serverId) {
+        return await IPC.invoke('mcp:start-server', serverId);
+    },
+
+    async stopMcpServer(serverId) {
+        return await IPC.invoke('mcp:stop-server', serverId);
+    },
+
+    async callMcpTool(serverId, toolName, args) {
+        return await IPC.invoke('mcp:call-tool', serverId, toolName, args);
+    },
+
+    async readMcpResource(serverId, uri) {
+        return await IPC.invoke('mcp:read-resource', serverId, uri);
     }
 };
 
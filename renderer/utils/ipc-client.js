@@ -98,10 +98,26 @@ const IPC = {
         return this.invoke('file:read-binary', filename, options);
     },
 
+    async chooseImages() {
+        return this.invoke('file:choose-images');
+    },
+
     async writeFile(filename, content) {
         return this.invoke('file:write', filename, content);
     },
 
+    async readNote(filename) {
+        const result = await this.invoke('file:read-note', filename);
+        if (result && result.missing) {
+            return null;
+        }
+        return result;
+    },
+
+    async previewNoteEdit(filename, edit) {
+        return this.invoke('file:preview-edit', filename, edit);
+    },
+
     async listFiles(options = {}) {
         return this.invoke('file:list', options);
     },
@@ -158,6 +174,10 @@ const IPC = {
         return this.invoke('chat:get', sessionId);
     },
 
+    async selectChatBranch(sessionId, messageId, options = {}) {
+        return this.invoke('chat:select-branch', sessionId, messageId, options);
+    },
+
     async listChatSessions() {
         return this.invoke('chat:list');
     },
@@ -182,10 +202,74 @@ const IPC = {
         return this.invoke('ai:send-message', message, context);
     },
 
+    async streamAIMessage(requestId, message, context) {
+        return this.invoke('ai:stream-message', requestId, message, context);
+    },
+
+    async cancelAIMessage(requestId) {
+        return this.invoke('ai:cancel', requestId);
+    },
+
+    async previewAIContext(message, context) {
+        return this.invoke('ai:preview-context', message, context);
+    },
+
+    async completeInline(requestId, request) {
+        return this.invoke('ai:complete-inline', requestId, request);
+    },
+
+    async getChatSummary(sessionId, options) {
+        return this.invoke('ai:chat-summary', sessionId, options);
+    },
+
+    onAIMessageChunk(callback) {
+        return this.on('ai:message-chunk', callback);
+    },
+
+    onAIToolRequest(callback) {
+        return this.on('ai:tool-request', callback);
+    },
+
+    async sendToolResult(callId, result) {
+        return this.invoke('ai:tool-result', callId, result);
+    },
+
     async listModels() {
         return this.invoke('ai:list-models');
     },
 
+    async listPromptProfiles() {
+        return this.invoke('ai:list-prompt-profiles');
+    },
+
+    async editPromptProfile(profileId) {
+        return this.invoke('ai:edit-prompt-profile', profileId);
+    },
+
+    async createPromptProfile(name) {
+        return this.invoke('ai:create-prompt-profile', name);
+    },
+
+    async getUsageSummary(options) {
+        return this.invoke('ai:usage-summary', options);
+    },
+
+    async checkUsageBudget(sessionId) {
+        return this.invoke('ai:usage-check-budget', sessionId);
+    },
+
+    async getAuditLog(options) {
+        return this.invoke('ai:audit-log', options);
+    },
+
+    async getAuditEntry(line) {
+        return this.invoke('ai:audit-entry', line);
+    },
+
+    async exportAuditLog() {
+        return this.invoke('ai:audit-export');
+    },
+
     async createTerminal() {
         return this.invoke('terminal:create');
     },
@@ -194,6 +278,18 @@ const IPC = {
         return this.invoke('terminal:dispose', terminalId);
     },
 
+    async prepareCommandRun(options) {
+        return this.invoke('terminal:prepare-run', options);
+    },
+
+    async runCommand(options) {
+        return this.invoke('terminal:run', options);
+    },
+
+    async waitForCommand(terminalId) {
+        return this.invoke('terminal:wait', terminalId);
+    },
+
     sendTerminalInput(terminalId, data) {
         return this.send('terminal:input', terminalId, data);
     },
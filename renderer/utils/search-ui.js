@@ -1,15 +1,23 @@
 /**
  * Search UI
  *
- * Full-text search interface with Ctrl+P shortcut
+ * Full-text search interface with Ctrl+P shortcut.
+ * Modes: text (BM25), semantic (embeddings) and hybrid (both, rank-fused).
  */
 
+const SEARCH_MODES = [
+    { id: 'text', label: 'Text' },
+    { id: 'semantic', label: 'Semantic' },
+    { id: 'hybrid', label: 'Hybrid' }
+];
+
 const SearchUI = {
     input: null,
     resultsContainer: null,
     isOpen: false,
     searchTimeout: null,
     selectedIndex: 0,
+    mode: 'text',
 
     init() {
         this.input = document.getElementById('command-center');
@@ -18,6 +26,7 @@ const SearchUI = {
             return;
         }
 
+        this.mode = localStorage.getItem('x0v3rt:search:mode') || 'text';
         this.createResultsContainer();
         this.attachEventListeners();
         console.log('[SearchUI] Initialized');
@@ -92,9 +101,46 @@ const SearchUI = {
         });
     },
 
+    setMode(mode) {
+        this.mode = mode;
+        localStorage.setItem('x0v3rt:search:mode', mode);
+
+        const query = this.input.value.trim();
+        if (query.length >= 2) {
+            this.performSearch(query);
+        }
+    },
+
+    renderModeBar() {
+        const bar = document.createElement('div');
+        bar.className = 'search-modes';
+
+        SEARCH_MODES.forEach(({ id, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'search-mode';
+            button.classList.toggle('active', id === this.mode);
+            button.textContent = label;
+            // Keep focus in the search input
+            button.addEventListener('mousedown', (event) => event.preventDefault());
+            button.addEventListener('click', () => this.setMode(id));
+            bar.appendChild(button);
+        });
+
+        this.resultsContainer.appendChild(bar);
+    },
+
     async performSearch(query) {
         try {
-            const results = await window.IPC.invoke('search:query', query);
+            if (this.mode === 'semantic') {
+                const status = await window.IPC.invoke('search:status');
+                if (!status?.enabled) {
+                    this.displayResults([], 'Semantic search is off. Enable it in System Preferences → Search.');
+                    return;
+                }
+            }
+
+            const results = await window.IPC.invoke('search:query', query, { mode: this.mode });
             this.displayResults(results);
         } catch (error) {
             console.error('[SearchUI] Search error:', error);
@@ -102,14 +148,15 @@ const SearchUI = {
         }
     },
 
-    displayResults(results) {
+    displayResults(results, emptyMessage = 'No results found') {
         this.resultsContainer.innerHTML = '';
         this.selectedIndex = 0;
+        this.renderModeBar();
 
         if (!results || results.length === 0) {
             const noResults = document.createElement('div');
             noResults.className = 'search-no-results';
-            noResults.textContent = 'No results found';
+            noResults.textContent = emptyMessage;
             this.resultsContainer.appendChild(noResults);
             this.showResults();
             return;
@@ -1,6 +1,6 @@
 /**
  * Main content view manager
- * Controls which center view is visible (editor, image, extensions).
+ * Controls which center view is visible (editor, image, extensions, usage, audit).
  */
 
 const ViewManager = {
@@ -11,6 +11,8 @@ const ViewManager = {
     extensionsView: null,
     extensionsTitle: null,
     extensionsContent: null,
+    usageView: null,
+    auditView: null,
 
     init() {
         this.editorHeader = document.querySelector('.editor-header');
@@ -20,13 +22,17 @@ const ViewManager = {
         this.extensionsView = document.getElementById('extensions-main-view');
         this.extensionsTitle = document.getElementById('extensions-main-title');
         this.extensionsContent = document.getElementById('extensions-main-content');
+        this.usageView = document.getElementById('usage-main-view');
+        this.auditView = document.getElementById('audit-main-view');
 
         console.info('[ViewManager] Initialized', {
             editorHeader: Boolean(this.editorHeader),
             editorTabs: Boolean(this.editorTabs),
             editor: Boolean(this.editor),
             imageViewer: Boolean(this.imageViewer),
-            extensionsView: Boolean(this.extensionsView)
+            extensionsView: Boolean(this.extensionsView),
+            usageView: Boolean(this.usageView),
+            auditView: Boolean(this.auditView)
         });
     },
 
@@ -36,6 +42,8 @@ const ViewManager = {
         this.editor?.classList.remove('hidden');
         this.imageViewer?.classList.add('hidden');
         this.extensionsView?.classList.add('hidden');
+        this.usageView?.classList.add('hidden');
+        this.auditView?.classList.add('hidden');
     },
 
     showImage() {
@@ -44,6 +52,38 @@ const ViewManager = {
         this.editor?.classList.add('hidden');
         this.imageViewer?.classList.remove('hidden');
         this.extensionsView?.classList.add('hidden');
+        this.usageView?.classList.add('hidden');
+        this.auditView?.classList.add('hidden');
+    },
+
+    showUsage() {
+        this.editorHeader?.classList.add('hidden');
+        this.editorTabs?.classList.add('hidden');
+        this.editor?.classList.add('hidden');
+        this.imageViewer?.classList.add('hidden');
+        this.extensionsView?.classList.add('hidden');
+        this.usageView?.classList.remove('hidden');
+        this.auditView?.classList.add('hidden');
+
+        const currentFileEl = document.getElementById('current-file');
+        if (currentFileEl) {
+            currentFileEl.textContent = 'AI Usage';
+        }
+    },
+
+    showAudit() {
+        this.editorHeader?.classList.add('hidden');
+        this.editorTabs?.classList.add('hidden');
+        this.editor?.classList.add('hidden');
+        this.imageViewer?.classList.add('hidden');
+        this.extensionsView?.classList.add('hidden');
+        this.usageView?.classList.add('hidden');
+        this.auditView?.classList.remove('hidden');
+
+        const currentFileEl = document.getElementById('current-file');
+        if (currentFileEl) {
+            currentFileEl.textContent = 'AI Audit Log';
+        }
     },
 
     showExtensions(extension) {
@@ -52,6 +92,8 @@ const ViewManager = {
         this.editor?.classList.add('hidden');
         this.imageViewer?.classList.add('hidden');
         this.extensionsView?.classList.remove('hidden');
+        this.usageView?.classList.add('hidden');
+        this.auditView?.classList.add('hidden');
 
         const title = extension?.name ? `Extensions: ${extension.name}` : 'Extensions';
         if (this.extensionsTitle) {
@@ -82,6 +124,10 @@ const ViewManager = {
                 header.appendChild(description);
                 this.extensionsContent.appendChild(header);
 
+                if (extension.mcp) {
+                    this.renderMcpStatus(extension, header);
+                }
+
                 if (Array.isArray(extension.tools) && extension.tools.length > 0) {
                     const toolsHeader = document.createElement('div');
                     toolsHeader.className = 'extensions-detail-section-title';
@@ -100,12 +146,141 @@ const ViewManager = {
 
                     this.extensionsContent.appendChild(list);
                 }
+
+                if (Array.isArray(extension.commands) && extension.commands.length > 0) {
+                    const commandsHeader = document.createElement('div');
+                    commandsHeader.className = 'extensions-detail-section-title';
+                    commandsHeader.textContent = 'Chat commands';
+                    this.extensionsContent.appendChild(commandsHeader);
+
+                    const list = document.createElement('div');
+                    list.className = 'extensions-detail-list';
+
+                    extension.commands.forEach((command) => {
+                        const item = document.createElement('div');
+                        item.className = 'extensions-detail-item';
+                        const usage = command.usage ? ` ${command.usage}` : '';
+                        item.textContent = `/${command.name}${usage} — ${command.description || ''}`.trim();
+                        list.appendChild(item);
+                    });
+
+                    this.extensionsContent.appendChild(list);
+                }
+
+                if (Array.isArray(extension.resources) && extension.resources.length > 0) {
+                    const resourcesHeader = document.createElement('div');
+                    resourcesHeader.className = 'extensions-detail-section-title';
+                    resourcesHeader.textContent = 'Resources';
+                    this.extensionsContent.appendChild(resourcesHeader);
+
+                    const list = document.createElement('div');
+                    list.className = 'extensions-detail-list';
+
+                    extension.resources.forEach((resource) => {
+                        const item = document.createElement('div');
+                        item.className = 'extensions-detail-item';
+                        item.textContent = `${resource.uri}${resource.description ? ` — ${resource.description}` : ''}`;
+                        list.appendChild(item);
+                    });
+
+                    this.extensionsContent.appendChild(list);
+                }
+
+                const registryTools = window.ExtensionRegistry?.getExtensionTools(extension.id) || [];
+                if (registryTools.length > 0) {
+                    this.renderToolPolicies(registryTools);
+                }
             } else {
                 const empty = document.createElement('div');
                 empty.textContent = 'Select an extension to view details.';
                 this.extensionsContent.appendChild(empty);
             }
         }
+    },
+
+    /**
+     * Command, state and restart button of an MCP server extension
+     */
+    renderMcpStatus(extension, header) {
+        const live = window.ExtensionRegistry?.extensions.get(extension.id) || extension;
+
+        const command = document.createElement('div');
+        command.className = 'extensions-detail-description mcp-command';
+        command.textContent = live.command || '';
+
+        const status = document.createElement('div');
+        status.className = 'extensions-detail-description mcp-status';
+        if (live.error) {
+            status.classList.add('error');
+            status.textContent = `Not running: ${live.error}`;
+        } else if (live.activated) {
+            const info = live.serverInfo;
+            const version = info?.name ? ` · ${info.name}${info.version ? ` ${info.version}` : ''}` : '';
+            status.textContent = `Running${version}`;
+        } else {
+            status.textContent = 'Stopped — enable the extension to launch it';
+        }
+
+        const restart = document.createElement('button');
+        restart.className = 'btn-secondary mcp-restart';
+        restart.textContent = 'Restart server';
+        restart.disabled = !window.ExtensionRegistry?.isEnabled(extension.id);
+        restart.addEventListener('click', async () => {
+            restart.disabled = true;
+            await window.ExtensionRegistry.restartMcpServer(extension.id);
+            this.showExtensions(window.ExtensionRegistry.getExtensions().find(ext => ext.id === extension.id));
+        });
+
+        header.appendChild(command);
+        header.appendChild(status);
+        header.appendChild(restart);
+    },
+
+    /**
+     * Per-tool approval policy pickers (saved to extensions.json)
+     */
+    renderToolPolicies(tools) {
+        const title = document.createElement('div');
+        title.className = 'extensions-detail-section-title';
+        title.textContent = 'Tool approval';
+        this.extensionsContent.appendChild(title);
+
+        const list = document.createElement('div');
+        list.className = 'extensions-detail-list';
+
+        tools.forEach((tool) => {
+            const row = document.createElement('div');
+            row.className = 'extensions-detail-item tool-policy-row';
+
+            const name = document.createElement('span');
+            name.className = 'tool-policy-name';
+            name.textContent = tool.name;
+            name.title = tool.description || '';
+
+            const select = document.createElement('select');
+            select.className = 'tool-policy-select';
+            [['allow', 'Always allow'], ['ask', 'Ask every time'], ['deny', 'Deny']].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = window.ExtensionRegistry.getToolPolicy(tool.name);
+            select.addEventListener('change', async () => {
+                try {
+                    await window.ExtensionRegistry.setToolPolicy(tool.name, select.value);
+                } catch (error) {
+                    console.error('Tool policy error:', error);
+                    select.value = window.ExtensionRegistry.getToolPolicy(tool.name);
+                }
+            });
+
+            row.appendChild(name);
+            row.appendChild(select);
+            list.appendChild(row);
+        });
+
+        this.extensionsContent.appendChild(list);
     }
 };
 